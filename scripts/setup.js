@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
 
 console.log('🚀 Setting up System Design Node.js Application...\n');
@@ -58,6 +59,37 @@ EMAIL_PASSWORD=your_app_password
 UPLOAD_PATH=./uploads
 MAX_FILE_SIZE=50MB
 
+# File Storage (local or s3; s3 works with any S3-compatible server such as MinIO)
+STORAGE_DRIVER=local
+S3_ENDPOINT=http://localhost:9000
+S3_REGION=us-east-1
+S3_BUCKET=uploads
+# docker-compose creates this key in MinIO with access to the bucket only
+S3_ACCESS_KEY_ID=uploads-${crypto.randomBytes(6).toString('hex')}
+S3_SECRET_ACCESS_KEY=${crypto.randomBytes(24).toString('hex')}
+S3_FORCE_PATH_STYLE=true
+S3_PREFIX=
+# MinIO admin credentials, used by docker-compose only (never by the app)
+MINIO_ROOT_USER=admin-${crypto.randomBytes(6).toString('hex')}
+MINIO_ROOT_PASSWORD=${crypto.randomBytes(24).toString('hex')}
+
+# Image variant generation (Bull queue workers per instance)
+IMAGE_PROCESSING_CONCURRENCY=2
+# Browser cache lifetime (seconds) for public file downloads; 0 revalidates
+# every request, so files made private stop being served from caches at once
+FILE_CACHE_MAX_AGE=0
+
+# Resumable uploads (tus protocol)
+RESUMABLE_MAX_UPLOAD_BYTES=10737418240
+RESUMABLE_MAX_CHUNK_BYTES=104857600
+# Hours an unfinished upload may sit idle before its chunks are removed
+RESUMABLE_UPLOAD_TTL_HOURS=24
+
+# Storage quota per subscription tier (bytes)
+STORAGE_QUOTA_FREE_BYTES=1073741824
+STORAGE_QUOTA_PREMIUM_BYTES=53687091200
+STORAGE_QUOTA_ENTERPRISE_BYTES=1099511627776
+
 # Rate Limiting
 RATE_LIMIT_WINDOW_MS=900000
 RATE_LIMIT_MAX_REQUESTS=100
@@ -81,6 +113,57 @@ MAX_SEARCH_RESULTS=1000
 # URL Shortener Configuration
 BASE_URL=http://localhost:5000
 SHORT_URL_LENGTH=6
+# Short code generator: base62 | readable (no look-alike characters) | counter
+SHORT_CODE_STRATEGY=base62
+SHORT_CODE_MAX_ATTEMPTS=5
+# Comma separated: exact codes/aliases nobody may use, and substrings generated codes must avoid
+SHORT_CODE_RESERVED_WORDS=
+SHORT_CODE_BLOCKED_WORDS=
+# Seconds browsers may cache a plain link's redirect
+REDIRECT_CACHE_SECONDS=60
+
+# Click Analytics Configuration
+CLICK_FLUSH_INTERVAL_MS=5000
+CLICK_FLUSH_BATCH_SIZE=500
+CLICK_EVENT_BUFFER_SIZE=1000
+# Local GeoIP database (.mmdb or CSV range table), no network lookups
+GEOIP_DB_PATH=./data/GeoLite2-City.mmdb
+# XLSX exports are built in memory and capped (CSV exports stream)
+ANALYTICS_EXPORT_XLSX_MAX_ROWS=100000
+
+# URL Safety Configuration
+# Local blocklist file: one domain per line, "pattern:<regex>" for patterns
+BLOCKLIST_PATH=./data/blocklist.txt
+BLOCKLIST_REFRESH_MS=60000
+
+# Scheduled Jobs (cron syntax, run through Bull on Redis)
+URL_EXPIRY_CRON=*/5 * * * *
+FILE_SHARE_EXPIRY_CRON=*/15 * * * *
+FILE_PURGE_CRON=0 3 * * *
+# Days soft-deleted files stay restorable before their content is released
+FILE_PURGE_AFTER_DAYS=30
+UPLOAD_EXPIRY_CRON=0 * * * *
+
+# Link Preview Configuration
+LINK_PREVIEW_ENABLED=true
+LINK_PREVIEW_TIMEOUT_MS=5000
+LINK_PREVIEW_MAX_BYTES=524288
+LINK_PREVIEW_CONCURRENCY=2
+
+# Link Health Checks (HEAD, then GET, against active destinations)
+LINK_HEALTH_CRON=*/30 * * * *
+LINK_HEALTH_INTERVAL_MINUTES=360
+LINK_HEALTH_BATCH_SIZE=500
+LINK_HEALTH_CONCURRENCY=5
+LINK_HEALTH_TIMEOUT_MS=10000
+LINK_HEALTH_FAILURE_THRESHOLD=2
+LINK_HEALTH_HISTORY_DAYS=30
+
+# Branded Domain Configuration
+# Optional DNS servers for TXT verification (e.g. 127.0.0.1:5353 for a local stub)
+DOMAIN_VERIFICATION_DNS_SERVERS=
+# Hours an unverified domain holds its hostname before others can register it
+DOMAIN_VERIFICATION_TTL_HOURS=72
 
 # Chat Configuration
 MAX_MESSAGE_LENGTH=1000
@@ -143,9 +226,19 @@ services:
       - NODE_ENV=production
       - MONGODB_URI=mongodb://mongo:27017/systemdesign_db
       - REDIS_URL=redis://redis:6379
+      - STORAGE_DRIVER=s3
+      - S3_ENDPOINT=http://minio:9000
+      - S3_BUCKET=uploads
+      # Bucket-scoped key created by minio-setup (not the MinIO root user)
+      - S3_ACCESS_KEY_ID=\${S3_ACCESS_KEY_ID:?Set S3_ACCESS_KEY_ID in .env}
+      - S3_SECRET_ACCESS_KEY=\${S3_SECRET_ACCESS_KEY:?Set S3_SECRET_ACCESS_KEY in .env}
     depends_on:
-      - mongo
-      - redis
+      mongo:
+        condition: service_started
+      redis:
+        condition: service_started
+      minio-setup:
+        condition: service_completed_successfully
     volumes:
       - ./uploads:/app/uploads
       - ./logs:/app/logs
@@ -170,9 +263,52 @@ services:
       - redis_data:/data
     restart: unless-stopped
 
+  # Only reachable by the other services; the S3 API is not published
+  minio:
+    image: minio/minio
+    expose:
+      - "9000"
+    command: server /data
+    environment:
+      - MINIO_ROOT_USER=\${MINIO_ROOT_USER:?Set MINIO_ROOT_USER in .env}
+      - MINIO_ROOT_PASSWORD=\${MINIO_ROOT_PASSWORD:?Set MINIO_ROOT_PASSWORD in .env}
+    volumes:
+      - minio_data:/data
+    restart: unless-stopped
+
+  # Creates the bucket and the app's key, limited to that bucket
+  minio-setup:
+    image: minio/mc
+    depends_on:
+      - minio
+    environment:
+      - MINIO_ROOT_USER=\${MINIO_ROOT_USER:?Set MINIO_ROOT_USER in .env}
+      - MINIO_ROOT_PASSWORD=\${MINIO_ROOT_PASSWORD:?Set MINIO_ROOT_PASSWORD in .env}
+      - S3_ACCESS_KEY_ID=\${S3_ACCESS_KEY_ID:?Set S3_ACCESS_KEY_ID in .env}
+      - S3_SECRET_ACCESS_KEY=\${S3_SECRET_ACCESS_KEY:?Set S3_SECRET_ACCESS_KEY in .env}
+    entrypoint: ["/bin/sh", "-c"]
+    command:
+      - |
+        until mc alias set local http://minio:9000 "$$MINIO_ROOT_USER" "$$MINIO_ROOT_PASSWORD"; do sleep 1; done
+        mc mb --ignore-existing local/uploads
+        cat > /tmp/uploads-policy.json <<'POLICY'
+        {
+          "Version": "2012-10-17",
+          "Statement": [
+            { "Effect": "Allow", "Action": ["s3:GetBucketLocation", "s3:ListBucket"], "Resource": ["arn:aws:s3:::uploads"] },
+            { "Effect": "Allow", "Action": ["s3:GetObject", "s3:PutObject", "s3:DeleteObject"], "Resource": ["arn:aws:s3:::uploads/*"] }
+          ]
+        }
+        POLICY
+        mc admin policy create local uploads-readwrite /tmp/uploads-policy.json
+        mc admin user add local "$$S3_ACCESS_KEY_ID" "$$S3_SECRET_ACCESS_KEY"
+        # Attaching again reports an error when the policy is already attached
+        mc admin policy attach local uploads-readwrite --user "$$S3_ACCESS_KEY_ID" || true
+
 volumes:
   mongo_data:
   redis_data:
+  minio_data:
 `;
 
 fs.writeFileSync('docker-compose.yml', dockerCompose);
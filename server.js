@@ -10,9 +10,18 @@ require('dotenv').config();
 
 const { logger } = require('./src/utils/logger');
 const { connectDatabase } = require('./src/config/database');
+const { runMigrations } = require('./src/services/migrations');
 const { setupRedis } = require('./src/config/redis');
 const { globalRateLimit } = require('./src/middleware/rateLimiter');
 const { globalErrorHandler } = require('./src/middleware/errorHandler');
+const { startClickFlusher, stopClickFlusher } = require('./src/services/clickCounter');
+const { loadGeoDatabase } = require('./src/services/clickEnrichment');
+const { loadBlocklist, startBlocklistRefresh } = require('./src/services/urlScanner');
+const { startScheduler, stopScheduler } = require('./src/services/jobScheduler');
+const { registerExpiryJobs } = require('./src/services/expirySweeper');
+const { registerHealthCheckJob } = require('./src/services/linkHealthChecker');
+const { startImageProcessor } = require('./src/services/imageVariants');
+const { startLinkPreviewProcessor } = require('./src/services/linkPreview');
 
 // Import all routes
 const authRoutes = require('./src/routes/authRoutes');
@@ -24,6 +33,12 @@ const chatRoutes = require('./src/routes/chatRoutes');
 const searchRoutes = require('./src/routes/searchRoutes');
 const bulkRoutes = require('./src/routes/bulkRoutes');
 const monitoringRoutes = require('./src/routes/monitoringRoutes');
+const domainRoutes = require('./src/routes/domainRoutes');
+const bioPageRoutes = require('./src/routes/bioPageRoutes');
+const collectionRoutes = require('./src/routes/collectionRoutes');
+const folderRoutes = require('./src/routes/folderRoutes');
+const uploadRoutes = require('./src/routes/uploadRoutes');
+const redirectRoutes = require('./src/routes/redirectRoutes');
 
 // Initialize Express app
 const app = express();
@@ -45,7 +60,6 @@ app.use(cors()); // Enable CORS
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } })); // Logging
 app.use(express.json({ limit: '50mb' })); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true, limit: '50mb' })); // Parse URL-encoded bodies
-app.use('/uploads', express.static('uploads')); // Serve static files
 
 // Apply global rate limiting
 app.use(globalRateLimit);
@@ -65,12 +79,20 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/url', urlRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/uploads', uploadRoutes); // Legacy file URLs, access-checked
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/complaints', complaintRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/bulk', bulkRoutes);
 app.use('/api/monitoring', monitoringRoutes);
+app.use('/api/domains', domainRoutes);
+app.use('/api/bio-pages', bioPageRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/folders', folderRoutes);
+
+// Short link redirects on the default and branded domains (after the API routes)
+app.use('/', redirectRoutes);
 
 // Socket.IO connection handling
 require('./src/services/socketService')(io);
@@ -93,9 +115,33 @@ const initializeApp = async () => {
     // Connect to MongoDB
     await connectDatabase();
     
+    // Bring existing data up to date with the current schemas
+    await runMigrations();
+    
     // Setup Redis connection
     await setupRedis();
     
+    // Load the offline GeoIP database for click enrichment
+    await loadGeoDatabase();
+    
+    // Load the destination blocklist and keep it in sync with admin changes
+    await loadBlocklist();
+    startBlocklistRefresh();
+    
+    // Start write-behind flushing of click counters
+    startClickFlusher();
+    
+    // Schedule recurring maintenance jobs (expiry sweeps, link health checks)
+    registerExpiryJobs();
+    registerHealthCheckJob();
+    await startScheduler();
+    
+    // Generate image variants for uploads queued by any instance
+    startImageProcessor();
+    
+    // Fetch link previews queued by any instance
+    startLinkPreviewProcessor();
+    
     // Start server
     const PORT = process.env.PORT || 5000;
     server.listen(PORT, () => {
@@ -111,21 +157,30 @@ const initializeApp = async () => {
 };
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+const gracefulShutdown = (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  server.close(async () => {
+    try {
+      // Write out buffered click analytics before closing connections
+      await stopClickFlusher();
+    } catch (error) {
+      logger.error('Final click flush failed:', error);
+    }
+    
+    try {
+      await stopScheduler();
+    } catch (error) {
+      logger.error('Job scheduler shutdown failed:', error);
+    }
+    
     mongoose.connection.close();
     process.exit(0);
   });
-});
+};
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    mongoose.connection.close();
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -216,6 +216,40 @@ const rateLimitOperations = {
   }
 };
 
+// HyperLogLog operations for approximate distinct counting
+const hyperLogLogOperations = {
+  // Add an element, returns true if the estimated cardinality changed
+  add: async (key, element, ttl = null) => {
+    try {
+      if (!redisClient || !redisClient.isOpen) return null;
+      
+      const multi = redisClient.multi();
+      multi.pfAdd(key, element);
+      if (ttl) {
+        multi.expire(key, ttl);
+      }
+      
+      const results = await multi.exec();
+      return Boolean(results[0]);
+    } catch (error) {
+      logger.error(`HyperLogLog PFADD error for key ${key}:`, error.message);
+      return null;
+    }
+  },
+
+  // Get estimated cardinality of one or more keys (union)
+  count: async (keys) => {
+    try {
+      if (!redisClient || !redisClient.isOpen) return 0;
+      
+      return await redisClient.pfCount(keys);
+    } catch (error) {
+      logger.error(`HyperLogLog PFCOUNT error for keys ${keys}:`, error.message);
+      return 0;
+    }
+  }
+};
+
 // Health check for Redis
 const checkRedisHealth = async () => {
   try {
@@ -254,6 +288,7 @@ module.exports = {
   cacheOperations,
   sessionOperations,
   rateLimitOperations,
+  hyperLogLogOperations,
   checkRedisHealth,
   disconnectRedis
 }; 
\ No newline at end of file
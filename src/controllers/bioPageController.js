@@ -0,0 +1,282 @@
+const BioPage = require('../models/BioPage');
+const Url = require('../models/Url');
+const File = require('../models/File');
+const { sendSuccessResponse, sendErrorResponse, catchAsync } = require('../middleware/errorHandler');
+const { getPublicPath, getPublicBioPage, invalidateBioPage, renderBioPageHtml } = require('../services/bioPageService');
+const { redirectToOriginal } = require('./urlController');
+const { logger } = require('../utils/logger');
+
+const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+
+// Load a bio page the current user owns (or any page for admins)
+const findOwnedBioPage = async (req, res) => {
+  const page = await BioPage.findById(req.params.id);
+  
+  if (!page) {
+    sendErrorResponse(res, 404, 'Bio page not found');
+    return null;
+  }
+  
+  if (page.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    sendErrorResponse(res, 403, 'Access denied');
+    return null;
+  }
+  
+  return page;
+};
+
+// Validate requested links and keep their order. Returns an error message
+// or the normalized links.
+const normalizeLinks = async (links, ownerId) => {
+  if (!Array.isArray(links)) {
+    return { error: 'Links must be an array' };
+  }
+  
+  if (links.length > BioPage.MAX_LINKS) {
+    return { error: `A bio page can have at most ${BioPage.MAX_LINKS} links` };
+  }
+  
+  const normalized = links.map(link => (typeof link === 'string' ? { url: link } : link || {}));
+  
+  if (normalized.some(link => !link.url)) {
+    return { error: 'Every link needs a short URL id' };
+  }
+  
+  const urlIds = [...new Set(normalized.map(link => String(link.url)))];
+  const ownedCount = await Url.countDocuments({ _id: { $in: urlIds }, createdBy: ownerId });
+  
+  if (ownedCount !== urlIds.length) {
+    return { error: 'Links can only point to your own short URLs' };
+  }
+  
+  return {
+    links: normalized.map(link => ({
+      url: link.url,
+      label: link.label,
+      isVisible: link.isVisible !== false
+    }))
+  };
+};
+
+// Avatars must be public images owned by the page owner
+const validateAvatar = async (avatarId, ownerId) => {
+  const file = await File.findOne({ _id: avatarId, uploadedBy: ownerId, isDeleted: { $ne: true } });
+  
+  if (!file || !file.isImage) {
+    return 'Avatar must be one of your uploaded images';
+  }
+  
+  if (file.visibility !== 'public') {
+    return 'Avatar image must be public';
+  }
+  
+  return null;
+};
+
+const withPublicUrl = (page) => ({
+  ...page.toObject(),
+  publicUrl: `${baseUrl}${getPublicPath(page.slug)}`
+});
+
+// Create a bio page
+const createBioPage = catchAsync(async (req, res) => {
+  const { slug, title, description, avatar, theme, links = [], isPublished } = req.body;
+  
+  if (!slug || !title) {
+    return sendErrorResponse(res, 400, 'Slug and title are required');
+  }
+  
+  const existingPage = await BioPage.findOne({ slug: String(slug).toLowerCase() });
+  
+  if (existingPage) {
+    return sendErrorResponse(res, 409, 'Slug is already taken');
+  }
+  
+  const linkResult = await normalizeLinks(links, req.user._id);
+  
+  if (linkResult.error) {
+    return sendErrorResponse(res, 400, linkResult.error);
+  }
+  
+  if (avatar) {
+    const avatarError = await validateAvatar(avatar, req.user._id);
+    if (avatarError) return sendErrorResponse(res, 400, avatarError);
+  }
+  
+  const page = await BioPage.create({
+    slug,
+    owner: req.user._id,
+    title,
+    description,
+    avatar: avatar || null,
+    theme,
+    links: linkResult.links,
+    isPublished
+  });
+  
+  logger.business('Bio Page Created', {
+    bioPageId: page._id,
+    slug: page.slug,
+    linkCount: page.links.length,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 201, {
+    bioPage: withPublicUrl(page)
+  }, 'Bio page created successfully');
+});
+
+// Get user's bio pages
+const getUserBioPages = catchAsync(async (req, res) => {
+  const pages = await BioPage.find({ owner: req.user._id }).sort({ createdAt: -1 });
+  
+  sendSuccessResponse(res, 200, {
+    bioPages: pages.map(withPublicUrl)
+  }, 'Bio pages retrieved successfully');
+});
+
+// Get bio page details with its links
+const getBioPage = catchAsync(async (req, res) => {
+  const page = await findOwnedBioPage(req, res);
+  if (!page) return;
+  
+  await page.populate([
+    { path: 'avatar', select: 'originalName url visibility' },
+    { path: 'links.url', select: 'originalUrl shortUrl shortCode metadata.title isActive isExpired expiresAt clicks' }
+  ]);
+  
+  sendSuccessResponse(res, 200, {
+    bioPage: withPublicUrl(page)
+  }, 'Bio page retrieved successfully');
+});
+
+// Update a bio page
+const updateBioPage = catchAsync(async (req, res) => {
+  const { slug, title, description, avatar, theme, links, isPublished } = req.body;
+  
+  const page = await findOwnedBioPage(req, res);
+  if (!page) return;
+  
+  const previousSlug = page.slug;
+  
+  if (slug !== undefined && String(slug).toLowerCase() !== page.slug) {
+    const existingPage = await BioPage.findOne({ slug: String(slug).toLowerCase() });
+  
+    if (existingPage) {
+      return sendErrorResponse(res, 409, 'Slug is already taken');
+    }
+  
+    page.slug = slug;
+  }
+  
+  if (links !== undefined) {
+    const linkResult = await normalizeLinks(links, page.owner);
+  
+    if (linkResult.error) {
+      return sendErrorResponse(res, 400, linkResult.error);
+    }
+  
+    page.links = linkResult.links;
+  }
+  
+  if (avatar) {
+    const avatarError = await validateAvatar(avatar, page.owner);
+    if (avatarError) return sendErrorResponse(res, 400, avatarError);
+  }
+  
+  if (avatar !== undefined) page.avatar = avatar || null;
+  if (title !== undefined) page.title = title;
+  if (description !== undefined) page.description = description;
+  if (isPublished !== undefined) page.isPublished = isPublished;
+  if (theme !== undefined) {
+    if (theme.preset !== undefined) page.theme.preset = theme.preset;
+    if (theme.accentColor !== undefined) page.theme.accentColor = theme.accentColor || undefined;
+  }
+  
+  await page.save();
+  
+  await invalidateBioPage(previousSlug);
+  if (page.slug !== previousSlug) await invalidateBioPage(page.slug);
+  
+  logger.business('Bio Page Updated', { bioPageId: page._id, userId: req.user._id });
+  
+  sendSuccessResponse(res, 200, {
+    bioPage: withPublicUrl(page)
+  }, 'Bio page updated successfully');
+});
+
+// Delete a bio page
+const deleteBioPage = catchAsync(async (req, res) => {
+  const page = await findOwnedBioPage(req, res);
+  if (!page) return;
+  
+  await page.deleteOne();
+  await invalidateBioPage(page.slug);
+  
+  logger.business('Bio Page Deleted', {
+    bioPageId: page._id,
+    slug: page.slug,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 200, null, 'Bio page deleted successfully');
+});
+
+// Public page at /p/:slug (HTML, or JSON with ?format=json / Accept: application/json)
+const renderBioPage = catchAsync(async (req, res) => {
+  const page = await getPublicBioPage(req.params.slug);
+  
+  if (!page) {
+    return sendErrorResponse(res, 404, 'Bio page not found');
+  }
+  
+  // Count the view (async, don't wait)
+  BioPage.updateOne(
+    { _id: page._id },
+    { $inc: { 'analytics.views': 1 }, $set: { 'analytics.lastViewedAt': new Date() } }
+  ).catch(err => logger.error('Bio page view update failed:', err));
+  
+  const { _id, owner, ...publicPage } = page;
+  
+  if (req.query.format === 'json' || req.accepts(['html', 'json']) === 'json') {
+    return sendSuccessResponse(res, 200, {
+      bioPage: publicPage
+    }, 'Bio page retrieved successfully');
+  }
+  
+  res.setHeader('Cache-Control', 'public, max-age=60');
+  res.type('html').send(renderBioPageHtml(publicPage));
+});
+
+// Follow a link on a bio page. The click goes through the normal short URL
+// redirect so it is counted like any other visit, with a bio-page referrer.
+const followBioLink = catchAsync(async (req, res, next) => {
+  const page = await getPublicBioPage(req.params.slug);
+  const link = page && page.links.find(item => item.id === req.params.urlId);
+  
+  if (!link) {
+    return sendErrorResponse(res, 404, 'Link not found');
+  }
+  
+  const url = await Url.findById(link.id).select('shortCode domain createdBy +password');
+  
+  if (!url || url.password || url.createdBy.toString() !== page.owner) {
+    return sendErrorResponse(res, 404, 'Link not found');
+  }
+  
+  req.params.code = url.shortCode;
+  req.shortDomain = url.domain ? { _id: url.domain.toString() } : null;
+  req.clickReferrer = 'bio-page';
+  
+  return redirectToOriginal(req, res, next);
+});
+
+module.exports = {
+  createBioPage,
+  getUserBioPages,
+  getBioPage,
+  updateBioPage,
+  deleteBioPage,
+  renderBioPage,
+  followBioLink
+};
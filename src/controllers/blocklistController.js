@@ -0,0 +1,179 @@
+const BlocklistEntry = require('../models/BlocklistEntry');
+const { sendSuccessResponse, sendErrorResponse, catchAsync } = require('../middleware/errorHandler');
+const { loadBlocklist, queueRescan, scanUrl } = require('../services/urlScanner');
+const { logger } = require('../utils/logger');
+
+// Get blocklist entries
+const getBlocklistEntries = catchAsync(async (req, res) => {
+  const { page = 1, limit = 50, type, category, search, isActive } = req.query;
+
+  const query = {};
+
+  if (type && type !== 'all') {
+    query.type = type;
+  }
+
+  if (category && category !== 'all') {
+    query.category = category;
+  }
+
+  if (isActive !== undefined) {
+    query.isActive = isActive === 'true';
+  }
+
+  if (search) {
+    query.value = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  const entries = await BlocklistEntry.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .populate('addedBy', 'username');
+
+  const total = await BlocklistEntry.countDocuments(query);
+
+  sendSuccessResponse(res, 200, {
+    entries,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  }, 'Blocklist entries retrieved successfully');
+});
+
+// Add blocklist entry
+const addBlocklistEntry = catchAsync(async (req, res) => {
+  const { type = 'domain', value, category, reason } = req.body;
+
+  if (!value) {
+    return sendErrorResponse(res, 400, 'Blocklist value is required');
+  }
+
+  if (!['domain', 'pattern'].includes(type)) {
+    return sendErrorResponse(res, 400, 'Type must be domain or pattern');
+  }
+
+  const existing = await BlocklistEntry.findOne({
+    type,
+    value: type === 'domain' ? value.trim().toLowerCase().replace(/^\*?\./, '') : value.trim()
+  });
+
+  if (existing) {
+    return sendErrorResponse(res, 409, 'Blocklist entry already exists');
+  }
+
+  const entry = await BlocklistEntry.create({
+    type,
+    value,
+    category,
+    reason,
+    addedBy: req.user._id
+  });
+
+  await loadBlocklist();
+
+  // Flag existing links that point at the new entry
+  queueRescan();
+
+  logger.security('Blocklist Entry Added', {
+    entryId: entry._id,
+    type: entry.type,
+    value: entry.value,
+    userId: req.user._id
+  }, 'low');
+
+  sendSuccessResponse(res, 201, {
+    entry
+  }, 'Blocklist entry added successfully');
+});
+
+// Update blocklist entry
+const updateBlocklistEntry = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { category, reason, isActive } = req.body;
+
+  const entry = await BlocklistEntry.findById(id);
+
+  if (!entry) {
+    return sendErrorResponse(res, 404, 'Blocklist entry not found');
+  }
+
+  if (category) entry.category = category;
+  if (reason !== undefined) entry.reason = reason;
+  if (isActive !== undefined) entry.isActive = isActive;
+
+  await entry.save();
+  await loadBlocklist();
+
+  logger.security('Blocklist Entry Updated', { entryId: entry._id, userId: req.user._id }, 'low');
+
+  sendSuccessResponse(res, 200, {
+    entry
+  }, 'Blocklist entry updated successfully');
+});
+
+// Delete blocklist entry
+const deleteBlocklistEntry = catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const entry = await BlocklistEntry.findByIdAndDelete(id);
+
+  if (!entry) {
+    return sendErrorResponse(res, 404, 'Blocklist entry not found');
+  }
+
+  await loadBlocklist();
+
+  logger.security('Blocklist Entry Deleted', {
+    entryId: entry._id,
+    value: entry.value,
+    userId: req.user._id
+  }, 'low');
+
+  sendSuccessResponse(res, 200, null, 'Blocklist entry deleted successfully');
+});
+
+// Reload blocklist from file and database
+const reloadBlocklist = catchAsync(async (req, res) => {
+  const stats = await loadBlocklist();
+
+  sendSuccessResponse(res, 200, stats, 'Blocklist reloaded successfully');
+});
+
+// Check a URL against the scanners without creating anything
+const checkUrl = catchAsync(async (req, res) => {
+  const { url } = req.body;
+
+  if (!url) {
+    return sendErrorResponse(res, 400, 'URL is required');
+  }
+
+  const malwareCheck = await scanUrl(url);
+
+  sendSuccessResponse(res, 200, {
+    url,
+    malwareCheck
+  }, 'URL checked successfully');
+});
+
+// Re-scan existing short URLs against the current blocklist (background task)
+const rescanExistingUrls = catchAsync(async (req, res) => {
+  queueRescan();
+
+  logger.business('URL Rescan Started', { userId: req.user._id });
+
+  sendSuccessResponse(res, 202, null, 'URL rescan started');
+});
+
+module.exports = {
+  getBlocklistEntries,
+  addBlocklistEntry,
+  updateBlocklistEntry,
+  deleteBlocklistEntry,
+  reloadBlocklist,
+  checkUrl,
+  rescanExistingUrls
+};
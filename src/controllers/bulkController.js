@@ -3,6 +3,9 @@ const User = require('../models/User');
 const Url = require('../models/Url');
 const { sendSuccessResponse, sendErrorResponse, catchAsync } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
+const { scanUrl } = require('../services/urlScanner');
+const { queueMetadataFetch } = require('../services/linkPreview');
+const { isReservedCode, createWithUniqueCode } = require('../services/shortCodeGenerator');
 const multer = require('multer');
 const csv = require('csv-parser');
 const fs = require('fs');
@@ -232,10 +235,19 @@ const processUrlImport = async (row, rowNumber, userId) => {
       };
     }
     
+    if (customAlias && isReservedCode(customAlias)) {
+      return {
+        success: false,
+        field: 'customAlias',
+        error: 'Custom alias is reserved'
+      };
+    }
+    
     // Check if custom alias already exists
     if (customAlias) {
       const existingUrl = await Url.findOne({
-        $or: [{ shortCode: customAlias }, { customAlias }]
+        $or: [{ shortCode: customAlias }, { customAlias }],
+        domain: null
       });
       
       if (existingUrl) {
@@ -248,21 +260,35 @@ const processUrlImport = async (row, rowNumber, userId) => {
     }
     
     // Create URL
-    const url = await Url.create({
+    const url = await createWithUniqueCode({
       originalUrl,
       customAlias: customAlias || null,
       category: category || 'other',
       tags: tags ? tags.split(',').map(t => t.trim()) : [],
-      createdBy: userId
+      createdBy: userId,
+      malwareCheck: await scanUrl(originalUrl)
     });
     
+    if (!url.malwareCheck.isSafe) {
+      logger.security('Unsafe Short URL Imported', {
+        urlId: url._id,
+        shortCode: url.shortCode,
+        row: rowNumber,
+        scanResults: url.malwareCheck.scanResults,
+        userId
+      }, 'high');
+    }
+    
+    queueMetadataFetch(url._id);
+    
     return {
       success: true,
       data: {
         id: url._id,
         originalUrl: url.originalUrl,
         shortUrl: url.shortUrl,
-        shortCode: url.shortCode
+        shortCode: url.shortCode,
+        isSafe: url.malwareCheck.isSafe
       }
     };
     
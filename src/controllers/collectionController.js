@@ -0,0 +1,401 @@
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const Url = require('../models/Url');
+const User = require('../models/User');
+const { sendSuccessResponse, sendErrorResponse, catchAsync } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+// Load a collection and check the current user's role on it
+const findCollectionWithRole = async (req, res, requiredRole) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    sendErrorResponse(res, 404, 'Collection not found');
+    return null;
+  }
+  
+  const collection = await Collection.findById(req.params.id);
+  
+  if (!collection) {
+    sendErrorResponse(res, 404, 'Collection not found');
+    return null;
+  }
+  
+  const role = await Collection.getUserRole(collection, req.user);
+  
+  if (!role) {
+    sendErrorResponse(res, 404, 'Collection not found');
+    return null;
+  }
+  
+  if (!Collection.hasRole(role, requiredRole)) {
+    sendErrorResponse(res, 403, 'Access denied');
+    return null;
+  }
+  
+  return { collection, role };
+};
+
+// Resolve a parent collection the user can edit. Returns an error message or
+// the parent (null for top level).
+const resolveParent = async (parentId, user) => {
+  if (!parentId) return { parent: null };
+  
+  const parent = mongoose.isValidObjectId(parentId) ? await Collection.findById(parentId) : null;
+  
+  if (!parent) {
+    return { error: 'Parent collection not found' };
+  }
+  
+  const role = await Collection.getUserRole(parent, user);
+  
+  if (!Collection.hasRole(role, 'editor')) {
+    return { error: 'You cannot add collections to this parent' };
+  }
+  
+  return { parent };
+};
+
+// Create a collection
+const createCollection = catchAsync(async (req, res) => {
+  const { name, description, parent: parentId } = req.body;
+  
+  if (!name) {
+    return sendErrorResponse(res, 400, 'Collection name is required');
+  }
+  
+  const { parent, error } = await resolveParent(parentId, req.user);
+  
+  if (error) {
+    return sendErrorResponse(res, 400, error);
+  }
+  
+  // Nested collections belong to the owner of the tree so shared editors
+  // can organize it without taking it over
+  const collection = await Collection.create({
+    name,
+    description,
+    owner: parent ? parent.owner : req.user._id,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : []
+  });
+  
+  logger.business('Collection Created', {
+    collectionId: collection._id,
+    parentId: collection.parent,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 201, {
+    collection
+  }, 'Collection created successfully');
+});
+
+// Get collections owned by or shared with the current user
+const getUserCollections = catchAsync(async (req, res) => {
+  const { parent, shared } = req.query;
+  
+  const ids = await Collection.getAccessibleIds(req.user._id);
+  const query = { _id: { $in: ids } };
+  
+  if (parent) {
+    query.parent = parent === 'root' ? null : parent;
+  }
+  
+  if (shared === 'true') {
+    query.owner = { $ne: req.user._id };
+  } else if (shared === 'false') {
+    query.owner = req.user._id;
+  }
+  
+  const collections = await Collection.find(query)
+    .populate('owner', 'username profile.firstName profile.lastName')
+    .sort({ name: 1 });
+  
+  // Direct URL counts per collection
+  const counts = await Url.aggregate([
+    { $match: { collections: { $in: collections.map(item => item._id) }, isActive: true } },
+    { $unwind: '$collections' },
+    { $group: { _id: '$collections', urls: { $sum: 1 } } }
+  ]);
+  const countById = new Map(counts.map(item => [item._id.toString(), item.urls]));
+  
+  const roles = await Collection.getUserRoles(collections, req.user);
+  
+  const result = collections.map(collection => ({
+    ...collection.toObject(),
+    role: roles.get(collection._id.toString()),
+    urlCount: countById.get(collection._id.toString()) || 0
+  }));
+  
+  sendSuccessResponse(res, 200, {
+    collections: result
+  }, 'Collections retrieved successfully');
+});
+
+// Get collection details with its child collections
+const getCollection = catchAsync(async (req, res) => {
+  const access = await findCollectionWithRole(req, res, 'viewer');
+  if (!access) return;
+  
+  const { collection, role } = access;
+  
+  await collection.populate([
+    { path: 'owner', select: 'username email profile.firstName profile.lastName' },
+    { path: 'members.user', select: 'username email profile.firstName profile.lastName' },
+    { path: 'ancestors', select: 'name' }
+  ]);
+  
+  const children = await Collection.find({ parent: collection._id }).select('name description').sort({ name: 1 });
+  const urlCount = await Url.countDocuments({ collections: collection._id, isActive: true });
+  
+  sendSuccessResponse(res, 200, {
+    collection,
+    role,
+    children,
+    urlCount
+  }, 'Collection retrieved successfully');
+});
+
+// Rename or move a collection
+const updateCollection = catchAsync(async (req, res) => {
+  const { name, description, parent: parentId } = req.body;
+  
+  const access = await findCollectionWithRole(req, res, 'editor');
+  if (!access) return;
+  
+  const { collection } = access;
+  
+  if (name !== undefined) collection.name = name;
+  if (description !== undefined) collection.description = description;
+  
+  const currentParent = collection.parent ? collection.parent.toString() : null;
+  const newParent = parentId === undefined ? currentParent : (parentId || null);
+  
+  if (newParent !== currentParent) {
+    const { parent, error } = await resolveParent(newParent, req.user);
+  
+    if (error) {
+      return sendErrorResponse(res, 400, error);
+    }
+  
+    // A collection cannot move into itself or below itself
+    if (parent && (parent._id.equals(collection._id) || parent.ancestors.some(id => id.equals(collection._id)))) {
+      return sendErrorResponse(res, 400, 'A collection cannot be moved into itself');
+    }
+  
+    if (parent && !parent.owner.equals(collection.owner)) {
+      return sendErrorResponse(res, 400, 'Collections can only be moved within the same owner\'s tree');
+    }
+  
+    const previousAncestors = [...collection.ancestors];
+    collection.parent = parent ? parent._id : null;
+    collection.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  
+    // Check the depth of the deepest nested collection after the move
+    const descendants = await Collection.find({ ancestors: collection._id }).select('ancestors');
+    const deepest = descendants.reduce((depth, item) => Math.max(depth, item.ancestors.length), previousAncestors.length);
+  
+    if (deepest - previousAncestors.length + collection.ancestors.length >= Collection.MAX_DEPTH) {
+      return sendErrorResponse(res, 400, `Collections can be nested at most ${Collection.MAX_DEPTH} levels deep`);
+    }
+  
+    await collection.save();
+  
+    // Rewrite the ancestor chain of everything below the moved collection
+    await Promise.all(descendants.map(item => {
+      const below = item.ancestors.slice(previousAncestors.length);
+      return Collection.updateOne({ _id: item._id }, { $set: { ancestors: [...collection.ancestors, ...below] } });
+    }));
+  } else {
+    await collection.save();
+  }
+  
+  logger.business('Collection Updated', { collectionId: collection._id, userId: req.user._id });
+  
+  sendSuccessResponse(res, 200, {
+    collection
+  }, 'Collection updated successfully');
+});
+
+// Delete a collection and everything nested below it (URLs are kept)
+const deleteCollection = catchAsync(async (req, res) => {
+  const access = await findCollectionWithRole(req, res, 'owner');
+  if (!access) return;
+  
+  const { collection } = access;
+  const ids = await Collection.getSubtreeIds(collection._id);
+  
+  await Url.updateMany({ collections: { $in: ids } }, { $pull: { collections: { $in: ids } } });
+  await Collection.deleteMany({ _id: { $in: ids } });
+  
+  logger.business('Collection Deleted', {
+    collectionId: collection._id,
+    nestedCollections: ids.length - 1,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 200, null, 'Collection deleted successfully');
+});
+
+// Share a collection with a user (or change their role)
+const addCollectionMember = catchAsync(async (req, res) => {
+  const { userId, email, role = 'viewer' } = req.body;
+  
+  if (!Collection.ROLES.includes(role)) {
+    return sendErrorResponse(res, 400, `Role must be one of: ${Collection.ROLES.join(', ')}`);
+  }
+  
+  if (!userId && !email) {
+    return sendErrorResponse(res, 400, 'User id or email is required');
+  }
+  
+  const access = await findCollectionWithRole(req, res, 'owner');
+  if (!access) return;
+  
+  const { collection } = access;
+  
+  const member = userId
+    ? (mongoose.isValidObjectId(userId) ? await User.findById(userId) : null)
+    : await User.findOne({ email: String(email).toLowerCase() });
+  
+  if (!member || !member.isActive) {
+    return sendErrorResponse(res, 404, 'User not found');
+  }
+  
+  if (member._id.equals(collection.owner)) {
+    return sendErrorResponse(res, 400, 'The owner already has full access');
+  }
+  
+  const existing = collection.members.find(item => item.user.equals(member._id));
+  
+  if (existing) {
+    existing.role = role;
+  } else {
+    collection.members.push({ user: member._id, role, addedBy: req.user._id });
+  }
+  
+  await collection.save();
+  
+  logger.business('Collection Shared', {
+    collectionId: collection._id,
+    memberId: member._id,
+    role,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, existing ? 200 : 201, {
+    members: collection.members
+  }, existing ? 'Member role updated successfully' : 'Collection shared successfully');
+});
+
+// Remove a member (owners can remove anyone, members can leave)
+const removeCollectionMember = catchAsync(async (req, res) => {
+  const { userId } = req.params;
+  const isLeaving = userId === req.user._id.toString();
+  
+  const access = await findCollectionWithRole(req, res, isLeaving ? 'viewer' : 'owner');
+  if (!access) return;
+  
+  const { collection } = access;
+  const member = collection.members.find(item => item.user.toString() === userId);
+  
+  if (!member) {
+    return sendErrorResponse(res, 404, 'Member not found');
+  }
+  
+  collection.members.pull(member._id);
+  await collection.save();
+  
+  logger.business('Collection Member Removed', {
+    collectionId: collection._id,
+    memberId: userId,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 200, {
+    members: collection.members
+  }, 'Member removed successfully');
+});
+
+// Add URLs to a collection
+const addCollectionUrls = catchAsync(async (req, res) => {
+  const { urlIds } = req.body;
+  
+  if (!Array.isArray(urlIds) || urlIds.length === 0) {
+    return sendErrorResponse(res, 400, 'URL ids are required');
+  }
+  
+  if (!urlIds.every(id => mongoose.isValidObjectId(id))) {
+    return sendErrorResponse(res, 400, 'Invalid URL id');
+  }
+  
+  const access = await findCollectionWithRole(req, res, 'editor');
+  if (!access) return;
+  
+  const { collection } = access;
+  
+  // Users can file their own URLs and URLs they can edit through other collections
+  const editableIds = await Collection.getAccessibleIds(req.user._id, 'editor');
+  const query = { _id: { $in: urlIds } };
+  
+  if (req.user.role !== 'admin') {
+    query.$or = [{ createdBy: req.user._id }, { collections: { $in: editableIds } }];
+  }
+  
+  const urls = await Url.find(query).select('_id');
+  
+  if (urls.length !== new Set(urlIds.map(String)).size) {
+    return sendErrorResponse(res, 403, 'Some URLs were not found or cannot be edited');
+  }
+  
+  const result = await Url.updateMany(
+    { _id: { $in: urls.map(url => url._id) } },
+    { $addToSet: { collections: collection._id } }
+  );
+  
+  logger.business('URLs Added To Collection', {
+    collectionId: collection._id,
+    count: result.modifiedCount,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 200, {
+    added: result.modifiedCount
+  }, 'URLs added to collection successfully');
+});
+
+// Remove a URL from a collection
+const removeCollectionUrl = catchAsync(async (req, res) => {
+  const access = await findCollectionWithRole(req, res, 'editor');
+  if (!access) return;
+  
+  const { collection } = access;
+  
+  const result = await Url.updateOne(
+    { _id: req.params.urlId, collections: collection._id },
+    { $pull: { collections: collection._id } }
+  );
+  
+  if (result.modifiedCount === 0) {
+    return sendErrorResponse(res, 404, 'URL is not in this collection');
+  }
+  
+  logger.business('URL Removed From Collection', {
+    collectionId: collection._id,
+    urlId: req.params.urlId,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 200, null, 'URL removed from collection successfully');
+});
+
+module.exports = {
+  createCollection,
+  getUserCollections,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  addCollectionMember,
+  removeCollectionMember,
+  addCollectionUrls,
+  removeCollectionUrl
+};
@@ -0,0 +1,201 @@
+const Domain = require('../models/Domain');
+const Url = require('../models/Url');
+const { sendSuccessResponse, sendErrorResponse, catchAsync } = require('../middleware/errorHandler');
+const { isPrimaryHost, invalidateDomainCache, verifyDomain } = require('../services/domainService');
+const { logger } = require('../utils/logger');
+
+// Load a domain the current user owns (or any domain for admins)
+const findOwnedDomain = async (req, res, select = '') => {
+  const domain = await Domain.findById(req.params.id).select(select);
+  
+  if (!domain) {
+    sendErrorResponse(res, 404, 'Domain not found');
+    return null;
+  }
+  
+  if (!domain.isOwnedBy(req.user)) {
+    sendErrorResponse(res, 403, 'Access denied');
+    return null;
+  }
+  
+  return domain;
+};
+
+// Register a branded domain
+const registerDomain = catchAsync(async (req, res) => {
+  const { hostname, organization, useHttps, rootRedirectUrl } = req.body;
+  
+  if (!hostname) {
+    return sendErrorResponse(res, 400, 'Hostname is required');
+  }
+  
+  const normalizedHostname = hostname.trim().toLowerCase().replace(/\.$/, '');
+  
+  if (isPrimaryHost(normalizedHostname)) {
+    return sendErrorResponse(res, 400, 'The default short link domain cannot be registered');
+  }
+  
+  const existingDomain = await Domain.findOne({ hostname: normalizedHostname });
+  const claimExpiresAt = existingDomain ? existingDomain.getClaimExpiresAt() : null;
+  
+  if (existingDomain && (!claimExpiresAt || claimExpiresAt > new Date())) {
+    return sendErrorResponse(res, 409, claimExpiresAt
+      ? `Domain is registered and awaiting verification until ${claimExpiresAt.toISOString()}`
+      : 'Domain is already registered');
+  }
+  
+  // Unverified claims lapse, so a hostname can't be held by an account that
+  // never proved control of it. Unverified domains never carry short links.
+  if (existingDomain) {
+    await Domain.deleteOne({ _id: existingDomain._id, isVerified: false });
+    
+    logger.business('Domain Claim Expired', {
+      domainId: existingDomain._id,
+      hostname: existingDomain.hostname,
+      previousOwner: existingDomain.owner,
+      userId: req.user._id
+    });
+  }
+  
+  const domain = await Domain.create({
+    hostname: normalizedHostname,
+    owner: req.user._id,
+    organization,
+    useHttps,
+    rootRedirectUrl
+  });
+  
+  // Hostname lookups may have cached the domain as unknown
+  await invalidateDomainCache(domain.hostname);
+  
+  logger.business('Domain Registered', {
+    domainId: domain._id,
+    hostname: domain.hostname,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 201, {
+    domain,
+    verification: domain.getVerificationRecord(),
+    verifyBefore: domain.getClaimExpiresAt()
+  }, 'Domain registered. Publish the TXT record and verify the domain');
+});
+
+// Get user's domains
+const getUserDomains = catchAsync(async (req, res) => {
+  const query = req.user.role === 'admin' && req.query.all === 'true'
+    ? {}
+    : { owner: req.user._id };
+  
+  const domains = await Domain.find(query).sort({ createdAt: -1 });
+  
+  sendSuccessResponse(res, 200, {
+    domains
+  }, 'Domains retrieved successfully');
+});
+
+// Get domain details including the verification record
+const getDomain = catchAsync(async (req, res) => {
+  const domain = await findOwnedDomain(req, res, '+verificationToken');
+  if (!domain) return;
+  
+  const urlCount = await Url.countDocuments({ domain: domain._id, isActive: true });
+  
+  sendSuccessResponse(res, 200, {
+    domain,
+    verification: domain.getVerificationRecord(),
+    urlCount
+  }, 'Domain retrieved successfully');
+});
+
+// Check the DNS TXT record and mark the domain as verified
+const verifyDomainOwnership = catchAsync(async (req, res) => {
+  const domain = await findOwnedDomain(req, res, '+verificationToken');
+  if (!domain) return;
+  
+  const result = await verifyDomain(domain);
+  
+  if (!result.isVerified) {
+    return res.status(422).json({
+      success: false,
+      message: result.error,
+      statusCode: 422,
+      verification: result.record
+    });
+  }
+  
+  logger.security('Domain Verified', {
+    domainId: domain._id,
+    hostname: domain.hostname,
+    userId: req.user._id
+  }, 'low');
+  
+  sendSuccessResponse(res, 200, {
+    domain
+  }, 'Domain verified successfully');
+});
+
+// Update domain settings
+const updateDomain = catchAsync(async (req, res) => {
+  const { organization, useHttps, rootRedirectUrl, isActive } = req.body;
+  
+  const domain = await findOwnedDomain(req, res);
+  if (!domain) return;
+  
+  if (organization !== undefined) domain.organization = organization;
+  if (rootRedirectUrl !== undefined) domain.rootRedirectUrl = rootRedirectUrl || undefined;
+  if (isActive !== undefined) domain.isActive = isActive;
+  
+  // Changing the scheme changes every generated short URL
+  const schemeChanged = useHttps !== undefined && useHttps !== domain.useHttps;
+  if (schemeChanged) domain.useHttps = useHttps;
+  
+  await domain.save();
+  await invalidateDomainCache(domain.hostname);
+  
+  if (schemeChanged) {
+    const urls = await Url.find({ domain: domain._id }).select('shortCode');
+    await Promise.all(urls.map(url => Url.updateOne(
+      { _id: url._id },
+      { $set: { shortUrl: `${domain.baseUrl}/${url.shortCode}` } }
+    )));
+  }
+  
+  logger.business('Domain Updated', { domainId: domain._id, userId: req.user._id });
+  
+  sendSuccessResponse(res, 200, {
+    domain
+  }, 'Domain updated successfully');
+});
+
+// Delete domain
+const deleteDomain = catchAsync(async (req, res) => {
+  const domain = await findOwnedDomain(req, res);
+  if (!domain) return;
+  
+  const urlCount = await Url.countDocuments({ domain: domain._id, isActive: true });
+  
+  if (urlCount > 0) {
+    return sendErrorResponse(res, 409, `Domain still has ${urlCount} active short URLs`);
+  }
+  
+  await domain.deleteOne();
+  await invalidateDomainCache(domain.hostname);
+  
+  logger.business('Domain Deleted', {
+    domainId: domain._id,
+    hostname: domain.hostname,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 200, null, 'Domain deleted successfully');
+});
+
+module.exports = {
+  registerDomain,
+  getUserDomains,
+  getDomain,
+  verifyDomainOwnership,
+  updateDomain,
+  deleteDomain
+};
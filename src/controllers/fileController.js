@@ -2,18 +2,26 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const File = require('../models/File');
+const Folder = require('../models/Folder');
+const contentStore = require('../services/contentStore');
+const { sendStoredContent, getFileValidators } = require('../services/fileDelivery');
+const { generateFilename, createFileFromUpload } = require('../services/fileService');
+const { VARIANT_TYPES, VARIANT_MIMETYPE } = require('../services/imageVariants');
+const { reserveStorage, releaseStorage, getQuotaStatus } = require('../services/storageQuota');
+const { resolveFolder, getFolderVisibility } = require('../services/folderService');
 const { sendSuccessResponse, sendErrorResponse, catchAsync } = require('../middleware/errorHandler');
 const { logger } = require('../utils/logger');
 
-// Configure multer for file uploads
+// Configure multer for file uploads. Files land in a temp directory and are
+// moved into the content store once hashed.
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadPath = path.join(process.cwd(), 'uploads');
-    cb(null, uploadPath);
+    fs.mkdir(contentStore.TEMP_DIR, { recursive: true })
+      .then(() => cb(null, contentStore.TEMP_DIR))
+      .catch(cb);
   },
   filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
+    cb(null, generateFilename(file.originalname));
   }
 });
 
@@ -29,33 +37,50 @@ const upload = multer({
   }
 });
 
+// Create a File record for a multer upload using the request's metadata
+// fields. Without a visibility the file inherits its folder's.
+const createFileRecord = (req, upload, folder) => {
+  const { visibility, tags = [], description = '' } = req.body;
+  return createFileFromUpload(upload, {
+    owner: req.user._id,
+    folder: folder ? folder._id : null,
+    visibility,
+    tags,
+    description
+  });
+};
+
+// Resolve the upload's target folder, discarding the uploaded temp files when
+// it isn't one of the user's folders. Resolves to undefined after responding.
+const resolveUploadFolder = async (req, res, uploads) => {
+  const { folder, error, statusCode } = await resolveFolder(req.body.folder, req.user);
+  
+  if (error) {
+    await Promise.all(uploads.map(upload => contentStore.removeQuietly(upload.path)));
+    sendErrorResponse(res, statusCode, error);
+    return undefined;
+  }
+  
+  return folder;
+};
+
 // Upload single file
 const uploadFile = catchAsync(async (req, res) => {
   if (!req.file) {
     return sendErrorResponse(res, 400, 'No file uploaded');
   }
   
-  const { visibility = 'private', tags = [], description = '' } = req.body;
+  const folder = await resolveUploadFolder(req, res, [req.file]);
+  if (folder === undefined) return;
   
-  const fileData = {
-    originalName: req.file.originalname,
-    filename: req.file.filename,
-    mimetype: req.file.mimetype,
-    size: req.file.size,
-    path: req.file.path,
-    url: `/uploads/${req.file.filename}`,
-    uploadedBy: req.user._id,
-    visibility,
-    tags: Array.isArray(tags) ? tags : (tags ? [tags] : []),
-    description
-  };
-  
-  const file = await File.create(fileData);
+  const { file, deduplicated } = await createFileRecord(req, req.file, folder);
   
   logger.business('File Uploaded', {
     fileId: file._id,
     filename: file.originalName,
     size: file.size,
+    contentHash: file.contentHash,
+    deduplicated,
     userId: req.user._id
   });
   
@@ -82,29 +107,27 @@ const uploadMultipleFiles = catchAsync(async (req, res) => {
     return sendErrorResponse(res, 400, 'No files uploaded');
   }
   
-  const { visibility = 'private', tags = [], description = '' } = req.body;
-  const uploadedFiles = [];
+  const folder = await resolveUploadFolder(req, res, req.files);
+  if (folder === undefined) return;
   
-  for (const file of req.files) {
-    const fileData = {
-      originalName: file.originalname,
-      filename: file.filename,
-      mimetype: file.mimetype,
-      size: file.size,
-      path: file.path,
-      url: `/uploads/${file.filename}`,
-      uploadedBy: req.user._id,
-      visibility,
-      tags: Array.isArray(tags) ? tags : (tags ? [tags] : []),
-      description
-    };
-    
-    const savedFile = await File.create(fileData);
-    uploadedFiles.push(savedFile);
+  const uploadedFiles = [];
+  let deduplicatedCount = 0;
+  
+  for (const [index, upload] of req.files.entries()) {
+    try {
+      const { file, deduplicated } = await createFileRecord(req, upload, folder);
+      uploadedFiles.push(file);
+      if (deduplicated) deduplicatedCount++;
+    } catch (error) {
+      // Don't leave the remaining temp files behind
+      await Promise.all(req.files.slice(index + 1).map(rest => contentStore.removeQuietly(rest.path)));
+      throw error;
+    }
   }
   
   logger.business('Multiple Files Uploaded', {
     count: uploadedFiles.length,
+    deduplicated: deduplicatedCount,
     userId: req.user._id
   });
   
@@ -153,7 +176,33 @@ const getFileById = catchAsync(async (req, res) => {
   }, 'File retrieved successfully');
 });
 
-// Download file
+// Stream a file's content with range and conditional request support
+const sendFileContent = async (req, res, file, disposition) => {
+  const result = await sendStoredContent(req, res, {
+    storage: file.storage,
+    key: file.path,
+    size: file.size,
+    mimetype: file.mimetype,
+    filename: file.originalName,
+    disposition,
+    isPublic: file.visibility === 'public',
+    ...getFileValidators(file)
+  });
+  
+  if (result.missing) {
+    logger.error(`File content missing for ${file._id} at ${file.path}`);
+    return sendErrorResponse(res, 404, 'File content not found');
+  }
+  
+  // Count a download once, not for every range a player requests or for revalidations
+  const isNewDownload = result.status === 200 || (result.status === 206 && result.range.start === 0);
+  
+  if (disposition === 'attachment' && req.method !== 'HEAD' && isNewDownload) {
+    file.incrementDownload().catch(err => logger.error('Download count update failed:', err));
+  }
+};
+
+// Download file (?disposition=inline to display it in the browser)
 const downloadFile = catchAsync(async (req, res) => {
   const { id } = req.params;
   
@@ -168,35 +217,91 @@ const downloadFile = catchAsync(async (req, res) => {
     return sendErrorResponse(res, 403, 'Access denied');
   }
   
-  try {
-    // Check if file exists on disk
-    await fs.access(file.path);
-    
-    // Increment download count (async)
-    file.incrementDownload().catch(err => logger.error('Download count update failed:', err));
-    
-    // Set appropriate headers
-    res.setHeader('Content-Disposition', `attachment; filename="${file.originalName}"`);
-    res.setHeader('Content-Type', file.mimetype);
-    
-    // Send file
-    res.sendFile(path.resolve(file.path));
-    
-  } catch (error) {
-    logger.error('File download error:', error);
-    sendErrorResponse(res, 404, 'File not found on disk');
+  await sendFileContent(req, res, file, req.query.disposition === 'inline' ? 'inline' : 'attachment');
+});
+
+// Serve files by their legacy /uploads/<filename> URL, with the same access
+// checks as downloads
+const serveLegacyUpload = catchAsync(async (req, res) => {
+  const file = await File.findOne({ filename: req.params.filename, isDeleted: false });
+  
+  if (!file) {
+    return sendErrorResponse(res, 404, 'File not found');
+  }
+  
+  if (!file.canAccess(req.user)) {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
+  
+  await sendFileContent(req, res, file, 'inline');
+});
+
+// Get a resized image variant (thumbnail, small, medium, large, compressed)
+const getFileVariant = catchAsync(async (req, res) => {
+  const { id, type } = req.params;
+  
+  if (!VARIANT_TYPES.includes(type)) {
+    return sendErrorResponse(res, 400, `Variant type must be one of: ${VARIANT_TYPES.join(', ')}`);
+  }
+  
+  const file = await File.findById(id);
+  
+  if (!file || file.isDeleted) {
+    return sendErrorResponse(res, 404, 'File not found');
+  }
+  
+  // Check access permissions
+  if (!file.canAccess(req.user)) {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
+  
+  const variant = file.variants.find(v => v.type === type);
+  
+  if (!variant) {
+    const isProcessing = ['pending', 'processing'].includes(file.processing.status);
+    return sendErrorResponse(res, 404, isProcessing ? 'Variant is still being generated' : 'Variant not available for this file');
+  }
+  
+  const baseName = path.basename(file.originalName, path.extname(file.originalName));
+  
+  const result = await sendStoredContent(req, res, {
+    storage: file.storage,
+    key: variant.path,
+    size: variant.size,
+    mimetype: VARIANT_MIMETYPE,
+    filename: `${baseName}-${type}.webp`,
+    disposition: 'inline',
+    isPublic: file.visibility === 'public',
+    etag: `"${file.contentHash || file._id}-${type}"`,
+    lastModified: file.processing.completedAt || file.updatedAt
+  });
+  
+  if (result.missing) {
+    logger.error(`Variant ${type} missing for ${file._id} at ${variant.path}`);
+    return sendErrorResponse(res, 404, 'Variant content not found');
   }
 });
 
 // Get user's files
 const getUserFiles = catchAsync(async (req, res) => {
-  const { page = 1, limit = 20, category, search, visibility } = req.query;
+  const { page = 1, limit = 20, category, search, visibility, folder: folderId } = req.query;
   
   const query = { 
     uploadedBy: req.user._id, 
     isDeleted: false 
   };
   
+  // Files directly in a folder ('root' for the top level)
+  if (folderId) {
+    const { folder, error, statusCode } = await resolveFolder(folderId, req.user);
+  
+    if (error) {
+      return sendErrorResponse(res, statusCode, error);
+    }
+  
+    Object.assign(query, File.folderCondition(folder ? folder._id : null));
+  }
+  
   if (category && category !== 'all') {
     query.category = category;
   }
@@ -235,7 +340,7 @@ const getUserFiles = catchAsync(async (req, res) => {
 // Update file metadata
 const updateFile = catchAsync(async (req, res) => {
   const { id } = req.params;
-  const { visibility, tags, description } = req.body;
+  const { visibility, tags, description, folder: folderId } = req.body;
   
   const file = await File.findById(id);
   
@@ -248,8 +353,34 @@ const updateFile = catchAsync(async (req, res) => {
     return sendErrorResponse(res, 403, 'Access denied');
   }
   
-  // Update allowed fields
-  if (visibility) file.visibility = visibility;
+  // Folders belong to the file's owner, so only they can move it
+  if (folderId !== undefined) {
+    if (!file.uploadedBy.equals(req.user._id)) {
+      return sendErrorResponse(res, 403, 'Only the owner can move a file');
+    }
+  
+    const { folder, error, statusCode } = await resolveFolder(folderId, req.user);
+  
+    if (error) {
+      return sendErrorResponse(res, statusCode, error);
+    }
+  
+    file.folder = folder ? folder._id : null;
+  }
+  
+  // Update allowed fields. 'inherit' makes visibility follow the folder again.
+  if (visibility === 'inherit') {
+    file.visibilityInherited = true;
+  } else if (visibility) {
+    file.visibility = visibility;
+    file.visibilityInherited = false;
+  }
+  
+  if (file.visibilityInherited && (folderId !== undefined || visibility === 'inherit')) {
+    const inherited = await getFolderVisibility(file.folder);
+    if (inherited) file.visibility = inherited;
+  }
+  
   if (tags) file.tags = tags;
   if (description !== undefined) file.description = description;
   
@@ -277,14 +408,73 @@ const deleteFile = catchAsync(async (req, res) => {
     return sendErrorResponse(res, 403, 'Access denied');
   }
   
+  // Permanent deletion releases the stored content right away; soft-deleted
+  // files are purged by the scheduled sweep. Either way the file stops
+  // counting towards its owner's storage quota.
+  if (req.query.permanent === 'true') {
+    await contentStore.purgeFile(file);
+    await releaseStorage(file.uploadedBy, file.size);
+  
+    logger.business('File Purged', { fileId: file._id, userId: req.user._id });
+  
+    return sendSuccessResponse(res, 200, null, 'File permanently deleted');
+  }
+  
   // Soft delete
   await file.softDelete();
+  await releaseStorage(file.uploadedBy, file.size);
   
   logger.business('File Deleted', { fileId: file._id, userId: req.user._id });
   
   sendSuccessResponse(res, 200, null, 'File deleted successfully');
 });
 
+// Restore a soft-deleted file that hasn't been purged yet
+const restoreFile = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  
+  const file = await File.findById(id);
+  
+  if (!file || !file.isDeleted) {
+    return sendErrorResponse(res, 404, 'Deleted file not found');
+  }
+  
+  if (!file.canDelete(req.user)) {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
+  
+  // The file counts towards its owner's quota again
+  const { reserved } = await reserveStorage(file.uploadedBy, file.size);
+  
+  if (!reserved) {
+    return sendErrorResponse(res, 413, 'Storage quota exceeded');
+  }
+  
+  // Files whose folder was deleted meanwhile go back to the root
+  if (file.folder && !(await Folder.exists({ _id: file.folder }))) {
+    file.folder = null;
+  }
+  
+  try {
+    await file.restore();
+  } catch (error) {
+    await releaseStorage(file.uploadedBy, file.size);
+    throw error;
+  }
+  
+  logger.business('File Restored', { fileId: file._id, userId: req.user._id });
+  
+  sendSuccessResponse(res, 200, {
+    file: {
+      id: file._id,
+      originalName: file.originalName,
+      size: file.size,
+      url: file.url,
+      visibility: file.visibility
+    }
+  }, 'File restored successfully');
+});
+
 // Create share link
 const createShareLink = catchAsync(async (req, res) => {
   const { id } = req.params;
@@ -359,16 +549,27 @@ const getFileStats = catchAsync(async (req, res) => {
   }, 'File statistics retrieved successfully');
 });
 
+// Get the current user's storage quota and usage
+const getStorageQuota = catchAsync(async (req, res) => {
+  const quota = await getQuotaStatus(req.user);
+  
+  sendSuccessResponse(res, 200, { quota }, 'Storage quota retrieved successfully');
+});
+
 module.exports = {
   upload,
   uploadFile,
   uploadMultipleFiles,
   getFileById,
   downloadFile,
+  serveLegacyUpload,
+  getFileVariant,
   getUserFiles,
   updateFile,
   deleteFile,
+  restoreFile,
   createShareLink,
   getSharedFile,
-  getFileStats
+  getFileStats,
+  getStorageQuota
 }; 
\ No newline at end of file
@@ -0,0 +1,224 @@
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const {
+  resolveFolder,
+  moveFiles,
+  createFolder: createFolderRecord,
+  updateFolder: updateFolderRecord,
+  deleteFolder: deleteFolderTree
+} = require('../services/folderService');
+const { sendSuccessResponse, sendErrorResponse, catchAsync } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const MAX_BATCH_MOVE = 500;
+
+// Parse a folder visibility from a request: 'inherit' or null inherit from
+// the parent. Returns undefined when the value is invalid.
+const parseVisibility = (value) => {
+  if (value === null || value === 'inherit') return null;
+  return Folder.VISIBILITIES.includes(value) ? value : undefined;
+};
+
+// Load the folder in the request path ('root' for the root folder)
+const findOwnedFolder = async (req, res) => {
+  const { folder, error, statusCode } = await resolveFolder(req.params.id, req.user);
+  
+  if (error) {
+    sendErrorResponse(res, statusCode, error);
+    return undefined;
+  }
+  
+  return folder;
+};
+
+// Create a folder
+const createFolder = catchAsync(async (req, res) => {
+  const { name, parent: parentId, visibility = null } = req.body;
+  
+  if (!name) {
+    return sendErrorResponse(res, 400, 'Folder name is required');
+  }
+  
+  const parsedVisibility = parseVisibility(visibility);
+  
+  if (parsedVisibility === undefined) {
+    return sendErrorResponse(res, 400, `Visibility must be one of: ${Folder.VISIBILITIES.join(', ')}, inherit`);
+  }
+  
+  const { folder: parent, error: parentError } = await resolveFolder(parentId, req.user);
+  
+  if (parentError) {
+    return sendErrorResponse(res, 400, 'Parent folder not found');
+  }
+  
+  const { folder, error, statusCode } = await createFolderRecord({
+    name,
+    parent,
+    visibility: parsedVisibility
+  }, req.user);
+  
+  if (error) {
+    return sendErrorResponse(res, statusCode, error);
+  }
+  
+  logger.business('Folder Created', {
+    folderId: folder._id,
+    parentId: folder.parent,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 201, {
+    folder
+  }, 'Folder created successfully');
+});
+
+// List a folder's subfolders and files with breadcrumbs ('root' for the root)
+const getFolderContents = catchAsync(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  
+  const folder = await findOwnedFolder(req, res);
+  if (folder === undefined) return;
+  
+  const fileQuery = {
+    uploadedBy: req.user._id,
+    isDeleted: false,
+    ...File.folderCondition(folder ? folder._id : null)
+  };
+  
+  const [folders, files, total, breadcrumbs, effectiveVisibility] = await Promise.all([
+    Folder.find({ owner: req.user._id, parent: folder ? folder._id : null }).sort({ name: 1 }),
+    File.find(fileQuery)
+      .sort({ originalName: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-path'), // Don't expose storage paths
+    File.countDocuments(fileQuery),
+    folder ? Folder.getBreadcrumbs(folder) : [],
+    folder ? Folder.getEffectiveVisibility(folder) : null
+  ]);
+  
+  sendSuccessResponse(res, 200, {
+    folder: folder ? { ...folder.toObject(), effectiveVisibility } : null,
+    breadcrumbs: [{ id: 'root', name: 'root' }, ...breadcrumbs],
+    folders,
+    files,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  }, 'Folder retrieved successfully');
+});
+
+// Rename, move or change the visibility of a folder
+const updateFolder = catchAsync(async (req, res) => {
+  const { name, parent: parentId, visibility } = req.body;
+  
+  if (req.params.id === 'root') {
+    return sendErrorResponse(res, 400, 'The root folder cannot be changed');
+  }
+  
+  const folder = await findOwnedFolder(req, res);
+  if (folder === undefined) return;
+  
+  const parsedVisibility = visibility === undefined ? undefined : parseVisibility(visibility);
+  
+  if (visibility !== undefined && parsedVisibility === undefined) {
+    return sendErrorResponse(res, 400, `Visibility must be one of: ${Folder.VISIBILITIES.join(', ')}, inherit`);
+  }
+  
+  let parent;
+  
+  if (parentId !== undefined) {
+    const resolved = await resolveFolder(parentId, req.user);
+  
+    if (resolved.error) {
+      return sendErrorResponse(res, 400, 'Parent folder not found');
+    }
+  
+    parent = resolved.folder;
+  }
+  
+  const { error, statusCode } = await updateFolderRecord(folder, {
+    name,
+    parent,
+    visibility: parsedVisibility
+  });
+  
+  if (error) {
+    return sendErrorResponse(res, statusCode, error);
+  }
+  
+  logger.business('Folder Updated', { folderId: folder._id, userId: req.user._id });
+  
+  sendSuccessResponse(res, 200, {
+    folder
+  }, 'Folder updated successfully');
+});
+
+// Delete a folder. Non-empty folders need ?recursive=true, which also deletes
+// nested folders and soft-deletes the files inside.
+const deleteFolder = catchAsync(async (req, res) => {
+  if (req.params.id === 'root') {
+    return sendErrorResponse(res, 400, 'The root folder cannot be deleted');
+  }
+  
+  const folder = await findOwnedFolder(req, res);
+  if (folder === undefined) return;
+  
+  const result = await deleteFolderTree(folder, { recursive: req.query.recursive === 'true' });
+  
+  if (result.error) {
+    return sendErrorResponse(res, result.statusCode, result.error);
+  }
+  
+  logger.business('Folder Deleted', {
+    folderId: folder._id,
+    folders: result.folders,
+    files: result.files,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 200, {
+    deletedFolders: result.folders,
+    deletedFiles: result.files
+  }, 'Folder deleted successfully');
+});
+
+// Move files into a folder ('root' for the root)
+const moveFilesToFolder = catchAsync(async (req, res) => {
+  const { fileIds } = req.body;
+  
+  if (!Array.isArray(fileIds) || fileIds.length === 0) {
+    return sendErrorResponse(res, 400, 'File ids are required');
+  }
+  
+  if (fileIds.length > MAX_BATCH_MOVE) {
+    return sendErrorResponse(res, 400, `At most ${MAX_BATCH_MOVE} files can be moved at once`);
+  }
+  
+  const folder = await findOwnedFolder(req, res);
+  if (folder === undefined) return;
+  
+  const { moved, notFound } = await moveFiles(fileIds, folder, req.user);
+  
+  logger.business('Files Moved', {
+    folderId: folder ? folder._id : null,
+    moved,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 200, {
+    moved,
+    notFound
+  }, 'Files moved successfully');
+});
+
+module.exports = {
+  createFolder,
+  getFolderContents,
+  updateFolder,
+  deleteFolder,
+  moveFilesToFolder
+};
@@ -1,4 +1,6 @@
+const mongoose = require('mongoose');
 const Url = require('../models/Url');
+const Collection = require('../models/Collection');
 const File = require('../models/File');
 const User = require('../models/User');
 const Complaint = require('../models/Complaint');
@@ -126,6 +128,9 @@ const searchUrls = catchAsync(async (req, res) => {
     dateTo, 
     minClicks,
     maxClicks,
+    collection,
+    includeNested,
+    shared,
     sortBy = 'createdAt', 
     sortOrder = 'desc',
     page = 1, 
@@ -133,15 +138,18 @@ const searchUrls = catchAsync(async (req, res) => {
   } = req.query;
   
   const query = { isActive: true };
+  const conditions = [];
   
   // Text search
   if (q) {
-    query.$or = [
-      { originalUrl: { $regex: q, $options: 'i' } },
-      { shortCode: { $regex: q, $options: 'i' } },
-      { customAlias: { $regex: q, $options: 'i' } },
-      { tags: { $in: [new RegExp(q, 'i')] } }
-    ];
+    conditions.push({
+      $or: [
+        { originalUrl: { $regex: q, $options: 'i' } },
+        { shortCode: { $regex: q, $options: 'i' } },
+        { customAlias: { $regex: q, $options: 'i' } },
+        { tags: { $in: [new RegExp(q, 'i')] } }
+      ]
+    });
   }
   
   // Category filter
@@ -169,16 +177,41 @@ const searchUrls = catchAsync(async (req, res) => {
     if (maxClicks) query['analytics.totalClicks'].$lte = parseInt(maxClicks);
   }
   
-  // Visibility filter
+  // Collection filter (requires access to the collection)
+  if (collection) {
+    const role = req.user && mongoose.isValidObjectId(collection)
+      ? await Collection.getUserRole(collection, req.user)
+      : null;
+    
+    if (!role) {
+      return sendErrorResponse(res, 404, 'Collection not found');
+    }
+    
+    query.collections = {
+      $in: includeNested === 'true' ? await Collection.getSubtreeIds(collection) : [collection]
+    };
+  }
+  
+  // Visibility filter (URLs in collections shared with the user count as theirs)
   if (req.user) {
-    query.$or = [
+    const visibility = [
       { createdBy: req.user._id },
       { isPublic: true }
     ];
+    
+    if (collection || shared === 'true') {
+      visibility.push({ collections: { $in: await Collection.getAccessibleIds(req.user._id) } });
+    }
+    
+    conditions.push({ $or: visibility });
   } else {
     query.isPublic = true;
   }
   
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+  
   // Sort configuration
   const sortConfig = {};
   sortConfig[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -207,6 +240,8 @@ const searchUrls = catchAsync(async (req, res) => {
       dateTo,
       minClicks,
       maxClicks,
+      collection,
+      shared,
       sortBy,
       sortOrder
     }
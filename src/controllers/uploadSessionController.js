@@ -0,0 +1,284 @@
+const UploadSession = require('../models/UploadSession');
+const { sendSuccessResponse, sendErrorResponse, catchAsync } = require('../middleware/errorHandler');
+const {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  CHECKSUM_ALGORITHMS,
+  MAX_UPLOAD_BYTES,
+  parseUploadMetadata,
+  parseChecksum,
+  createUploadSession,
+  appendUploadChunk,
+  completeUploadSession,
+  cancelUploadSession
+} = require('../services/resumableUpload');
+const { resolveFolder } = require('../services/folderService');
+const { logger } = require('../utils/logger');
+
+// Headers tus clients read from responses (exposed for browser clients)
+const EXPOSED_HEADERS = ['Location', 'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'X-File-Id'];
+
+const getUploadUrl = (req, session) => `${req.protocol}://${req.get('host')}${req.baseUrl}/uploads/${session._id}`;
+
+const formatSession = (req, session) => ({
+  id: session._id,
+  uploadUrl: getUploadUrl(req, session),
+  originalName: session.originalName,
+  mimetype: session.mimetype,
+  length: session.length,
+  offset: session.offset,
+  status: session.status,
+  file: session.file || null,
+  expiresAt: session.expiresAt
+});
+
+const setSessionHeaders = (res, session) => {
+  res.setHeader('Upload-Offset', session.offset);
+  res.setHeader('Upload-Length', session.length);
+  res.setHeader('Upload-Expires', session.expiresAt.toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+  if (session.file) res.setHeader('X-File-Id', session.file.toString());
+};
+
+// tus protocol headers for every resumable upload response. Requests from
+// tus clients must speak a supported protocol version.
+const tusHeaders = (req, res, next) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', TUS_EXTENSIONS.join(','));
+  res.setHeader('Tus-Max-Size', MAX_UPLOAD_BYTES);
+  res.setHeader('Tus-Checksum-Algorithm', CHECKSUM_ALGORITHMS.join(','));
+  res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+  
+  const clientVersion = req.get('Tus-Resumable');
+  if (clientVersion && clientVersion !== TUS_VERSION) {
+    return sendErrorResponse(res, 412, `Unsupported tus version; this server supports ${TUS_VERSION}`);
+  }
+  
+  next();
+};
+
+// Load an upload session owned by the current user
+const findOwnedSession = async (req, res) => {
+  const session = await UploadSession.findById(req.params.id);
+  
+  if (!session || session.owner.toString() !== req.user._id.toString()) {
+    sendErrorResponse(res, 404, 'Upload not found');
+    return null;
+  }
+  
+  if (session.isExpired()) {
+    sendErrorResponse(res, 410, 'Upload has expired');
+    return null;
+  }
+  
+  return session;
+};
+
+// Assemble a fully received upload, logging the new file
+const finishUpload = async (req, session) => {
+  const completed = await completeUploadSession(session);
+  
+  if (completed) {
+    logger.business('Resumable Upload Completed', {
+      uploadId: completed._id,
+      fileId: completed.file,
+      size: completed.length,
+      userId: req.user._id
+    });
+  }
+  
+  return completed;
+};
+
+// Create a resumable upload. tus clients send Upload-Length and
+// Upload-Metadata headers; other clients can send a JSON body.
+const createUpload = catchAsync(async (req, res) => {
+  const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+  const body = req.is('application/json') ? req.body : {};
+  
+  if (req.get('Upload-Defer-Length')) {
+    return sendErrorResponse(res, 400, 'Deferred upload length is not supported');
+  }
+  
+  const length = parseInt(req.get('Upload-Length') ?? body.size);
+  const originalName = metadata.filename || metadata.name || body.filename;
+  
+  if (!Number.isInteger(length) || length < 1) {
+    return sendErrorResponse(res, 400, 'Upload length must be a positive integer');
+  }
+  
+  if (length > MAX_UPLOAD_BYTES) {
+    return sendErrorResponse(res, 413, `Uploads are limited to ${MAX_UPLOAD_BYTES} bytes`);
+  }
+  
+  if (!originalName) {
+    return sendErrorResponse(res, 400, 'Filename is required');
+  }
+  
+  const { folder, error: folderError, statusCode } = await resolveFolder(metadata.folder || body.folder, req.user);
+  
+  if (folderError) {
+    return sendErrorResponse(res, statusCode, folderError);
+  }
+  
+  const tags = metadata.tags !== undefined
+    ? metadata.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    : body.tags;
+  
+  const created = await createUploadSession({
+    owner: req.user._id,
+    length,
+    originalName,
+    mimetype: metadata.filetype || metadata.type || body.mimetype,
+    visibility: metadata.visibility || body.visibility,
+    folder: folder ? folder._id : undefined,
+    tags,
+    description: metadata.description ?? body.description
+  });
+  
+  // The full length is charged to the storage quota until the upload ends
+  if (created.error) {
+    return sendErrorResponse(res, created.statusCode, created.error);
+  }
+  
+  const { session } = created;
+  
+  logger.business('Resumable Upload Started', {
+    uploadId: session._id,
+    filename: originalName,
+    size: length,
+    userId: req.user._id
+  });
+  
+  res.setHeader('Location', getUploadUrl(req, session));
+  setSessionHeaders(res, session);
+  
+  sendSuccessResponse(res, 201, {
+    upload: formatSession(req, session)
+  }, 'Upload created successfully');
+});
+
+// Current offset of an upload (tus HEAD)
+const getUploadOffset = catchAsync(async (req, res) => {
+  const session = await findOwnedSession(req, res);
+  if (!session) return;
+  
+  setSessionHeaders(res, session);
+  res.status(200).end();
+});
+
+// Upload status including the created file once complete
+const getUploadStatus = catchAsync(async (req, res) => {
+  const session = await findOwnedSession(req, res);
+  if (!session) return;
+  
+  setSessionHeaders(res, session);
+  
+  sendSuccessResponse(res, 200, {
+    upload: formatSession(req, session)
+  }, 'Upload retrieved successfully');
+});
+
+// Receive a chunk at Upload-Offset (tus PATCH, or PUT for other clients).
+// The upload is assembled into a file when its last byte arrives.
+const uploadChunk = catchAsync(async (req, res) => {
+  const isTus = req.method === 'PATCH';
+  
+  if (isTus && !req.is('application/offset+octet-stream')) {
+    return sendErrorResponse(res, 415, 'Content-Type must be application/offset+octet-stream');
+  }
+  
+  const session = await findOwnedSession(req, res);
+  if (!session) return;
+  
+  const offset = parseInt(req.get('Upload-Offset') ?? req.query.offset);
+  const checksum = parseChecksum(req.get('Upload-Checksum'));
+  
+  if (!Number.isInteger(offset) || offset < 0) {
+    return sendErrorResponse(res, 400, 'Upload-Offset header is required');
+  }
+  
+  if (checksum?.error) {
+    return sendErrorResponse(res, 400, checksum.error);
+  }
+  
+  if (session.status !== 'active' || offset !== session.offset) {
+    setSessionHeaders(res, session);
+    return sendErrorResponse(res, 409, `Upload offset is ${session.offset}`);
+  }
+  
+  const { session: updated, error, statusCode } = await appendUploadChunk(session, req, { offset, checksum });
+  
+  if (error) {
+    return sendErrorResponse(res, statusCode, error);
+  }
+  
+  const result = updated.offset === updated.length
+    ? (await finishUpload(req, updated)) || updated
+    : updated;
+  
+  setSessionHeaders(res, result);
+  
+  if (isTus) {
+    return res.status(204).end();
+  }
+  
+  sendSuccessResponse(res, 200, {
+    upload: formatSession(req, result)
+  }, result.status === 'completed' ? 'Upload completed successfully' : 'Chunk uploaded successfully');
+});
+
+// Assemble a fully received upload (retries a failed assembly)
+const completeUpload = catchAsync(async (req, res) => {
+  const session = await findOwnedSession(req, res);
+  if (!session) return;
+  
+  if (session.status === 'completed') {
+    return sendSuccessResponse(res, 200, {
+      upload: formatSession(req, session)
+    }, 'Upload already completed');
+  }
+  
+  if (session.offset !== session.length) {
+    return sendErrorResponse(res, 409, `Upload is incomplete: ${session.offset} of ${session.length} bytes received`);
+  }
+  
+  const completed = await finishUpload(req, session);
+  
+  if (!completed) {
+    return sendErrorResponse(res, 409, 'Upload is already being assembled');
+  }
+  
+  setSessionHeaders(res, completed);
+  
+  sendSuccessResponse(res, 200, {
+    upload: formatSession(req, completed)
+  }, 'Upload completed successfully');
+});
+
+// Cancel an upload and discard received chunks (tus termination)
+const cancelUpload = catchAsync(async (req, res) => {
+  const session = await findOwnedSession(req, res);
+  if (!session) return;
+  
+  if (session.status === 'assembling') {
+    return sendErrorResponse(res, 409, 'Upload is being assembled');
+  }
+  
+  await cancelUploadSession(session);
+  
+  logger.business('Resumable Upload Cancelled', { uploadId: session._id, userId: req.user._id });
+  
+  res.status(204).end();
+});
+
+module.exports = {
+  tusHeaders,
+  createUpload,
+  getUploadOffset,
+  getUploadStatus,
+  uploadChunk,
+  completeUpload,
+  cancelUpload
+};
@@ -1,20 +1,163 @@
+const mongoose = require('mongoose');
 const Url = require('../models/Url');
+const ClickEvent = require('../models/ClickEvent');
+const Domain = require('../models/Domain');
+const Collection = require('../models/Collection');
+const UrlRevision = require('../models/UrlRevision');
 const { sendSuccessResponse, sendErrorResponse, createError, catchAsync } = require('../middleware/errorHandler');
 const { cacheOperations } = require('../config/redis');
 const { logger } = require('../utils/logger');
+const { getVisitorFingerprint, trackVisitor, getUniqueVisitorCounts, getDailyUniqueVisitors } = require('../services/visitorTracker');
+const { recordClick } = require('../services/clickCounter');
+const { enrichClick } = require('../services/clickEnrichment');
+const { parseQrOptions, getQrCode } = require('../services/qrCodeService');
+const { parseUtmParameters, applyUtmParameters } = require('../utils/utm');
+const { scanDestinations, renderUnsafeWarningPage } = require('../services/urlScanner');
+const { parseRedirectRules, buildRuleContext, hasActiveRules, selectDestination, getRuleDestinations } = require('../services/redirectRules');
+const { queueMetadataFetch } = require('../services/linkPreview');
+const { isReservedCode, createWithUniqueCode, getKeyspaceStats } = require('../services/shortCodeGenerator');
+const { EXPORT_FORMATS, EXPORT_TYPES, sendAnalyticsExport } = require('../services/analyticsExport');
+const { checkLinkHealth } = require('../services/linkHealthChecker');
+const LinkHealthCheck = require('../models/LinkHealthCheck');
+const {
+  getPasswordVersion,
+  issueAccessCookie,
+  hasValidAccess,
+  isUnlockThrottled,
+  recordUnlockFailure,
+  clearUnlockFailures,
+  renderUnlockPage
+} = require('../services/urlAccessService');
+
+// Seconds browsers may reuse a plain link's redirect without asking again
+const REDIRECT_CACHE_SECONDS = parseInt(process.env.REDIRECT_CACHE_SECONDS) || 60;
+
+// Redirect data kept in the url:<scoped code> cache (never includes the password)
+const toCachedUrl = (url) => ({
+  originalUrl: url.originalUrl,
+  isActive: url.isActive,
+  expiresAt: url.expiresAt,
+  maxClicks: url.maxClicks || null,
+  utmParameters: url.utmParameters,
+  redirectRules: url.redirectRules,
+  isPasswordProtected: Boolean(url.password),
+  passwordVersion: getPasswordVersion(url.password),
+  isSafe: url.malwareCheck?.isSafe !== false,
+  fallbackUrl: url.fallbackUrl || null,
+  isBroken: url.health?.status === 'broken',
+  _id: url._id
+});
+
+// Validate an "expire after N clicks" value (null/empty removes the limit)
+const parseMaxClicks = (value) => {
+  if (value === undefined) return {};
+  if (value === null || value === '' || value === 0) return { maxClicks: null };
+  
+  const maxClicks = Number(value);
+  
+  if (!Number.isInteger(maxClicks) || maxClicks < 1) {
+    return { error: 'maxClicks must be a positive integer' };
+  }
+  
+  return { maxClicks };
+};
+
+// Keep ?domain=<hostname> on links built for API-path requests
+const getDomainQuery = (req) => (req.query.domain ? `?domain=${encodeURIComponent(req.query.domain)}` : '');
+
+// Get a user's role on a URL: 'owner' for the creator and admins, otherwise
+// the best role granted by a shared collection the URL is in
+const getUrlRole = async (url, user) => {
+  if (!user) return null;
+  if (user.role === 'admin' || url.createdBy?.toString() === user._id.toString()) return 'owner';
+  
+  return Collection.getUrlRole(url, user);
+};
+
+// Validate collection ids for a URL. Every collection added or removed must
+// be one the user can edit (owners may always remove their URL from one).
+const parseCollections = async (value, user, { current = [], isOwner = false } = {}) => {
+  if (value === undefined) return {};
+  
+  if (!Array.isArray(value) || !value.every(id => mongoose.isValidObjectId(id))) {
+    return { error: 'Collections must be an array of collection ids' };
+  }
+  
+  const collections = [...new Set(value.map(String))];
+  const currentIds = current.map(String);
+  const added = collections.filter(id => !currentIds.includes(id));
+  const removed = currentIds.filter(id => !collections.includes(id));
+  
+  if (user.role !== 'admin' && (added.length > 0 || (removed.length > 0 && !isOwner))) {
+    const editableIds = (await Collection.getAccessibleIds(user._id, 'editor')).map(String);
+    const changed = isOwner ? added : [...added, ...removed];
+    
+    if (changed.some(id => !editableIds.includes(id))) {
+      return { error: 'You can only file URLs in collections you can edit' };
+    }
+  }
+  
+  return { collections };
+};
 
 // Create short URL
 const createShortUrl = catchAsync(async (req, res) => {
-  const { originalUrl, customAlias, password, expiresAt, category, tags, domain, shortUrl, shortCode } = req.body;
+  const { originalUrl, customAlias, password, expiresAt, category, tags, domain: hostname, shortCode, fallbackUrl } = req.body;
   
   if (!originalUrl) {
     return sendErrorResponse(res, 400, 'Original URL is required');
   }
   
-  // Check if custom alias already exists
+  const { utmParameters, error: utmError } = parseUtmParameters(req.body);
+  
+  if (utmError) {
+    return sendErrorResponse(res, 400, utmError);
+  }
+  
+  const { redirectRules, error: rulesError } = parseRedirectRules(req.body.redirectRules);
+  
+  if (rulesError) {
+    return sendErrorResponse(res, 400, rulesError);
+  }
+  
+  const { maxClicks, error: maxClicksError } = parseMaxClicks(req.body.maxClicks);
+  
+  if (maxClicksError) {
+    return sendErrorResponse(res, 400, maxClicksError);
+  }
+  
+  const { collections, error: collectionsError } = req.user
+    ? await parseCollections(req.body.collections, req.user)
+    : {};
+  
+  if (collectionsError) {
+    return sendErrorResponse(res, 400, collectionsError);
+  }
+  
+  // Resolve the branded domain the link should be served from
+  let domain = null;
+  
+  if (hostname) {
+    domain = await Domain.findVerifiedByHostname(hostname);
+    
+    if (!domain) {
+      return sendErrorResponse(res, 400, 'Domain is not registered or not verified');
+    }
+    
+    if (!req.user || !domain.isOwnedBy(req.user)) {
+      return sendErrorResponse(res, 403, 'You cannot create links on this domain');
+    }
+  }
+  
+  if ((customAlias && isReservedCode(customAlias)) || (shortCode && isReservedCode(shortCode))) {
+    return sendErrorResponse(res, 400, 'This custom alias is reserved');
+  }
+  
+  // Check if custom alias already exists on the domain
   if (customAlias) {
     const existingUrl = await Url.findOne({ 
-      $or: [{ shortCode: customAlias }, { customAlias }] 
+      $or: [{ shortCode: customAlias }, { customAlias }],
+      domain: domain ? domain._id : null
     });
     
     if (existingUrl) {
@@ -30,10 +173,12 @@ const createShortUrl = catchAsync(async (req, res) => {
     password: password || null,
     category: category || 'other',
     tags: tags || [],
-    metadata: {
-      domain: domain || null
-    },
-    shortUrl: shortUrl || null,
+    utmParameters,
+    redirectRules,
+    maxClicks: maxClicks || null,
+    domain: domain ? domain._id : null,
+    collections: collections || [],
+    fallbackUrl: fallbackUrl || null,
     shortCode: shortCode || null
   };
   
@@ -41,15 +186,29 @@ const createShortUrl = catchAsync(async (req, res) => {
     urlData.expiresAt = new Date(expiresAt);
   }
   
-  const url = await Url.create(urlData);
+  // Check every destination against the configured scanners
+  urlData.malwareCheck = await scanDestinations([originalUrl, ...getRuleDestinations(redirectRules), fallbackUrl].filter(Boolean));
+  
+  // Generated codes are retried if a concurrent create takes them first
+  const url = await createWithUniqueCode(urlData);
+  
+  await UrlRevision.record(url, null, { action: 'create', user: req.user, req });
+  
+  if (!url.malwareCheck.isSafe) {
+    logger.security('Unsafe Short URL Created', {
+      urlId: url._id,
+      shortCode: url.shortCode,
+      originalUrl: url.originalUrl,
+      scanResults: url.malwareCheck.scanResults,
+      userId: req.user?._id
+    }, 'high');
+  }
   
   // Cache the URL for quick access
-  await cacheOperations.set(`url:${url.shortCode}`, {
-    originalUrl: url.originalUrl,
-    password: url.password,
-    isActive: url.isActive,
-    expiresAt: url.expiresAt
-  }, 3600);
+  await cacheOperations.set(`url:${Url.getScopedCode(url.shortCode, url.domain)}`, toCachedUrl(url), 3600);
+  
+  // Fetch title/description/image for link previews in the background
+  queueMetadataFetch(url._id);
   
   logger.business('URL Created', { 
     urlId: url._id, 
@@ -64,9 +223,18 @@ const createShortUrl = catchAsync(async (req, res) => {
       shortUrl: url.shortUrl,
       shortCode: url.shortCode,
       customAlias: url.customAlias,
+      domain: domain ? domain.hostname : null,
       category: url.category,
       tags: url.tags,
+      collections: url.collections,
+      utmParameters: url.utmParameters,
+      redirectRules: url.redirectRules,
+      malwareCheck: {
+        isSafe: url.malwareCheck.isSafe,
+        result: url.malwareCheck.scanResults?.result
+      },
       expiresAt: url.expiresAt,
+      maxClicks: url.maxClicks,
       createdAt: url.createdAt
     }
   }, 'Short URL created successfully');
@@ -75,29 +243,29 @@ const createShortUrl = catchAsync(async (req, res) => {
 // Redirect to original URL
 const redirectToOriginal = catchAsync(async (req, res) => {
   const { code } = req.params;
-  const { password } = req.query;
+  const domainId = req.shortDomain ? req.shortDomain._id : null;
+  const scopedCode = Url.getScopedCode(code, domainId);
   
   // Try to get from cache first
-  let urlData = await cacheOperations.get(`url:${code}`);
+  let urlData = await cacheOperations.get(`url:${scopedCode}`);
+  
+  // Entries cached before passwords were hashed carry no protection flag
+  if (urlData && urlData.isPasswordProtected === undefined) {
+    urlData = null;
+  }
   
   if (!urlData) {
     // If not in cache, get from database
-    const url = await Url.findByCode(code);
+    const url = await Url.findByCode(code, domainId).select('+password');
     
     if (!url) {
       return sendErrorResponse(res, 404, 'Short URL not found');
     }
     
-    urlData = {
-      originalUrl: url.originalUrl,
-      password: url.password,
-      isActive: url.isActive,
-      expiresAt: url.expiresAt,
-      _id: url._id
-    };
+    urlData = toCachedUrl(url);
     
     // Cache for future requests
-    await cacheOperations.set(`url:${code}`, urlData, 3600);
+    await cacheOperations.set(`url:${scopedCode}`, urlData, 3600);
   }
   
   // Check if URL is accessible
@@ -109,46 +277,231 @@ const redirectToOriginal = catchAsync(async (req, res) => {
     return sendErrorResponse(res, 404, 'Short URL has expired');
   }
   
-  if (urlData.password && urlData.password !== password) {
-    return sendErrorResponse(res, 401, 'Password required to access this URL');
+  // Flagged destinations get a warning instead of a redirect
+  if (urlData.isSafe === false) {
+    logger.security('Blocked Unsafe Redirect', {
+      shortCode: code,
+      domain: req.shortDomain?.hostname,
+      ip: req.ip
+    }, 'medium');
+    
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.status(403).send(renderUnsafeWarningPage(code));
+    }
+    
+    return sendErrorResponse(res, 403, 'This link has been flagged as unsafe');
+  }
+  
+  // Password protected URLs need a valid access cookie from /unlock
+  if (urlData.isPasswordProtected && !hasValidAccess(req, code, urlData.passwordVersion)) {
+    const unlockUrl = `${req.baseUrl}/${code}/unlock${getDomainQuery(req)}`;
+    
+    if (req.accepts(['json', 'html']) === 'html') {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(401).send(renderUnlockPage(code, unlockUrl));
+    }
+    
+    return res.status(401).json({
+      success: false,
+      message: 'Password required to access this URL',
+      statusCode: 401,
+      unlockUrl
+    });
+  }
+  
+  // Click-limited links are counted atomically before redirecting
+  if (urlData.maxClicks) {
+    const consumed = await Url.consumeLimitedClick(urlData._id);
+    
+    if (!consumed || !consumed.isActive) {
+      // Limit reached: later requests must not be served from cache
+      await cacheOperations.del(`url:${scopedCode}`);
+    }
+    
+    if (!consumed) {
+      return sendErrorResponse(res, 410, 'This link has reached its click limit');
+    }
   }
   
-  // Update analytics (async, don't wait)
+  const fingerprint = getVisitorFingerprint(req);
+  
+  const visit = {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    // Internal entry points (e.g. bio pages) tag their clicks
+    referrer: req.clickReferrer || req.get('Referrer')
+  };
+  const enrichment = enrichClick(visit);
+  
+  // Pick the destination from the redirect rules (falls back to originalUrl)
+  const { url: selectedUrl, variant } = selectDestination(urlData, buildRuleContext(req, enrichment, fingerprint));
+  
+  // Send visitors to the fallback while the health checker marks the destination broken
+  const useFallback = Boolean(urlData.isBroken && urlData.fallbackUrl && selectedUrl === urlData.originalUrl);
+  const destinationUrl = useFallback ? urlData.fallbackUrl : selectedUrl;
+  
+  // Update analytics (async, don't wait) - counters are buffered in Redis
+  // and flushed to MongoDB in batches by the click counter service
   if (urlData._id) {
-    Url.findById(urlData._id).then(url => {
-      if (url) {
-        url.incrementClick({
-          isUnique: true, // Simplified - in production, track by IP/user
-          ip: req.ip,
-          userAgent: req.get('User-Agent'),
-          referrer: req.get('Referrer')
-        });
+    const clickedAt = new Date();
+    trackVisitor(scopedCode, fingerprint, clickedAt).then(isUnique => recordClick(
+      { _id: urlData._id, shortCode: code },
+      {
+        ...visit,
+        ...enrichment,
+        isUnique,
+        visitorId: fingerprint,
+        variant,
+        timestamp: clickedAt
       }
-    }).catch(err => logger.error('Analytics update failed:', err));
+    )).catch(err => logger.error('Analytics update failed:', err));
   }
   
   logger.business('URL Accessed', { 
     shortCode: code, 
+    domain: req.shortDomain?.hostname,
+    variant: variant ? `${variant.rule}/${variant.destination}` : undefined,
+    fallback: useFallback || undefined,
     ip: req.ip 
   });
   
-  // Redirect to original URL
-  res.redirect(301, urlData.originalUrl);
+  // Links are redirected with 302 so edits, expiry and deactivation take
+  // effect (a cached 301 is kept by browsers indefinitely). Rule-based,
+  // click-limited, fallback and bio page links must reach the server on every
+  // visit; plain links may be cached briefly.
+  const mustRevalidate = hasActiveRules(urlData.redirectRules) || urlData.maxClicks || urlData.fallbackUrl || req.clickReferrer;
+  res.setHeader('Cache-Control', mustRevalidate ? 'private, no-cache' : `private, max-age=${REDIRECT_CACHE_SECONDS}`);
+  
+  // Redirect to original URL (with the link's UTM parameters applied)
+  res.redirect(302, applyUtmParameters(destinationUrl, urlData.utmParameters));
+});
+
+// Redirect requests for a branded domain's root
+const redirectDomainRoot = (req, res, next) => {
+  if (req.shortDomain && req.shortDomain.rootRedirectUrl) {
+    return res.redirect(302, req.shortDomain.rootRedirectUrl);
+  }
+  
+  next();
+};
+
+// Parse a from/to query range, defaulting to the last `defaultDays` days
+const parseDateRange = (from, to, defaultDays = 30) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+  
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'Invalid from/to date' };
+  }
+  
+  if (start > end) {
+    return { error: '"from" must be before "to"' };
+  }
+  
+  return { from: start, to: end };
+};
+
+// Unlock a password protected URL
+const unlockUrl = catchAsync(async (req, res) => {
+  const { code } = req.params;
+  const { password } = req.body;
+  const isFormPost = req.is('application/x-www-form-urlencoded');
+  const domainId = req.shortDomain ? req.shortDomain._id : null;
+  const scopedCode = Url.getScopedCode(code, domainId);
+  const unlockPath = `${req.baseUrl}/${code}/unlock${getDomainQuery(req)}`;
+  
+  const sendUnlockError = (statusCode, message) => {
+    if (isFormPost) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(statusCode).send(renderUnlockPage(code, unlockPath, message));
+    }
+    return sendErrorResponse(res, statusCode, message);
+  };
+  
+  const throttle = await isUnlockThrottled(scopedCode, req.ip);
+  
+  if (throttle.throttled) {
+    res.setHeader('Retry-After', throttle.retryAfter);
+    return sendUnlockError(429, 'Too many incorrect password attempts, please try again later');
+  }
+  
+  if (throttle.delayMs) {
+    await new Promise(resolve => setTimeout(resolve, throttle.delayMs));
+  }
+  
+  if (!password) {
+    return sendUnlockError(400, 'Password is required');
+  }
+  
+  const url = await Url.findByCode(code, domainId).select('+password');
+  
+  if (!url) {
+    return sendUnlockError(404, 'Short URL not found');
+  }
+  
+  if (!(await url.comparePassword(password))) {
+    await recordUnlockFailure(scopedCode, req.ip);
+    
+    logger.security('Short URL Unlock Failed', {
+      shortCode: code,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    }, 'medium');
+    
+    return sendUnlockError(401, 'Incorrect password');
+  }
+  
+  await clearUnlockFailures(scopedCode, req.ip);
+  
+  // The cached redirect carries the password version, which the hash changes
+  if (await url.rehashLegacyPassword(password)) {
+    await cacheOperations.del(`url:${scopedCode}`);
+  }
+  
+  const redirectUrl = `${req.baseUrl}/${code}${getDomainQuery(req)}`;
+  const { expiresIn } = issueAccessCookie(res, code, getPasswordVersion(url.password), `${req.baseUrl}/${code}`);
+  
+  if (isFormPost) {
+    return res.redirect(303, redirectUrl);
+  }
+  
+  sendSuccessResponse(res, 200, {
+    redirectUrl,
+    expiresIn
+  }, 'URL unlocked successfully');
 });
 
 // Get URL analytics
 const getUrlAnalytics = catchAsync(async (req, res) => {
   const { code } = req.params;
+  const { source = 'embedded', from, to } = req.query;
   
-  const url = await Url.findByCode(code);
+  const url = await Url.findByCode(code, req.shortDomain ? req.shortDomain._id : null);
   
   if (!url) {
     return sendErrorResponse(res, 404, 'Short URL not found');
   }
   
-  // Check if user owns the URL or is admin
-  if (req.user && (url.createdBy?.toString() === req.user._id.toString() || req.user.role === 'admin')) {
-    const analytics = url.getAnalyticsSummary();
+  // Owners, admins and collection members can view analytics
+  if (Collection.hasRole(await getUrlRole(url, req.user), 'viewer')) {
+    let analytics;
+    
+    if (source === 'events') {
+      const range = parseDateRange(from, to, 365 * 10);
+      
+      if (range.error) {
+        return sendErrorResponse(res, 400, range.error);
+      }
+      
+      analytics = await url.getAnalyticsSummary({ source: 'events', from: range.from, to: range.to });
+    } else {
+      analytics = url.getAnalyticsSummary();
+    }
+    
+    // Unique visitor counts come from the per-code HyperLogLogs
+    const scopedCode = Url.getScopedCode(url.shortCode, url.domain);
+    analytics.uniqueVisitors = await getUniqueVisitorCounts(scopedCode);
+    analytics.dailyUniqueVisitors = await getDailyUniqueVisitors(scopedCode);
     
     sendSuccessResponse(res, 200, {
       url: {
@@ -164,23 +517,248 @@ const getUrlAnalytics = catchAsync(async (req, res) => {
   }
 });
 
+// Get click time series for a URL
+const getUrlTimeSeries = catchAsync(async (req, res) => {
+  const { code } = req.params;
+  const { interval = 'day', from, to, groupBy } = req.query;
+  
+  if (!ClickEvent.INTERVALS.includes(interval)) {
+    return sendErrorResponse(res, 400, `Interval must be one of: ${ClickEvent.INTERVALS.join(', ')}`);
+  }
+  
+  const dimensions = groupBy ? groupBy.split(',').map(field => field.trim()).filter(Boolean) : [];
+  const invalidDimensions = dimensions.filter(field => !ClickEvent.GROUP_BY_FIELDS.includes(field));
+  
+  if (invalidDimensions.length > 0) {
+    return sendErrorResponse(res, 400, `Invalid groupBy: ${invalidDimensions.join(', ')}. Allowed: ${ClickEvent.GROUP_BY_FIELDS.join(', ')}`);
+  }
+  
+  const range = parseDateRange(from, to, interval === 'hour' ? 1 : 30);
+  
+  if (range.error) {
+    return sendErrorResponse(res, 400, range.error);
+  }
+  
+  // Keep hourly series to a sensible number of buckets
+  if (interval === 'hour' && range.to - range.from > 31 * 24 * 60 * 60 * 1000) {
+    return sendErrorResponse(res, 400, 'Hourly time series are limited to 31 days');
+  }
+  
+  const url = await Url.findByCode(code, req.shortDomain ? req.shortDomain._id : null);
+  
+  if (!url) {
+    return sendErrorResponse(res, 404, 'Short URL not found');
+  }
+  
+  // Owners, admins and collection members can view analytics
+  if (!Collection.hasRole(await getUrlRole(url, req.user), 'viewer')) {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
+  
+  const series = await ClickEvent.getTimeSeries(url._id, {
+    interval,
+    from: range.from,
+    to: range.to,
+    groupBy: dimensions
+  });
+  
+  sendSuccessResponse(res, 200, {
+    url: {
+      id: url._id,
+      shortCode: url.shortCode
+    },
+    interval,
+    from: range.from,
+    to: range.to,
+    groupBy: dimensions,
+    series
+  }, 'Time series retrieved successfully');
+});
+
+// Validate export query options (format, type and date range)
+const parseExportOptions = (query) => {
+  const { format = 'csv', type = 'daily', from, to } = query;
+  
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+  
+  if (!EXPORT_TYPES.includes(type)) {
+    return { error: `Type must be one of: ${EXPORT_TYPES.join(', ')}` };
+  }
+  
+  const range = parseDateRange(from, to, 30);
+  
+  if (range.error) {
+    return { error: range.error };
+  }
+  
+  return { format, type, from: range.from, to: range.to };
+};
+
+const formatExportDate = (date) => date.toISOString().slice(0, 10);
+
+// Export click analytics for a URL as CSV or XLSX
+const exportUrlAnalytics = catchAsync(async (req, res) => {
+  const { code } = req.params;
+  
+  const options = parseExportOptions(req.query);
+  
+  if (options.error) {
+    return sendErrorResponse(res, 400, options.error);
+  }
+  
+  const url = await Url.findByCode(code, req.shortDomain ? req.shortDomain._id : null)
+    .select('shortCode shortUrl originalUrl createdBy collections');
+  
+  if (!url) {
+    return sendErrorResponse(res, 404, 'Short URL not found');
+  }
+  
+  // Owners, admins and collection members can export analytics
+  if (!Collection.hasRole(await getUrlRole(url, req.user), 'viewer')) {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
+  
+  const links = new Map([[url._id.toString(), url]]);
+  
+  logger.business('Analytics Exported', {
+    urlId: url._id,
+    format: options.format,
+    type: options.type,
+    userId: req.user._id
+  });
+  
+  const { error } = await sendAnalyticsExport(res, links, {
+    ...options,
+    filename: `analytics-${url.shortCode}-${formatExportDate(options.from)}-${formatExportDate(options.to)}`
+  });
+  
+  if (error) {
+    return sendErrorResponse(res, 422, error);
+  }
+});
+
+// Export click analytics for all of the current user's URLs
+const exportUserAnalytics = catchAsync(async (req, res) => {
+  const options = parseExportOptions(req.query);
+  
+  if (options.error) {
+    return sendErrorResponse(res, 400, options.error);
+  }
+  
+  const urls = await Url.find({ createdBy: req.user._id })
+    .select('shortCode shortUrl originalUrl')
+    .lean();
+  
+  const links = new Map(urls.map(url => [url._id.toString(), url]));
+  
+  logger.business('Analytics Exported', {
+    urls: urls.length,
+    format: options.format,
+    type: options.type,
+    userId: req.user._id
+  });
+  
+  const { error } = await sendAnalyticsExport(res, links, {
+    ...options,
+    filename: `analytics-${formatExportDate(options.from)}-${formatExportDate(options.to)}`
+  });
+  
+  if (error) {
+    return sendErrorResponse(res, 422, error);
+  }
+});
+
+// Get QR code for a short URL
+const getUrlQrCode = catchAsync(async (req, res) => {
+  const { code } = req.params;
+  
+  const options = parseQrOptions(req.query);
+  
+  if (options.error) {
+    return sendErrorResponse(res, 400, options.error);
+  }
+  
+  const url = await Url.findByCode(code, req.shortDomain ? req.shortDomain._id : null).select('shortCode shortUrl qrCode');
+  
+  if (!url) {
+    return sendErrorResponse(res, 404, 'Short URL not found');
+  }
+  
+  const { buffer, contentType, cacheKey } = await getQrCode(url.shortUrl, options);
+  
+  // Track downloads atomically (async, don't wait)
+  const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+  Url.updateOne({ _id: url._id }, {
+    $inc: { 'qrCode.downloads': 1 },
+    $set: {
+      'qrCode.enabled': true,
+      'qrCode.imageUrl': `${baseUrl}/api/url/${url.shortCode}/qr${req.shortDomain ? `?domain=${req.shortDomain.hostname}` : ''}`
+    }
+  }).catch(err => logger.error('QR download count update failed:', err));
+  
+  logger.business('QR Code Downloaded', {
+    shortCode: url.shortCode,
+    format: options.format,
+    userId: req.user?._id
+  });
+  
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Length', buffer.length);
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.setHeader('ETag', `"${cacheKey.split(':')[1]}"`);
+  
+  if (req.query.download === 'true') {
+    res.setHeader('Content-Disposition', `attachment; filename="${url.shortCode}-qr.${options.format}"`);
+  }
+  
+  res.status(200).send(buffer);
+});
+
 // Get user's URLs
 const getUserUrls = catchAsync(async (req, res) => {
-  const { page = 1, limit = 20, category, search } = req.query;
+  const { page = 1, limit = 20, category, search, collection, includeNested, shared } = req.query;
   
-  const query = { createdBy: req.user._id };
+  const query = {};
+  
+  if (collection) {
+    // Everything in the collection (and optionally its sub-collections),
+    // whoever created it
+    const role = mongoose.isValidObjectId(collection)
+      ? await Collection.getUserRole(collection, req.user)
+      : null;
+    
+    if (!role) {
+      return sendErrorResponse(res, 404, 'Collection not found');
+    }
+    
+    const collectionIds = includeNested === 'true'
+      ? await Collection.getSubtreeIds(collection)
+      : [collection];
+    
+    query.collections = { $in: collectionIds };
+  } else if (shared === 'true') {
+    // My URLs plus URLs in collections shared with me
+    const sharedIds = await Collection.getAccessibleIds(req.user._id);
+    query.$or = [{ createdBy: req.user._id }, { collections: { $in: sharedIds } }];
+  } else {
+    query.createdBy = req.user._id;
+  }
   
   if (category && category !== 'all') {
     query.category = category;
   }
   
   if (search) {
-    query.$or = [
-      { originalUrl: { $regex: search, $options: 'i' } },
-      { shortCode: { $regex: search, $options: 'i' } },
-      { customAlias: { $regex: search, $options: 'i' } },
-      { tags: { $in: [new RegExp(search, 'i')] } }
-    ];
+    query.$and = [{
+      $or: [
+        { originalUrl: { $regex: search, $options: 'i' } },
+        { shortCode: { $regex: search, $options: 'i' } },
+        { customAlias: { $regex: search, $options: 'i' } },
+        { tags: { $in: [new RegExp(search, 'i')] } }
+      ]
+    }];
   }
   
   const urls = await Url.find(query)
@@ -202,46 +780,285 @@ const getUserUrls = catchAsync(async (req, res) => {
   }, 'URLs retrieved successfully');
 });
 
+// Save an edited URL: rescan its destinations, drop the cached redirect and
+// append a revision. Destination changes also refresh the link preview.
+const saveUrlChanges = async (req, url, before, previousUrl, options = {}) => {
+  const destinationChanged = url.originalUrl !== previousUrl;
+  
+  // A new destination gets a fresh preview and health status
+  if (destinationChanged) {
+    url.metadata.fetchStatus = 'pending';
+    url.health = { status: 'unknown', consecutiveFailures: 0 };
+  }
+  
+  // Re-check the destinations against the current blocklist
+  url.malwareCheck = await scanDestinations([url.originalUrl, ...getRuleDestinations(url.redirectRules), url.fallbackUrl].filter(Boolean));
+  
+  await url.save();
+  
+  // Update cache
+  await cacheOperations.del(`url:${Url.getScopedCode(url.shortCode, url.domain)}`);
+  
+  if (destinationChanged) {
+    queueMetadataFetch(url._id);
+    
+    logger.security('URL Destination Changed', {
+      urlId: url._id,
+      shortCode: url.shortCode,
+      from: previousUrl,
+      to: url.originalUrl,
+      isSafe: url.malwareCheck.isSafe,
+      userId: req.user._id
+    }, url.malwareCheck.isSafe ? 'low' : 'high');
+  }
+  
+  return UrlRevision.record(url, before, { user: req.user, req, ...options });
+};
+
 // Update URL
 const updateUrl = catchAsync(async (req, res) => {
   const { id } = req.params;
-  const { category, tags, password, expiresAt, isActive } = req.body;
+  const { originalUrl, category, tags, password, expiresAt, isActive, fallbackUrl } = req.body;
   
-  const url = await Url.findById(id);
+  const { utmParameters, error: utmError } = parseUtmParameters(req.body);
+  
+  if (utmError) {
+    return sendErrorResponse(res, 400, utmError);
+  }
+  
+  // Rules are replaced as a whole; omit redirectRules to keep the current ones
+  const { redirectRules, error: rulesError } = req.body.redirectRules !== undefined
+    ? parseRedirectRules(req.body.redirectRules)
+    : {};
+  
+  if (rulesError) {
+    return sendErrorResponse(res, 400, rulesError);
+  }
+  
+  const { maxClicks, error: maxClicksError } = parseMaxClicks(req.body.maxClicks);
+  
+  if (maxClicksError) {
+    return sendErrorResponse(res, 400, maxClicksError);
+  }
+  
+  const url = await Url.findById(id).select('+password');
   
   if (!url) {
     return sendErrorResponse(res, 404, 'URL not found');
   }
   
-  // Check ownership
-  if (url.createdBy?.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Owners, admins and collection editors can update
+  const role = await getUrlRole(url, req.user);
+  
+  if (!Collection.hasRole(role, 'editor')) {
     return sendErrorResponse(res, 403, 'Access denied');
   }
   
+  const { collections, error: collectionsError } = await parseCollections(req.body.collections, req.user, {
+    current: url.collections,
+    isOwner: role === 'owner'
+  });
+  
+  if (collectionsError) {
+    return sendErrorResponse(res, 400, collectionsError);
+  }
+  
+  const before = UrlRevision.snapshot(url);
+  const previousUrl = url.originalUrl;
+  
   // Update allowed fields
+  if (originalUrl !== undefined) url.originalUrl = originalUrl;
   if (category) url.category = category;
   if (tags) url.tags = tags;
-  if (password !== undefined) url.password = password;
+  if (password !== undefined) url.password = password || null;
   if (expiresAt !== undefined) url.expiresAt = expiresAt ? new Date(expiresAt) : null;
   if (isActive !== undefined) url.isActive = isActive;
+  Object.entries(utmParameters).forEach(([field, value]) => {
+    url.set(`utmParameters.${field}`, value);
+  });
+  if (redirectRules) url.redirectRules = redirectRules;
+  if (maxClicks !== undefined) url.maxClicks = maxClicks;
+  if (collections) url.collections = collections;
+  if (fallbackUrl !== undefined) url.fallbackUrl = fallbackUrl || null;
+  
+  const revision = await saveUrlChanges(req, url, before, previousUrl);
+  
+  logger.business('URL Updated', { urlId: url._id, userId: req.user._id, version: revision?.version });
+  
+  sendSuccessResponse(res, 200, {
+    url,
+    revision: revision ? { version: revision.version, changes: revision.changes } : null
+  }, 'URL updated successfully');
+});
+
+// List the revision history of a URL
+const getUrlRevisions = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  
+  const url = await Url.findById(id).select('createdBy collections');
+  
+  if (!url) {
+    return sendErrorResponse(res, 404, 'URL not found');
+  }
   
+  // Owners, admins and collection members can see the history
+  if (!Collection.hasRole(await getUrlRole(url, req.user), 'viewer')) {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
+  
+  const revisions = await UrlRevision.find({ url: url._id })
+    .populate('changedBy', 'username email')
+    .sort({ version: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .select('-snapshot');
+  
+  const total = await UrlRevision.countDocuments({ url: url._id });
+  
+  sendSuccessResponse(res, 200, {
+    revisions,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  }, 'URL revisions retrieved successfully');
+});
+
+// Restore a URL to the state recorded in an earlier revision
+const rollbackUrl = catchAsync(async (req, res) => {
+  const { id, version } = req.params;
+  
+  const url = await Url.findById(id).select('+password');
+  
+  if (!url) {
+    return sendErrorResponse(res, 404, 'URL not found');
+  }
+  
+  // Owners, admins and collection editors can roll back
+  if (!Collection.hasRole(await getUrlRole(url, req.user), 'editor')) {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
+  
+  const target = await UrlRevision.findOne({ url: url._id, version: parseInt(version) });
+  
+  if (!target) {
+    return sendErrorResponse(res, 404, 'Revision not found');
+  }
+  
+  const before = UrlRevision.snapshot(url);
+  const previousUrl = url.originalUrl;
+  
+  UrlRevision.ROLLBACK_FIELDS.forEach(field => {
+    if (target.snapshot[field] !== undefined) url.set(field, target.snapshot[field]);
+  });
+  
+  const revision = await saveUrlChanges(req, url, before, previousUrl, {
+    action: 'rollback',
+    rolledBackTo: target.version
+  });
+  
+  logger.business('URL Rolled Back', {
+    urlId: url._id,
+    rolledBackTo: target.version,
+    version: revision?.version,
+    userId: req.user._id
+  });
+  
+  sendSuccessResponse(res, 200, {
+    url,
+    revision: revision ? { version: revision.version, changes: revision.changes } : null
+  }, revision ? `URL rolled back to revision ${target.version}` : 'URL already matches this revision');
+});
+
+// Refetch link preview metadata
+const refreshUrlMetadata = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  
+  const url = await Url.findById(id);
+  
+  if (!url) {
+    return sendErrorResponse(res, 404, 'URL not found');
+  }
+  
+  // Owners, admins and collection editors can refresh
+  if (!Collection.hasRole(await getUrlRole(url, req.user), 'editor')) {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
+  
+  url.metadata.fetchStatus = 'pending';
   await url.save();
   
-  // Update cache
-  await cacheOperations.del(`url:${url.shortCode}`);
+  queueMetadataFetch(url._id);
+  
+  sendSuccessResponse(res, 202, {
+    metadata: url.metadata
+  }, 'Metadata refresh queued');
+});
+
+// Get destination health and recent check history
+const getUrlHealth = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { limit = 50 } = req.query;
+  
+  const url = await Url.findById(id).select('originalUrl fallbackUrl health createdBy collections');
+  
+  if (!url) {
+    return sendErrorResponse(res, 404, 'URL not found');
+  }
+  
+  // Owners, admins and collection members can see link health
+  if (!Collection.hasRole(await getUrlRole(url, req.user), 'viewer')) {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
   
-  logger.business('URL Updated', { urlId: url._id, userId: req.user._id });
+  const history = await LinkHealthCheck.getHistory(url._id, Math.min(parseInt(limit) || 50, 500));
   
   sendSuccessResponse(res, 200, {
-    url
-  }, 'URL updated successfully');
+    originalUrl: url.originalUrl,
+    fallbackUrl: url.fallbackUrl,
+    health: url.health,
+    history
+  }, 'Link health retrieved successfully');
+});
+
+// Check a URL's destination now instead of waiting for the scheduled job
+const checkUrlHealth = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  
+  const url = await Url.findById(id).select('originalUrl shortCode shortUrl domain createdBy collections fallbackUrl health');
+  
+  if (!url) {
+    return sendErrorResponse(res, 404, 'URL not found');
+  }
+  
+  // Owners, admins and collection editors can trigger checks
+  if (!Collection.hasRole(await getUrlRole(url, req.user), 'editor')) {
+    return sendErrorResponse(res, 403, 'Access denied');
+  }
+  
+  const result = await checkLinkHealth(url);
+  
+  sendSuccessResponse(res, 200, {
+    check: {
+      isHealthy: result.isHealthy,
+      statusCode: result.statusCode,
+      method: result.method,
+      responseTimeMs: result.responseTimeMs,
+      error: result.error
+    },
+    status: result.status,
+    consecutiveFailures: result.consecutiveFailures
+  }, 'Link health checked successfully');
 });
 
 // Delete URL
 const deleteUrl = catchAsync(async (req, res) => {
   const { id } = req.params;
   
-  const url = await Url.findById(id);
+  const url = await Url.findById(id).select('+password');
   
   if (!url) {
     return sendErrorResponse(res, 404, 'URL not found');
@@ -252,18 +1069,51 @@ const deleteUrl = catchAsync(async (req, res) => {
     return sendErrorResponse(res, 403, 'Access denied');
   }
   
+  const before = UrlRevision.snapshot(url);
+  
   // Soft delete by marking as inactive
   url.isActive = false;
   await url.save();
   
+  await UrlRevision.record(url, before, { action: 'delete', user: req.user, req });
+  
   // Remove from cache
-  await cacheOperations.del(`url:${url.shortCode}`);
+  await cacheOperations.del(`url:${Url.getScopedCode(url.shortCode, url.domain)}`);
   
   logger.business('URL Deleted', { urlId: url._id, userId: req.user._id });
   
   sendSuccessResponse(res, 200, null, 'URL deleted successfully');
 });
 
+// Get campaign report for the current user's URLs
+const getCampaignReport = catchAsync(async (req, res) => {
+  const { from, to } = req.query;
+  let range = {};
+  
+  if (from || to) {
+    range = parseDateRange(from, to, 365 * 10);
+    
+    if (range.error) {
+      return sendErrorResponse(res, 400, range.error);
+    }
+  }
+  
+  const campaigns = await Url.getCampaignStats(req.user._id, range);
+  
+  const totals = campaigns.reduce((acc, campaign) => ({
+    urls: acc.urls + campaign.urls,
+    totalClicks: acc.totalClicks + campaign.totalClicks,
+    uniqueClicks: acc.uniqueClicks + campaign.uniqueClicks
+  }), { urls: 0, totalClicks: 0, uniqueClicks: 0 });
+  
+  sendSuccessResponse(res, 200, {
+    from: range.from || null,
+    to: range.to || null,
+    totals,
+    campaigns
+  }, 'Campaign report retrieved successfully');
+});
+
 // Get popular URLs
 const getPopularUrls = catchAsync(async (req, res) => {
   const { limit = 10, timeframe = 'all' } = req.query;
@@ -294,6 +1144,9 @@ const getUrlStats = catchAsync(async (req, res) => {
     { $sort: { count: -1 } }
   ]);
   
+  // Short code keyspace usage for the configured generator
+  const keyspace = await getKeyspaceStats();
+  
   sendSuccessResponse(res, 200, {
     overview: stats[0] || {
       totalUrls: 0,
@@ -301,17 +1154,30 @@ const getUrlStats = catchAsync(async (req, res) => {
       totalClicks: 0,
       avgClicksPerUrl: 0
     },
-    categoryStats
+    categoryStats,
+    keyspace
   }, 'URL statistics retrieved successfully');
 });
 
 module.exports = {
   createShortUrl,
   redirectToOriginal,
+  redirectDomainRoot,
+  unlockUrl,
   getUrlAnalytics,
+  getUrlTimeSeries,
+  exportUrlAnalytics,
+  exportUserAnalytics,
+  getUrlQrCode,
   getUserUrls,
   updateUrl,
+  getUrlRevisions,
+  rollbackUrl,
+  getUrlHealth,
+  checkUrlHealth,
+  refreshUrlMetadata,
   deleteUrl,
+  getCampaignReport,
   getPopularUrls,
   getUrlStats
 }; 
\ No newline at end of file
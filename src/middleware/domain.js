@@ -0,0 +1,38 @@
+const { createError } = require('./errorHandler');
+const { findDomainByHost, isPrimaryHost } = require('../services/domainService');
+const { logger } = require('../utils/logger');
+
+// Middleware to resolve which domain a short code belongs to.
+// An explicit ?domain=<hostname> wins over the Host header. Unknown hosts
+// fall back to the default domain; registered but unverified ones don't.
+const resolveShortDomain = async (req, res, next) => {
+  try {
+    const explicitHost = req.query.domain;
+    const hostname = explicitHost || req.hostname;
+
+    req.shortDomain = null;
+
+    const domain = await findDomainByHost(hostname);
+
+    if (!domain) {
+      if (explicitHost && !isPrimaryHost(explicitHost)) {
+        return next(createError.notFound('Domain not found'));
+      }
+      return next();
+    }
+
+    if (!domain.isVerified || !domain.isActive) {
+      return next(createError.notFound('Domain is not verified'));
+    }
+
+    req.shortDomain = domain;
+    next();
+  } catch (error) {
+    logger.error('Domain resolution error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  resolveShortDomain
+};
@@ -0,0 +1,20 @@
+const { AppError } = require('./errorHandler');
+const { getAvailableStorage } = require('../services/storageQuota');
+
+// Middleware to reject uploads that can't fit in the user's storage quota
+// before multer reads the body. Content-Length bounds the size of the files
+// in the request; the exact size is charged once they are stored.
+const checkStorageQuota = (req, res, next) => {
+  const available = getAvailableStorage(req.user);
+  const contentLength = parseInt(req.get('Content-Length')) || 0;
+
+  if (available === 0 || contentLength > available) {
+    return next(new AppError(`Storage quota exceeded: ${available} bytes available`, 413));
+  }
+
+  next();
+};
+
+module.exports = {
+  checkStorageQuota
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const THEMES = ['light', 'dark', 'minimal', 'colorful'];
+const MAX_LINKS = 50;
+
+const bioPageSchema = new mongoose.Schema({
+  // Public path segment: /p/<slug>
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    minlength: [3, 'Slug must be at least 3 characters'],
+    maxlength: [50, 'Slug cannot exceed 50 characters'],
+    match: [/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/, 'Slug can only contain lowercase letters, numbers and inner hyphens']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+
+  // Public image file uploaded by the owner
+  avatar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+
+  theme: {
+    preset: {
+      type: String,
+      enum: THEMES,
+      default: 'light'
+    },
+    accentColor: {
+      type: String,
+      match: [/^#[0-9a-fA-F]{6}$/, 'Accent color must be a hex color like #1a73e8']
+    }
+  },
+
+  // Ordered links to the owner's short URLs
+  links: {
+    type: [{
+      url: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Url',
+        required: true
+      },
+      // Defaults to the URL's preview title
+      label: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Link label cannot exceed 100 characters']
+      },
+      isVisible: {
+        type: Boolean,
+        default: true
+      }
+    }],
+    validate: [links => links.length <= MAX_LINKS, `A bio page can have at most ${MAX_LINKS} links`]
+  },
+
+  isPublished: {
+    type: Boolean,
+    default: true
+  },
+
+  analytics: {
+    views: {
+      type: Number,
+      default: 0
+    },
+    lastViewedAt: {
+      type: Date,
+      default: null
+    }
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+bioPageSchema.index({ owner: 1 });
+
+// Static method to load a published page with its links and avatar
+bioPageSchema.statics.findPublishedBySlug = function(slug) {
+  return this.findOne({ slug: String(slug).toLowerCase(), isPublished: true })
+    .populate('avatar', 'url visibility variants mimetype')
+    .populate('links.url', 'shortCode shortUrl domain metadata.title metadata.favicon isActive isExpired expiresAt password malwareCheck.isSafe')
+    .lean();
+};
+
+bioPageSchema.statics.THEMES = THEMES;
+bioPageSchema.statics.MAX_LINKS = MAX_LINKS;
+
+module.exports = mongoose.model('BioPage', bioPageSchema);
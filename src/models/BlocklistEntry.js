@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const blocklistEntrySchema = new mongoose.Schema({
+  // Domain (matches the host and its subdomains) or regular expression
+  // tested against the full destination URL
+  type: {
+    type: String,
+    enum: ['domain', 'pattern'],
+    required: true
+  },
+
+  value: {
+    type: String,
+    required: [true, 'Blocklist value is required'],
+    trim: true,
+    maxlength: [500, 'Blocklist value cannot exceed 500 characters']
+  },
+
+  category: {
+    type: String,
+    enum: ['phishing', 'malware', 'spam', 'abuse', 'other'],
+    default: 'other'
+  },
+
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+blocklistEntrySchema.index({ type: 1, value: 1 }, { unique: true });
+blocklistEntrySchema.index({ isActive: 1 });
+
+// Normalise domains before validation
+blocklistEntrySchema.pre('validate', function(next) {
+  if (this.type === 'domain' && this.value) {
+    this.value = this.value.toLowerCase().replace(/^\*?\./, '');
+  }
+  next();
+});
+
+// Validate that patterns compile
+blocklistEntrySchema.path('value').validate(function(value) {
+  if (this.type !== 'pattern') return true;
+
+  try {
+    new RegExp(value, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}, 'Pattern must be a valid regular expression');
+
+// Static method to get all active entries
+blocklistEntrySchema.statics.getActiveEntries = function() {
+  return this.find({ isActive: true }).select('type value category reason').lean();
+};
+
+module.exports = mongoose.model('BlocklistEntry', blocklistEntrySchema);
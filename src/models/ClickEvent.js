@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+
+// Dimensions that time-series analytics can be grouped by
+const GROUP_BY_FIELDS = {
+  country: '$geo.country',
+  region: '$geo.region',
+  city: '$geo.city',
+  browser: '$device.browser',
+  os: '$device.os',
+  device: '$device.device',
+  referrer: '$referrerDomain',
+  rule: '$variant.rule',
+  variant: '$variant.destination'
+};
+
+const INTERVALS = ['hour', 'day', 'week'];
+
+const clickEventSchema = new mongoose.Schema({
+  url: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+
+  shortCode: {
+    type: String,
+    required: true
+  },
+
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Hashed visitor fingerprint (never the raw IP/User-Agent pair)
+  visitorId: String,
+
+  isUnique: {
+    type: Boolean,
+    default: false
+  },
+
+  userAgent: String,
+
+  referrer: String,
+
+  referrerDomain: {
+    type: String,
+    default: 'direct'
+  },
+
+  geo: {
+    country: String,
+    countryCode: String,
+    region: String,
+    city: String
+  },
+
+  device: {
+    browser: String,
+    os: String,
+    device: String
+  },
+
+  // Redirect rule and destination chosen for this click
+  variant: {
+    rule: String,
+    destination: String
+  }
+
+}, {
+  timestamps: false
+});
+
+// Indexes
+clickEventSchema.index({ url: 1, timestamp: -1 });
+clickEventSchema.index({ shortCode: 1, timestamp: -1 });
+
+// Optional retention window for raw events
+if (process.env.CLICK_EVENT_RETENTION_DAYS) {
+  clickEventSchema.index(
+    { timestamp: 1 },
+    { expireAfterSeconds: parseInt(process.env.CLICK_EVENT_RETENTION_DAYS) * 24 * 60 * 60 }
+  );
+}
+
+// Extract the domain part of a referrer header
+const getReferrerDomain = (referrer) => {
+  if (!referrer) return 'direct';
+
+  try {
+    return new URL(referrer).hostname;
+  } catch (error) {
+    return referrer;
+  }
+};
+
+// Group stages counting clicks and distinct visitors per group key. Grouping
+// by visitor first keeps memory bounded: collecting visitor ids into one
+// array per group can exceed the document and $group memory limits.
+const countVisitorsStages = (groupId) => {
+  const keys = Object.keys(groupId);
+
+  return [
+    {
+      $group: {
+        _id: { ...groupId, visitorId: '$visitorId' },
+        clicks: { $sum: 1 },
+        lastClickedAt: { $max: '$timestamp' }
+      }
+    },
+    {
+      $group: {
+        _id: keys.length > 0 ? Object.fromEntries(keys.map(key => [key, `$_id.${key}`])) : null,
+        clicks: { $sum: '$clicks' },
+        // Events without a visitor id aren't counted as visitors
+        uniqueVisitors: { $sum: { $cond: [{ $ifNull: ['$_id.visitorId', false] }, 1, 0] } },
+        lastClickedAt: { $max: '$lastClickedAt' }
+      }
+    }
+  ];
+};
+
+// Aggregation expression truncating the timestamp to the interval (UTC)
+const getBucketExpression = (interval) => {
+  if (interval === 'week') {
+    return {
+      $dateFromParts: {
+        isoWeekYear: { $isoWeekYear: '$timestamp' },
+        isoWeek: { $isoWeek: '$timestamp' },
+        isoDayOfWeek: 1
+      }
+    };
+  }
+
+  return {
+    $dateFromParts: {
+      year: { $year: '$timestamp' },
+      month: { $month: '$timestamp' },
+      day: { $dayOfMonth: '$timestamp' },
+      hour: interval === 'hour' ? { $hour: '$timestamp' } : 0
+    }
+  };
+};
+
+// Static method to build an event document for a redirect
+clickEventSchema.statics.buildEvent = function(url, clickData = {}) {
+  return {
+    url: url._id,
+    shortCode: url.shortCode,
+    timestamp: clickData.timestamp || new Date(),
+    visitorId: clickData.visitorId,
+    isUnique: Boolean(clickData.isUnique),
+    userAgent: clickData.userAgent,
+    referrer: clickData.referrer,
+    referrerDomain: getReferrerDomain(clickData.referrer),
+    geo: clickData.geo,
+    device: clickData.device,
+    variant: clickData.variant || undefined
+  };
+};
+
+// Static method to record a single redirect
+clickEventSchema.statics.recordClick = function(url, clickData = {}) {
+  return this.create(this.buildEvent(url, clickData));
+};
+
+// Static method to build a click time series for a URL
+clickEventSchema.statics.getTimeSeries = function(urlId, options = {}) {
+  const { interval = 'day', from, to, groupBy = [] } = options;
+
+  const groupId = { timestamp: getBucketExpression(interval) };
+  groupBy.forEach(field => {
+    groupId[field] = { $ifNull: [GROUP_BY_FIELDS[field], 'unknown'] };
+  });
+
+  return this.aggregate([
+    {
+      $match: {
+        url: new mongoose.Types.ObjectId(urlId),
+        timestamp: { $gte: from, $lte: to }
+      }
+    },
+    ...countVisitorsStages(groupId),
+    {
+      $project: {
+        _id: 0,
+        timestamp: '$_id.timestamp',
+        dimensions: groupBy.length > 0
+          ? Object.fromEntries(groupBy.map(field => [field, `$_id.${field}`]))
+          : '$$REMOVE',
+        clicks: 1,
+        uniqueVisitors: 1
+      }
+    },
+    { $sort: { timestamp: 1, clicks: -1 } }
+  ]).allowDiskUse(true);
+};
+
+// Static method to build per-URL daily click totals (UTC days). Returns the
+// aggregate so callers can stream it with .cursor().
+clickEventSchema.statics.getDailyTotals = function(urlIds, options = {}) {
+  const { from = new Date(0), to = new Date() } = options;
+
+  return this.aggregate([
+    {
+      $match: {
+        url: { $in: urlIds.map(id => new mongoose.Types.ObjectId(id)) },
+        timestamp: { $gte: from, $lte: to }
+      }
+    },
+    ...countVisitorsStages({
+      url: '$url',
+      date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }
+    }),
+    {
+      $project: {
+        _id: 0,
+        url: '$_id.url',
+        date: '$_id.date',
+        clicks: 1,
+        uniqueVisitors: 1
+      }
+    },
+    { $sort: { date: 1, url: 1 } }
+  ]).allowDiskUse(true);
+};
+
+// Static method to summarise clicks for a URL over a time range
+clickEventSchema.statics.getSummary = async function(urlId, options = {}) {
+  const { from = new Date(0), to = new Date(), limit = 5 } = options;
+
+  const topBy = (fields) => [
+    { $group: { _id: fields, clicks: { $sum: 1 } } },
+    { $sort: { clicks: -1 } },
+    { $limit: limit }
+  ];
+
+  const match = {
+    $match: {
+      url: new mongoose.Types.ObjectId(urlId),
+      timestamp: { $gte: from, $lte: to }
+    }
+  };
+
+  // Totals run separately so their $group stages can spill to disk
+  const totalsQuery = this.aggregate([match, ...countVisitorsStages({})]).allowDiskUse(true);
+  const breakdownQuery = this.aggregate([
+    match,
+    {
+      $facet: {
+        topCountries: topBy({ country: '$geo.country', countryCode: '$geo.countryCode', city: '$geo.city' }),
+        topDevices: topBy({ browser: '$device.browser', os: '$device.os', device: '$device.device' }),
+        topReferrers: topBy({ domain: '$referrerDomain' }),
+        variants: [
+          { $match: { 'variant.destination': { $exists: true } } },
+          { $group: { _id: { rule: '$variant.rule', destination: '$variant.destination' }, clicks: { $sum: 1 } } },
+          { $sort: { clicks: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const [[totals], [result]] = await Promise.all([totalsQuery, breakdownQuery]);
+  const flatten = (stats) => stats.map(stat => ({ ...stat._id, clicks: stat.clicks }));
+
+  return {
+    from,
+    to,
+    totalClicks: totals ? totals.clicks : 0,
+    uniqueClicks: totals ? totals.uniqueVisitors : 0,
+    lastClickedAt: totals ? totals.lastClickedAt : null,
+    topCountries: flatten(result.topCountries),
+    topDevices: flatten(result.topDevices),
+    topReferrers: flatten(result.topReferrers),
+    variants: flatten(result.variants)
+  };
+};
+
+clickEventSchema.statics.GROUP_BY_FIELDS = Object.keys(GROUP_BY_FIELDS);
+clickEventSchema.statics.INTERVALS = INTERVALS;
+
+module.exports = mongoose.model('ClickEvent', clickEventSchema);
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['viewer', 'editor'];
+const MAX_DEPTH = 5;
+
+// Role ranking used when a user has several grants (direct and inherited)
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [100, 'Collection name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Parent collection (null for top-level collections)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null
+  },
+
+  // Parent chain from the root down, kept in sync with parent so subtrees
+  // and inherited access can be resolved with one query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
+
+  // Users the collection is shared with. Access applies to nested collections too.
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'viewer'
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+collectionSchema.index({ owner: 1, parent: 1 });
+collectionSchema.index({ ancestors: 1 });
+collectionSchema.index({ 'members.user': 1 });
+
+// Validate nesting depth
+collectionSchema.pre('validate', function(next) {
+  if (this.ancestors.length >= MAX_DEPTH) {
+    this.invalidate('parent', `Collections can be nested at most ${MAX_DEPTH} levels deep`);
+  }
+  next();
+});
+
+// Instance method to get a user's direct role on this collection
+collectionSchema.methods.getDirectRole = function(userId) {
+  const id = userId.toString();
+
+  if (this.owner.toString() === id) return 'owner';
+
+  const member = this.members.find(m => m.user.toString() === id);
+  return member ? member.role : null;
+};
+
+// Static method to get a user's effective role on a collection, including
+// access inherited from parent collections
+collectionSchema.statics.getUserRole = async function(collectionOrId, user) {
+  const collection = collectionOrId instanceof this
+    ? collectionOrId
+    : await this.findById(collectionOrId);
+
+  if (!collection) return null;
+
+  const roles = await this.getUserRoles([collection], user);
+  return roles.get(collection._id.toString());
+};
+
+// Static method to get a user's effective role on each of several
+// collections, loading all of their ancestors in one query. Returns a Map of
+// collection id to role (null without access).
+collectionSchema.statics.getUserRoles = async function(collections, user) {
+  const byId = new Map(collections.map(collection => [collection._id.toString(), collection]));
+
+  if (user.role === 'admin') {
+    return new Map([...byId.keys()].map(id => [id, 'owner']));
+  }
+
+  const missingIds = [...new Set(collections
+    .flatMap(collection => collection.ancestors.map(id => id.toString()))
+    .filter(id => !byId.has(id)))];
+
+  if (missingIds.length > 0) {
+    const ancestors = await this.find({ _id: { $in: missingIds } }).select('owner members');
+    ancestors.forEach(ancestor => byId.set(ancestor._id.toString(), ancestor));
+  }
+
+  return new Map(collections.map(collection => {
+    const chain = [collection, ...collection.ancestors.map(id => byId.get(id.toString())).filter(Boolean)];
+
+    const role = chain.reduce((best, item) => {
+      const direct = item.getDirectRole(user._id);
+      return direct && (!best || ROLE_RANK[direct] > ROLE_RANK[best]) ? direct : best;
+    }, null);
+
+    return [collection._id.toString(), role];
+  }));
+};
+
+// Static method to check that a role meets the required level
+collectionSchema.statics.hasRole = function(role, required) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
+};
+
+// Static method to get ids of every collection a user can access with at
+// least the given role (owned or shared, plus everything nested below them)
+collectionSchema.statics.getAccessibleIds = async function(userId, minRole = 'viewer') {
+  const roles = ROLES.filter(role => ROLE_RANK[role] >= ROLE_RANK[minRole]);
+
+  const direct = await this.find({
+    $or: [
+      { owner: userId },
+      { members: { $elemMatch: { user: userId, role: { $in: roles } } } }
+    ]
+  }).select('_id').lean();
+
+  const directIds = direct.map(item => item._id);
+  if (directIds.length === 0) return [];
+
+  const nested = await this.find({ ancestors: { $in: directIds } }).select('_id').lean();
+
+  return [...new Set([...directIds, ...nested.map(item => item._id)].map(String))]
+    .map(id => new mongoose.Types.ObjectId(id));
+};
+
+// Static method to get a collection and all collections nested below it
+collectionSchema.statics.getSubtreeIds = async function(collectionId) {
+  const nested = await this.find({ ancestors: collectionId }).select('_id').lean();
+  return [new mongoose.Types.ObjectId(collectionId), ...nested.map(item => item._id)];
+};
+
+// Static method to get a user's best role on a short URL through the
+// collections it belongs to
+collectionSchema.statics.getUrlRole = async function(url, user) {
+  if (!url.collections || url.collections.length === 0) return null;
+
+  const collections = await this.find({ _id: { $in: url.collections } });
+  const roles = [...(await this.getUserRoles(collections, user)).values()];
+
+  return roles.reduce((best, role) =>
+    role && (!best || ROLE_RANK[role] > ROLE_RANK[best]) ? role : best, null);
+};
+
+collectionSchema.statics.ROLES = ROLES;
+collectionSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = mongoose.model('Collection', collectionSchema);
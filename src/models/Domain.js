@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// DNS TXT record used to prove control of a branded domain
+const VERIFICATION_RECORD_PREFIX = '_shortener-verification';
+const VERIFICATION_VALUE_PREFIX = 'shortener-verification=';
+// Hours an unverified domain holds its hostname before someone else can
+// register it
+const VERIFICATION_TTL_HOURS = parseInt(process.env.DOMAIN_VERIFICATION_TTL_HOURS) || 72;
+
+const domainSchema = new mongoose.Schema({
+  // Branded hostname short links are served from (e.g. go.example.com)
+  hostname: {
+    type: String,
+    required: [true, 'Hostname is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [253, 'Hostname cannot exceed 253 characters'],
+    match: [/^(?!-)(?:[a-z0-9-]{1,63}\.)+[a-z]{2,63}$/, 'Please provide a valid hostname']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Organization name shown to team members (optional)
+  organization: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Organization cannot exceed 100 characters']
+  },
+
+  verificationToken: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex'),
+    select: false
+  },
+
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  verifiedAt: {
+    type: Date
+  },
+
+  lastCheckedAt: {
+    type: Date
+  },
+
+  lastCheckError: {
+    type: String
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Generated short links use https unless disabled
+  useHttps: {
+    type: Boolean,
+    default: true
+  },
+
+  // Where requests for the bare domain (no short code) are sent
+  rootRedirectUrl: {
+    type: String,
+    trim: true
+  }
+
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.verificationToken;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+domainSchema.index({ owner: 1 });
+domainSchema.index({ isVerified: 1, isActive: 1 });
+
+// Virtual for the base URL of short links on this domain
+domainSchema.virtual('baseUrl').get(function() {
+  return `${this.useHttps === false ? 'http' : 'https'}://${this.hostname}`;
+});
+
+// Instance method to get the DNS record the owner has to publish
+domainSchema.methods.getVerificationRecord = function() {
+  return {
+    type: 'TXT',
+    name: `${VERIFICATION_RECORD_PREFIX}.${this.hostname}`,
+    value: `${VERIFICATION_VALUE_PREFIX}${this.verificationToken}`
+  };
+};
+
+// Instance method to get when an unverified claim on the hostname lapses
+// (null once verified)
+domainSchema.methods.getClaimExpiresAt = function() {
+  if (this.isVerified) return null;
+  return new Date(this.createdAt.getTime() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+};
+
+// Instance method to check ownership
+domainSchema.methods.isOwnedBy = function(user) {
+  return user.role === 'admin' || this.owner.toString() === user._id.toString();
+};
+
+// Static method to find a verified, active domain by hostname
+domainSchema.statics.findVerifiedByHostname = function(hostname) {
+  return this.findOne({
+    hostname: String(hostname).toLowerCase(),
+    isVerified: true,
+    isActive: true
+  });
+};
+
+module.exports = mongoose.model('Domain', domainSchema);
@@ -26,7 +26,13 @@ const fileSchema = new mongoose.Schema({
     min: [1, 'File size must be greater than 0']
   },
   
-  // File paths and URLs
+  // File paths and URLs. The path is a key in the file's storage driver.
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  },
+  
   path: {
     type: String,
     required: [true, 'File path is required']
@@ -37,6 +43,12 @@ const fileSchema = new mongoose.Schema({
     required: [true, 'File URL is required']
   },
   
+  // SHA-256 of the content; files with the same hash share one FileBlob
+  contentHash: {
+    type: String,
+    match: [/^[a-f0-9]{64}$/, 'Invalid content hash']
+  },
+  
   // File owner
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -161,9 +173,18 @@ const fileSchema = new mongoose.Schema({
     maxlength: [30, 'Tag cannot exceed 30 characters']
   }],
   
+  // Containing folder (null for the root). Files uploaded before folders
+  // existed may still hold the old '/' string, which also means the root.
   folder: {
-    type: String,
-    default: '/'
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  
+  // Whether visibility follows the folder's; setting it directly stops that
+  visibilityInherited: {
+    type: Boolean,
+    default: false
   },
   
   // File analytics
@@ -267,10 +288,12 @@ fileSchema.index({ category: 1 });
 fileSchema.index({ mimetype: 1 });
 fileSchema.index({ visibility: 1 });
 fileSchema.index({ tags: 1 });
-fileSchema.index({ folder: 1 });
+fileSchema.index({ uploadedBy: 1, folder: 1 });
 fileSchema.index({ createdAt: -1 });
 fileSchema.index({ 'analytics.views': -1 });
 fileSchema.index({ isActive: 1, isDeleted: 1 });
+fileSchema.index({ contentHash: 1 });
+fileSchema.index({ isDeleted: 1, deletedAt: 1 });
 
 // Virtual for file extension
 fileSchema.virtual('extension').get(function() {
@@ -335,6 +358,15 @@ fileSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-init middleware to load files saved before folders existed, whose
+// folder is the old '/' path string, as being at the root. The migrations
+// rewrite the stored value.
+fileSchema.pre('init', function(doc) {
+  if (typeof doc.folder === 'string') {
+    doc.folder = null;
+  }
+});
+
 // Pre-save middleware to generate share token if needed
 fileSchema.pre('save', function(next) {
   if (this.visibility === 'shared' && !this.shareToken) {
@@ -407,7 +439,8 @@ fileSchema.methods.canDelete = function(user) {
   return this.permissions.canDelete.includes(user._id);
 };
 
-// Instance method to soft delete file
+// Instance method to soft delete file. The stored content keeps its
+// reference so the file can be restored; purging releases it.
 fileSchema.methods.softDelete = async function() {
   this.isDeleted = true;
   this.deletedAt = new Date();
@@ -426,6 +459,7 @@ fileSchema.methods.restore = async function() {
 // Instance method to create share link
 fileSchema.methods.createShareLink = function(expiresIn = 24 * 60 * 60 * 1000) {
   this.visibility = 'shared';
+  this.visibilityInherited = false;
   this.shareToken = require('crypto').randomBytes(32).toString('hex');
   this.shareExpires = new Date(Date.now() + expiresIn);
   
@@ -514,6 +548,23 @@ fileSchema.statics.getPopularFiles = function(limit = 10, timeframe = 'all') {
     .populate('uploadedBy', 'username profile.firstName profile.lastName');
 };
 
+// Static method to find soft-deleted files due for purging
+fileSchema.statics.findPurgeable = function(deletedBefore, limit = 100) {
+  return this.find({
+    isDeleted: true,
+    deletedAt: { $lt: deletedBefore }
+  })
+    .sort({ deletedAt: 1 })
+    .limit(limit)
+    .select('storage path contentHash variants');
+};
+
+// Static method to build the query condition for files in a folder (null
+// for the root, including legacy '/' values)
+fileSchema.statics.folderCondition = function(folderId) {
+  return folderId ? { folder: folderId } : { folder: { $not: { $type: 'objectId' } } };
+};
+
 // Static method to cleanup expired shares
 fileSchema.statics.cleanupExpiredShares = async function() {
   const expiredShares = await this.updateMany(
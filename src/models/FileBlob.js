@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Stored file content shared by every File record with the same bytes
+const fileBlobSchema = new mongoose.Schema({
+  // SHA-256 of the content (hex)
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+    match: [/^[a-f0-9]{64}$/, 'Invalid content hash']
+  },
+
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Storage driver holding the content and its key there
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  },
+
+  path: {
+    type: String,
+    required: true
+  },
+
+  // Number of File records (deleted ones included) using this blob
+  refCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+
+}, {
+  timestamps: true
+});
+
+// Static method to add a reference to an existing blob. Blobs whose last
+// reference is being released are skipped, so their content is never reused
+// while it is being removed.
+fileBlobSchema.statics.addReference = function(hash) {
+  return this.findOneAndUpdate(
+    { hash, refCount: { $gt: 0 } },
+    { $inc: { refCount: 1 } },
+    { new: true }
+  );
+};
+
+// Static method to create a blob with one reference, or add a reference when
+// another upload stored the same content first. The returned blob's path is
+// the caller's candidate key only if this call created it.
+fileBlobSchema.statics.createOrReference = async function({ hash, size, path, storage }) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      return await this.findOneAndUpdate(
+        { hash },
+        { $inc: { refCount: 1 }, $setOnInsert: { size, path, storage } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Concurrent upserts of the same hash race on the unique index
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not store file content');
+};
+
+// Static method to drop a reference. Returns the removed blob when that was
+// the last reference (its content can then be deleted), otherwise null.
+fileBlobSchema.statics.releaseReference = async function(hash) {
+  const blob = await this.findOneAndUpdate(
+    { hash, refCount: { $gt: 0 } },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+
+  if (!blob || blob.refCount > 0) return null;
+
+  return this.findOneAndDelete({ _id: blob._id, refCount: { $lte: 0 } });
+};
+
+module.exports = mongoose.model('FileBlob', fileBlobSchema);
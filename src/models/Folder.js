@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const VISIBILITIES = ['public', 'private'];
+const MAX_DEPTH = 10;
+
+const folderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    trim: true,
+    maxlength: [100, 'Folder name cannot exceed 100 characters'],
+    validate: {
+      validator: (name) => !/[\/\\]/.test(name) && name !== '.' && name !== '..',
+      message: 'Folder name cannot contain slashes or be "." or ".."'
+    }
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Parent folder (null for folders at the root)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+
+  // Parent chain from the root down, kept in sync with parent so subtrees,
+  // breadcrumbs and inherited visibility can be resolved with one query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder'
+  }],
+
+  // Visibility applied to files that inherit it. Null inherits from the
+  // parent folder.
+  visibility: {
+    type: String,
+    enum: [...VISIBILITIES, null],
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+folderSchema.index({ owner: 1, parent: 1, name: 1 }, { unique: true });
+folderSchema.index({ ancestors: 1 });
+
+// Validate nesting depth
+folderSchema.pre('validate', function(next) {
+  if (this.ancestors.length >= MAX_DEPTH) {
+    this.invalidate('parent', `Folders can be nested at most ${MAX_DEPTH} levels deep`);
+  }
+  next();
+});
+
+// Static method to get the visibility a folder passes on to its files: its
+// own, or the nearest ancestor's. Null when none of them sets one.
+folderSchema.statics.getEffectiveVisibility = async function(folder) {
+  if (folder.visibility) return folder.visibility;
+  if (folder.ancestors.length === 0) return null;
+
+  const ancestors = await this.find({ _id: { $in: folder.ancestors }, visibility: { $ne: null } })
+    .select('visibility')
+    .lean();
+  const byId = new Map(ancestors.map(item => [item._id.toString(), item.visibility]));
+
+  const nearest = [...folder.ancestors].reverse().find(id => byId.has(id.toString()));
+  return nearest ? byId.get(nearest.toString()) : null;
+};
+
+// Static method to get the path from the root to a folder, for breadcrumbs
+folderSchema.statics.getBreadcrumbs = async function(folder) {
+  const ancestors = await this.find({ _id: { $in: folder.ancestors } }).select('name').lean();
+  const byId = new Map(ancestors.map(item => [item._id.toString(), item]));
+
+  return [...folder.ancestors.map(id => byId.get(id.toString())).filter(Boolean), folder]
+    .map(item => ({ id: item._id, name: item.name }));
+};
+
+// Static method to get a folder and all folders nested below it
+folderSchema.statics.getSubtreeIds = async function(folderId) {
+  const nested = await this.find({ ancestors: folderId }).select('_id').lean();
+  return [new mongoose.Types.ObjectId(folderId), ...nested.map(item => item._id)];
+};
+
+folderSchema.statics.VISIBILITIES = VISIBILITIES;
+folderSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = mongoose.model('Folder', folderSchema);
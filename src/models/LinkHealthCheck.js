@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const HISTORY_DAYS = parseInt(process.env.LINK_HEALTH_HISTORY_DAYS) || 30;
+
+const linkHealthCheckSchema = new mongoose.Schema({
+  url: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+
+  // Destination that was checked (the URL may have been repointed since)
+  destination: {
+    type: String,
+    required: true
+  },
+
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  isHealthy: {
+    type: Boolean,
+    required: true
+  },
+
+  // Final status after redirects (missing when the request failed)
+  statusCode: Number,
+
+  method: {
+    type: String,
+    enum: ['HEAD', 'GET']
+  },
+
+  responseTimeMs: Number,
+
+  error: String
+
+}, {
+  timestamps: false
+});
+
+// Indexes
+linkHealthCheckSchema.index({ url: 1, checkedAt: -1 });
+linkHealthCheckSchema.index({ checkedAt: 1 }, { expireAfterSeconds: HISTORY_DAYS * 24 * 60 * 60 });
+
+// Static method to get the latest checks for a URL
+linkHealthCheckSchema.statics.getHistory = function(urlId, limit = 50) {
+  return this.find({ url: urlId })
+    .sort({ checkedAt: -1 })
+    .limit(limit)
+    .select('-url -__v');
+};
+
+module.exports = mongoose.model('LinkHealthCheck', linkHealthCheckSchema);
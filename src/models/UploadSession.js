@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// Hours an upload may sit idle before it is abandoned
+const SESSION_TTL_HOURS = parseInt(process.env.RESUMABLE_UPLOAD_TTL_HOURS) || 24;
+
+// A resumable upload in progress. Chunks are kept in storage as separate
+// objects until the upload is complete, so any app instance can accept the
+// next chunk.
+const uploadSessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Total upload size in bytes (tus Upload-Length)
+  length: {
+    type: Number,
+    required: true,
+    min: [1, 'Upload length must be greater than 0']
+  },
+
+  // Bytes received so far (tus Upload-Offset)
+  offset: {
+    type: Number,
+    default: 0
+  },
+
+  originalName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  mimetype: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+
+  // File fields applied when the upload completes
+  fileOptions: {
+    // Unset to inherit the folder's visibility (private at the root)
+    visibility: {
+      type: String,
+      enum: ['public', 'private', 'shared']
+    },
+    folder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Folder'
+    },
+    tags: [String],
+    description: String
+  },
+
+  // Storage driver and keys of the received chunks, in upload order
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  },
+
+  chunks: [{
+    _id: false,
+    offset: Number,
+    size: Number,
+    key: String
+  }],
+
+  status: {
+    type: String,
+    enum: ['active', 'assembling', 'completed'],
+    default: 'active'
+  },
+
+  // Storage quota charged to the owner for the upload until it becomes a file
+  reservedBytes: {
+    type: Number,
+    default: 0
+  },
+
+  // File created from the upload
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File'
+  },
+
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000)
+  }
+
+}, {
+  timestamps: true
+});
+
+// Indexes
+uploadSessionSchema.index({ owner: 1, status: 1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Instance method to check if the session has expired
+uploadSessionSchema.methods.isExpired = function() {
+  return this.status !== 'completed' && this.expiresAt < new Date();
+};
+
+// Static method to record a received chunk. Only succeeds when the session is
+// still active at the expected offset, so concurrent or replayed chunks for
+// the same offset can't both be accepted.
+uploadSessionSchema.statics.appendChunk = function(sessionId, { offset, size, key }) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, status: 'active', offset, expiresAt: { $gt: new Date() } },
+    {
+      $inc: { offset: size },
+      $push: { chunks: { offset, size, key } },
+      $set: { expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000) }
+    },
+    { new: true }
+  );
+};
+
+// Static method to find expired sessions: abandoned uploads whose chunks can
+// be removed, and completed ones kept around for status lookups
+uploadSessionSchema.statics.findExpired = function(limit = 100) {
+  return this.find({ expiresAt: { $lt: new Date() } })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+};
+
+uploadSessionSchema.statics.SESSION_TTL_HOURS = SESSION_TTL_HOURS;
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
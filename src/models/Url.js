@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
-const shortid = require('shortid');
+const bcrypt = require('bcryptjs');
+const { generateShortCode, isReservedCode } = require('../services/shortCodeGenerator');
 
 const urlSchema = new mongoose.Schema({
   // Original long URL
@@ -16,11 +17,10 @@ const urlSchema = new mongoose.Schema({
     }
   },
   
-  // Shortened URL code
+  // Shortened URL code (unique per domain)
   shortCode: {
     type: String,
     required: true,
-    unique: true,
     trim: true,
     minlength: [4, 'Short code must be at least 4 characters'],
     maxlength: [20, 'Short code cannot exceed 20 characters']
@@ -33,6 +33,13 @@ const urlSchema = new mongoose.Schema({
     unique: true
   },
   
+  // Branded domain the short link is served from (null for the default domain)
+  domain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Domain',
+    default: null
+  },
+  
   // URL creator (optional for anonymous URLs)
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -40,6 +47,12 @@ const urlSchema = new mongoose.Schema({
     default: null
   },
   
+  // Collections the URL is filed in (shared collections grant team access)
+  collections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
+  
   // URL metadata
   metadata: {
     title: {
@@ -59,6 +72,19 @@ const urlSchema = new mongoose.Schema({
     domain: {
       type: String,
       required: true
+    },
+    // Link preview fetch state (filled by the linkPreview background job)
+    fetchStatus: {
+      type: String,
+      enum: ['pending', 'success', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    fetchError: {
+      type: String,
+      maxlength: [200, 'Fetch error cannot exceed 200 characters']
+    },
+    fetchedAt: {
+      type: Date
     }
   },
   
@@ -69,9 +95,53 @@ const urlSchema = new mongoose.Schema({
     trim: true,
     minlength: [3, 'Custom alias must be at least 3 characters'],
     maxlength: [50, 'Custom alias cannot exceed 50 characters'],
-    match: [/^[a-zA-Z0-9_-]+$/, 'Custom alias can only contain letters, numbers, hyphens, and underscores']
+    match: [/^[a-zA-Z0-9_-]+$/, 'Custom alias can only contain letters, numbers, hyphens, and underscores'],
+    validate: {
+      validator: function(alias) {
+        return !alias || !isReservedCode(alias);
+      },
+      message: 'This custom alias is reserved'
+    }
   },
   
+  // Smart redirect rules, evaluated in order; the first matching rule picks
+  // the destination. Several weighted destinations make an A/B split.
+  redirectRules: [{
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Rule name cannot exceed 50 characters']
+    },
+    conditions: {
+      os: [String],
+      deviceType: [String],
+      country: [String],
+      language: [String],
+      timeWindow: {
+        days: [Number],
+        start: String,
+        end: String,
+        timezone: String
+      }
+    },
+    destinations: [{
+      name: String,
+      url: {
+        type: String,
+        required: true
+      },
+      weight: {
+        type: Number,
+        default: 1,
+        min: 0
+      }
+    }],
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  
   // Password protection
   password: {
     type: String,
@@ -89,6 +159,19 @@ const urlSchema = new mongoose.Schema({
     default: false
   },
   
+  // Expire after this many redirects (e.g. one-time links); null for unlimited
+  maxClicks: {
+    type: Number,
+    default: null,
+    min: [1, 'Max clicks must be at least 1']
+  },
+  
+  // Redirects counted against maxClicks (updated atomically on redirect)
+  limitedClicks: {
+    type: Number,
+    default: 0
+  },
+  
   // Status and settings
   isActive: {
     type: Boolean,
@@ -161,6 +244,16 @@ const urlSchema = new mongoose.Schema({
     }
   }],
   
+  // Clicks per redirect rule variant
+  variantStats: [{
+    rule: String,
+    destination: String,
+    clicks: {
+      type: Number,
+      default: 1
+    }
+  }],
+  
   // Daily click history for graphs
   dailyClicks: [{
     date: {
@@ -227,6 +320,37 @@ const urlSchema = new mongoose.Schema({
     }
   },
   
+  // Destination health, updated by the link health checker
+  health: {
+    status: {
+      type: String,
+      enum: ['unknown', 'healthy', 'broken'],
+      default: 'unknown'
+    },
+    lastCheckedAt: Date,
+    lastStatusCode: Number,
+    lastError: String,
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    brokenSince: Date,
+    lastNotifiedAt: Date
+  },
+  
+  // Where to redirect while the destination is marked broken
+  fallbackUrl: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: function(url) {
+        return !url || /^https?:\/\/[^\s]+$/i.test(url);
+      },
+      message: 'Fallback URL must be an http(s) URL'
+    }
+  },
+  
   // Bulk operation reference
   bulkId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -242,14 +366,21 @@ const urlSchema = new mongoose.Schema({
   
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.password;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
 // Indexes for performance
-urlSchema.index({ shortCode: 1 }, { unique: true });
+urlSchema.index({ domain: 1, shortCode: 1 }, { unique: true });
 urlSchema.index({ originalUrl: 1 });
 urlSchema.index({ createdBy: 1 });
+urlSchema.index({ collections: 1 });
 urlSchema.index({ customAlias: 1 }, { sparse: true });
 urlSchema.index({ isActive: 1 });
 urlSchema.index({ expiresAt: 1 });
@@ -258,6 +389,7 @@ urlSchema.index({ category: 1 });
 urlSchema.index({ tags: 1 });
 urlSchema.index({ createdAt: -1 });
 urlSchema.index({ 'analytics.totalClicks': -1 });
+urlSchema.index({ isActive: 1, 'health.lastCheckedAt': 1 });
 
 // Virtual for click-through rate (if applicable)
 urlSchema.virtual('analytics.ctr').get(function() {
@@ -272,23 +404,49 @@ urlSchema.virtual('analytics.avgClicksPerDay').get(function() {
   return (this.analytics.totalClicks / daysSinceCreation).toFixed(2);
 });
 
-// Pre-save middleware to generate short code
-urlSchema.pre('save', function(next) {
+// Pre-validate middleware to generate short code
+urlSchema.pre('validate', async function(next) {
   if (!this.shortCode) {
-    // Generate unique short code
-    const length = parseInt(process.env.SHORT_URL_LENGTH) || 6;
-    this.shortCode = this.customAlias || shortid.generate().substring(0, length);
+    // Generate a short code that is free on the link's domain
+    this.shortCode = this.customAlias || await generateShortCode({ domain: this.domain });
   }
   
-  // Generate full short URL
-  const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
-  this.shortUrl = `${baseUrl}/${this.shortCode}`;
+  next();
+});
+
+// Pre-validate middleware to build the full short URL from the link's domain
+urlSchema.pre('validate', async function(next) {
+  if (!this.domain) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+    this.shortUrl = `${baseUrl}/${this.shortCode}`;
+    return next();
+  }
+  
+  // Branded URLs only need the domain lookup when the code or domain changes
+  if (!this.isNew && !this.isModified('domain') && !this.isModified('shortCode')) {
+    return next();
+  }
+  
+  const domain = await mongoose.model('Domain').findById(this.domain).select('hostname useHttps');
+  
+  if (!domain) {
+    return next(new Error('Branded domain not found'));
+  }
   
+  this.shortUrl = `${domain.baseUrl}/${this.shortCode}`;
   next();
 });
 
-// Pre-save middleware to extract domain from original URL
-urlSchema.pre('save', function(next) {
+// Pre-save middleware to hash the access password
+urlSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+  
+  this.password = await bcrypt.hash(this.password, 12);
+  next();
+});
+
+// Pre-validate middleware to extract domain from original URL
+urlSchema.pre('validate', function(next) {
   try {
     const url = new URL(this.originalUrl.startsWith('http') ? this.originalUrl : `http://${this.originalUrl}`);
     this.metadata.domain = url.hostname;
@@ -300,7 +458,9 @@ urlSchema.pre('save', function(next) {
 
 // Pre-save middleware to check expiration
 urlSchema.pre('save', function(next) {
-  if (this.expiresAt && new Date() > this.expiresAt) {
+  const clickLimitReached = this.maxClicks && this.limitedClicks >= this.maxClicks;
+  
+  if ((this.expiresAt && new Date() > this.expiresAt) || clickLimitReached) {
     this.isExpired = true;
     this.isActive = false;
   }
@@ -336,7 +496,7 @@ urlSchema.methods.incrementClick = async function(clickData = {}) {
   this.analytics.clicksThisMonth += 1;
   this.analytics.lastClickedAt = new Date();
   
-  // Update unique clicks (simplified - in production, track by IP/user)
+  // Update unique clicks (uniqueness is decided by the visitor tracker)
   if (clickData.isUnique) {
     this.analytics.uniqueClicks += 1;
   }
@@ -398,7 +558,24 @@ urlSchema.methods.incrementClick = async function(clickData = {}) {
       });
     }
   }
-  
+
+  // Update redirect rule variant stats
+  if (clickData.variant) {
+    const variantStat = this.variantStats.find(stat =>
+      stat.rule === clickData.variant.rule && stat.destination === clickData.variant.destination
+    );
+
+    if (variantStat) {
+      variantStat.clicks += 1;
+    } else {
+      this.variantStats.push({
+        rule: clickData.variant.rule,
+        destination: clickData.variant.destination,
+        clicks: 1
+      });
+    }
+  }
+
   // Update daily clicks
   const todayStr = today.toISOString().split('T')[0];
   const dailyClick = this.dailyClicks.find(day => 
@@ -423,8 +600,43 @@ urlSchema.methods.incrementClick = async function(clickData = {}) {
   return this.save();
 };
 
+// Instance method to check the access password (requires +password)
+urlSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return true;
+  if (!candidatePassword) return false;
+  
+  if (this.hasLegacyPassword()) {
+    return this.password === candidatePassword;
+  }
+  
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Instance method to check for a password stored before hashing was introduced
+urlSchema.methods.hasLegacyPassword = function() {
+  return Boolean(this.password) && !/^\$2[aby]\$/.test(this.password);
+};
+
+// Instance method to replace a plaintext password with its hash once it has
+// been verified. The stored value is matched so a concurrent change wins.
+urlSchema.methods.rehashLegacyPassword = async function(candidatePassword) {
+  if (!this.hasLegacyPassword() || this.password !== candidatePassword) return false;
+  
+  const hash = await bcrypt.hash(candidatePassword, 12);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, password: this.password },
+    { $set: { password: hash } }
+  );
+  
+  if (!result.modifiedCount) return false;
+  
+  this.password = hash;
+  this.unmarkModified('password');
+  return true;
+};
+
 // Instance method to check if URL is accessible
-urlSchema.methods.isAccessible = function(password = null) {
+urlSchema.methods.isAccessible = async function(password = null) {
   // Check if URL is active
   if (!this.isActive) return false;
   
@@ -434,15 +646,18 @@ urlSchema.methods.isAccessible = function(password = null) {
   }
   
   // Check password if required
-  if (this.password && this.password !== password) {
-    return false;
-  }
-  
-  return true;
+  return this.comparePassword(password);
 };
 
 // Instance method to get analytics summary
-urlSchema.methods.getAnalyticsSummary = function() {
+// With { source: 'events' } the breakdowns are aggregated from the raw
+// ClickEvent log (any time range) instead of the capped embedded arrays,
+// and a Promise is returned.
+urlSchema.methods.getAnalyticsSummary = function(options = {}) {
+  if (options.source === 'events') {
+    return this.getEventAnalyticsSummary(options);
+  }
+  
   return {
     totalClicks: this.analytics.totalClicks,
     uniqueClicks: this.analytics.uniqueClicks,
@@ -454,21 +669,44 @@ urlSchema.methods.getAnalyticsSummary = function() {
     avgClicksPerDay: this.analytics.avgClicksPerDay,
     topCountries: this.geoStats.sort((a, b) => b.clicks - a.clicks).slice(0, 5),
     topDevices: this.deviceStats.sort((a, b) => b.clicks - a.clicks).slice(0, 5),
-    topReferrers: this.referrerStats.sort((a, b) => b.clicks - a.clicks).slice(0, 5)
+    topReferrers: this.referrerStats.sort((a, b) => b.clicks - a.clicks).slice(0, 5),
+    variants: this.variantStats.sort((a, b) => b.clicks - a.clicks)
+  };
+};
+
+// Instance method to get analytics summary from the ClickEvent log
+urlSchema.methods.getEventAnalyticsSummary = async function(options = {}) {
+  const ClickEvent = mongoose.model('ClickEvent');
+  const summary = await ClickEvent.getSummary(this._id, options);
+  
+  return {
+    ...summary,
+    clicksToday: this.analytics.clicksToday,
+    clicksThisWeek: this.analytics.clicksThisWeek,
+    clicksThisMonth: this.analytics.clicksThisMonth,
+    ctr: summary.totalClicks === 0 ? 0 : ((summary.uniqueClicks / summary.totalClicks) * 100).toFixed(2),
+    avgClicksPerDay: this.analytics.avgClicksPerDay
   };
 };
 
 // Static method to find by short code or custom alias
-urlSchema.statics.findByCode = function(code) {
+urlSchema.statics.findByCode = function(code, domainId = null) {
   return this.findOne({
     $or: [
       { shortCode: code },
       { customAlias: code }
     ],
+    domain: domainId,
     isActive: true
   });
 };
 
+// Static method to build a key identifying a code within its domain
+// (used for cache, visitor and throttle keys)
+urlSchema.statics.getScopedCode = function(code, domainId = null) {
+  return domainId ? `${domainId}:${code}` : code;
+};
+
 // Static method to get popular URLs
 urlSchema.statics.getPopularUrls = function(limit = 10, timeframe = 'all') {
   const match = { isPublic: true, isActive: true };
@@ -526,11 +764,128 @@ urlSchema.statics.getUserStats = function(userId) {
   ]);
 };
 
+// Static method to get click statistics grouped by UTM campaign/source/medium
+// Without a date range the lifetime counters are used; with one, clicks are
+// counted from the ClickEvent log.
+urlSchema.statics.getCampaignStats = async function(userId, options = {}) {
+  const { from, to } = options;
+  
+  const match = {
+    createdBy: userId,
+    $or: [
+      { 'utmParameters.campaign': { $nin: [null, ''] } },
+      { 'utmParameters.source': { $nin: [null, ''] } },
+      { 'utmParameters.medium': { $nin: [null, ''] } }
+    ]
+  };
+  
+  const campaignKey = {
+    campaign: { $ifNull: ['$utmParameters.campaign', '(not set)'] },
+    source: { $ifNull: ['$utmParameters.source', '(not set)'] },
+    medium: { $ifNull: ['$utmParameters.medium', '(not set)'] }
+  };
+  
+  if (!from && !to) {
+    const stats = await this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: campaignKey,
+          urls: { $sum: 1 },
+          totalClicks: { $sum: '$analytics.totalClicks' },
+          uniqueClicks: { $sum: '$analytics.uniqueClicks' },
+          lastClickedAt: { $max: '$analytics.lastClickedAt' }
+        }
+      },
+      { $sort: { totalClicks: -1 } }
+    ]);
+    
+    return stats.map(({ _id, ...stat }) => ({ ..._id, ...stat }));
+  }
+  
+  const timestamp = {};
+  if (from) timestamp.$gte = from;
+  if (to) timestamp.$lte = to;
+  
+  const stats = await this.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: mongoose.model('ClickEvent').collection.name,
+        let: { urlId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$url', '$$urlId'] }, timestamp } },
+          // Group by visitor first rather than collecting every visitor id
+          // into one array, which can exceed the document size limit
+          { $group: { _id: '$visitorId', clicks: { $sum: 1 }, lastClickedAt: { $max: '$timestamp' } } },
+          {
+            $group: {
+              _id: null,
+              clicks: { $sum: '$clicks' },
+              visitors: { $sum: { $cond: [{ $ifNull: ['$_id', false] }, 1, 0] } },
+              lastClickedAt: { $max: '$lastClickedAt' }
+            }
+          }
+        ],
+        as: 'clicks'
+      }
+    },
+    { $unwind: { path: '$clicks', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: campaignKey,
+        urls: { $sum: 1 },
+        totalClicks: { $sum: { $ifNull: ['$clicks.clicks', 0] } },
+        uniqueClicks: { $sum: { $ifNull: ['$clicks.visitors', 0] } },
+        lastClickedAt: { $max: '$clicks.lastClickedAt' }
+      }
+    },
+    { $sort: { totalClicks: -1 } }
+  ]).allowDiskUse(true);
+  
+  return stats.map(({ _id, ...stat }) => ({ ..._id, ...stat }));
+};
+
+// Static method to count a redirect against maxClicks.
+// The filter and increment run as one atomic update, so concurrent redirects
+// can never exceed the limit. Returns null once the limit has been reached.
+urlSchema.statics.consumeLimitedClick = function(urlId) {
+  return this.findOneAndUpdate(
+    {
+      _id: urlId,
+      isActive: true,
+      maxClicks: { $ne: null },
+      $expr: { $lt: ['$limitedClicks', '$maxClicks'] }
+    },
+    [
+      { $set: { limitedClicks: { $add: ['$limitedClicks', 1] } } },
+      {
+        $set: {
+          isExpired: { $gte: ['$limitedClicks', '$maxClicks'] },
+          isActive: { $lt: ['$limitedClicks', '$maxClicks'] }
+        }
+      }
+    ],
+    { new: true, projection: { limitedClicks: 1, maxClicks: 1, isActive: 1 } }
+  );
+};
+
 // Static method to cleanup expired URLs
-urlSchema.statics.cleanupExpired = async function() {
-  const expiredUrls = await this.updateMany(
+// Returns the expired URLs (shortCode/domain) so callers can drop their cache entries
+urlSchema.statics.cleanupExpired = async function(limit = 1000) {
+  const expiredUrls = await this.find({
+    expiresAt: { $lt: new Date() },
+    isExpired: false
+  })
+    .select('shortCode domain')
+    .limit(limit)
+    .lean();
+  
+  if (expiredUrls.length === 0) return [];
+  
+  await this.updateMany(
     {
-      expiresAt: { $lt: new Date() },
+      _id: { $in: expiredUrls.map(url => url._id) },
       isExpired: false
     },
     {
@@ -539,7 +894,7 @@ urlSchema.statics.cleanupExpired = async function() {
     }
   );
   
-  return expiredUrls.modifiedCount;
+  return expiredUrls;
 };
 
 module.exports = mongoose.model('Url', urlSchema); 
\ No newline at end of file
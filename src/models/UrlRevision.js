@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Url fields tracked in the revision log
+const TRACKED_FIELDS = [
+  'originalUrl',
+  'category',
+  'tags',
+  'password',
+  'expiresAt',
+  'isActive',
+  'maxClicks',
+  'utmParameters',
+  'redirectRules',
+  'fallbackUrl',
+  'collections'
+];
+
+// Fields a rollback restores. Passwords are only stored as a fingerprint
+// and collection membership is managed through the collections API.
+const ROLLBACK_FIELDS = TRACKED_FIELDS.filter(field => !['password', 'collections'].includes(field));
+
+const ACTIONS = ['create', 'baseline', 'update', 'rollback', 'delete'];
+
+const urlRevisionSchema = new mongoose.Schema({
+  url: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Url',
+    required: true
+  },
+
+  // Sequential per URL, starting at 1
+  version: {
+    type: Number,
+    required: true
+  },
+
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+
+  changes: [{
+    _id: false,
+    field: String,
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  }],
+
+  // Tracked fields after this revision (used for rollbacks)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Version restored by a rollback
+  rolledBackTo: Number,
+
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  ip: String,
+
+  userAgent: String
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes
+urlRevisionSchema.index({ url: 1, version: -1 }, { unique: true });
+urlRevisionSchema.index({ changedBy: 1, createdAt: -1 });
+
+// Passwords are recorded as a fingerprint of the hash, never the hash itself
+const getPasswordFingerprint = (passwordHash) => (passwordHash
+  ? crypto.createHash('sha256').update(passwordHash).digest('hex').substring(0, 16)
+  : null);
+
+// Plain JSON so snapshots compare and store the same way they read back.
+// Subdocument ids are dropped: replacing rules with identical ones is not a change.
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value), (key, item) => (key === '_id' || key === 'id' ? undefined : item));
+};
+
+// JSON with sorted object keys, so equal values compare equal regardless of key order
+const stableStringify = (value) => JSON.stringify(value, (key, item) => (
+  item && typeof item === 'object' && !Array.isArray(item)
+    ? Object.keys(item).sort().reduce((sorted, name) => ({ ...sorted, [name]: item[name] }), {})
+    : item
+));
+
+// Static method to capture the tracked fields of a URL. Load the URL with
+// +password so password changes are detected.
+urlRevisionSchema.statics.snapshot = function(url) {
+  const snapshot = {};
+
+  TRACKED_FIELDS.forEach(field => {
+    snapshot[field] = field === 'password'
+      ? getPasswordFingerprint(url.password)
+      : toPlain(url[field]);
+  });
+
+  return snapshot;
+};
+
+// Static method to list changed fields between two snapshots
+urlRevisionSchema.statics.diff = function(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => stableStringify(before[field]) !== stableStringify(after[field]))
+    .map(field => field === 'password'
+      ? { field, oldValue: before[field] ? 'set' : null, newValue: after[field] ? 'set' : null }
+      : { field, oldValue: before[field], newValue: after[field] });
+};
+
+// Static method to append a revision for a URL. `before` is the snapshot
+// taken before the change (omit it for creations). Returns null when
+// nothing tracked changed.
+urlRevisionSchema.statics.record = async function(url, before, { action = 'update', user, rolledBackTo, req } = {}) {
+  const after = this.snapshot(url);
+  const changes = before ? this.diff(before, after) : [];
+
+  if (before && changes.length === 0) return null;
+
+  const audit = {
+    changedBy: user ? user._id : null,
+    ip: req?.ip,
+    userAgent: req?.get('User-Agent')
+  };
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ url: url._id }).sort({ version: -1 }).select('version');
+    let version = latest ? latest.version : 0;
+
+    try {
+      // URLs created before revisions existed get their prior state as version 1
+      if (version === 0 && before) {
+        await this.create({ url: url._id, version: ++version, action: 'baseline', snapshot: before, changedBy: null });
+      }
+
+      return await this.create({
+        url: url._id,
+        version: version + 1,
+        action,
+        changes,
+        snapshot: after,
+        rolledBackTo,
+        ...audit
+      });
+    } catch (error) {
+      // Another change took the version number; read the latest again
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not record URL revision');
+};
+
+urlRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+urlRevisionSchema.statics.ROLLBACK_FIELDS = ROLLBACK_FIELDS;
+
+module.exports = mongoose.model('UrlRevision', urlRevisionSchema);
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const bioPageController = require('../controllers/bioPageController');
+const { authenticate } = require('../middleware/auth');
+
+// Link-in-bio page management (public pages are served at /p/:slug)
+router.post('/', authenticate, bioPageController.createBioPage);
+router.get('/', authenticate, bioPageController.getUserBioPages);
+router.get('/:id', authenticate, bioPageController.getBioPage);
+router.put('/:id', authenticate, bioPageController.updateBioPage);
+router.delete('/:id', authenticate, bioPageController.deleteBioPage);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const collectionController = require('../controllers/collectionController');
+const { authenticate } = require('../middleware/auth');
+
+// URL collections (nested, shareable with viewer/editor roles)
+router.post('/', authenticate, collectionController.createCollection);
+router.get('/', authenticate, collectionController.getUserCollections);
+router.get('/:id', authenticate, collectionController.getCollection);
+router.put('/:id', authenticate, collectionController.updateCollection);
+router.delete('/:id', authenticate, collectionController.deleteCollection);
+
+// Sharing
+router.post('/:id/members', authenticate, collectionController.addCollectionMember);
+router.delete('/:id/members/:userId', authenticate, collectionController.removeCollectionMember);
+
+// URLs in a collection
+router.post('/:id/urls', authenticate, collectionController.addCollectionUrls);
+router.delete('/:id/urls/:urlId', authenticate, collectionController.removeCollectionUrl);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const domainController = require('../controllers/domainController');
+const { authenticate } = require('../middleware/auth');
+const { createCustomRateLimit } = require('../middleware/rateLimiter');
+
+// Rate limiting for DNS verification checks
+const verifyLimiter = createCustomRateLimit(60 * 1000, 5, 'Too many domain verification attempts'); // 5 checks per minute
+
+// Branded domain management
+router.post('/', authenticate, domainController.registerDomain);
+router.get('/', authenticate, domainController.getUserDomains);
+router.get('/:id', authenticate, domainController.getDomain);
+router.post('/:id/verify', authenticate, verifyLimiter, domainController.verifyDomainOwnership);
+router.put('/:id', authenticate, domainController.updateDomain);
+router.delete('/:id', authenticate, domainController.deleteDomain);
+
+module.exports = router;
\ No newline at end of file
@@ -1,28 +1,42 @@
 const express = require('express');
 const router = express.Router();
 const fileController = require('../controllers/fileController');
+const uploadSessionController = require('../controllers/uploadSessionController');
 const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
 const { createCustomRateLimit } = require('../middleware/rateLimiter');
+const { checkStorageQuota } = require('../middleware/storageQuota');
 
 // Rate limiting
 const fileUploadLimiter = createCustomRateLimit(60 * 1000, 5, 'Too many file upload requests'); // 5 uploads per minute
 
 // File upload routes
-router.post('/upload', authenticate, fileUploadLimiter, fileController.upload.single('file'), fileController.uploadFile);
-router.post('/upload/multiple', authenticate, fileUploadLimiter, fileController.upload.array('files', 5), fileController.uploadMultipleFiles);
+router.post('/upload', authenticate, fileUploadLimiter, checkStorageQuota, fileController.upload.single('file'), fileController.uploadFile);
+router.post('/upload/multiple', authenticate, fileUploadLimiter, checkStorageQuota, fileController.upload.array('files', 5), fileController.uploadMultipleFiles);
+
+// Resumable uploads (tus 1.0.0 compatible)
+router.post('/uploads', authenticate, fileUploadLimiter, uploadSessionController.tusHeaders, uploadSessionController.createUpload);
+router.head('/uploads/:id', authenticate, uploadSessionController.tusHeaders, uploadSessionController.getUploadOffset);
+router.get('/uploads/:id', authenticate, uploadSessionController.tusHeaders, uploadSessionController.getUploadStatus);
+router.patch('/uploads/:id', authenticate, uploadSessionController.tusHeaders, uploadSessionController.uploadChunk);
+router.put('/uploads/:id', authenticate, uploadSessionController.tusHeaders, uploadSessionController.uploadChunk);
+router.post('/uploads/:id/complete', authenticate, uploadSessionController.tusHeaders, uploadSessionController.completeUpload);
+router.delete('/uploads/:id', authenticate, uploadSessionController.tusHeaders, uploadSessionController.cancelUpload);
 
 // File access routes
 router.get('/:id', optionalAuth, fileController.getFileById);
 router.get('/:id/download', optionalAuth, fileController.downloadFile);
+router.get('/:id/variant/:type', optionalAuth, fileController.getFileVariant);
 router.get('/shared/:token', fileController.getSharedFile);
 
 // File management routes
 router.get('/user/files', authenticate, fileController.getUserFiles);
 router.put('/:id', authenticate, fileController.updateFile);
 router.delete('/:id', authenticate, fileController.deleteFile);
+router.post('/:id/restore', authenticate, fileController.restoreFile);
 router.post('/:id/share', authenticate, fileController.createShareLink);
 
 // Statistics
 router.get('/user/stats', authenticate, fileController.getFileStats);
+router.get('/user/quota', authenticate, fileController.getStorageQuota);
 
 module.exports = router; 
\ No newline at end of file
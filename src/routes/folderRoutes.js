@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const folderController = require('../controllers/folderController');
+const { authenticate } = require('../middleware/auth');
+
+// File folders (nested, per user). 'root' addresses the top level.
+router.post('/', authenticate, folderController.createFolder);
+router.get('/:id', authenticate, folderController.getFolderContents);
+router.put('/:id', authenticate, folderController.updateFolder);
+router.delete('/:id', authenticate, folderController.deleteFolder);
+
+// Move files into a folder (single or batch)
+router.post('/:id/files', authenticate, folderController.moveFilesToFolder);
+
+module.exports = router;
\ No newline at end of file
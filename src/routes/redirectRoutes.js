@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const urlController = require('../controllers/urlController');
+const bioPageController = require('../controllers/bioPageController');
+const { optionalAuth } = require('../middleware/auth');
+const { createCustomRateLimit } = require('../middleware/rateLimiter');
+const { resolveShortDomain } = require('../middleware/domain');
+
+// Rate limiting
+const urlAccessLimiter = createCustomRateLimit(60 * 1000, 100, 'Too many URL access requests'); // 100 accesses per minute
+const urlUnlockLimiter = createCustomRateLimit(60 * 1000, 10, 'Too many unlock attempts'); // 10 attempts per minute
+
+// Public link-in-bio pages
+router.get('/p/:slug', bioPageController.renderBioPage);
+router.get('/p/:slug/go/:urlId', urlAccessLimiter, bioPageController.followBioLink);
+
+// Short links served at the root of the default and branded domains
+// (e.g. https://go.example.com/abc123), resolved by the Host header
+router.get('/', resolveShortDomain, urlController.redirectDomainRoot);
+router.get('/:code', urlAccessLimiter, resolveShortDomain, optionalAuth, urlController.redirectToOriginal);
+router.post('/:code/unlock', urlUnlockLimiter, resolveShortDomain, urlController.unlockUrl);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const fileController = require('../controllers/fileController');
+const { optionalAuth } = require('../middleware/auth');
+
+// Legacy /uploads/<filename> file URLs, served with access control
+router.get('/:filename', optionalAuth, fileController.serveLegacyUpload);
+
+module.exports = router;
\ No newline at end of file
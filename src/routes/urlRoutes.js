@@ -1,25 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const urlController = require('../controllers/urlController');
+const blocklistController = require('../controllers/blocklistController');
 const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
 const { createCustomRateLimit } = require('../middleware/rateLimiter');
+const { resolveShortDomain } = require('../middleware/domain');
 
 // Rate limiting
 const urlCreateLimiter = createCustomRateLimit(60 * 1000, 10, 'Too many URL creation requests'); // 10 URLs per minute
 const urlAccessLimiter = createCustomRateLimit(60 * 1000, 100, 'Too many URL access requests'); // 100 accesses per minute
+const urlUnlockLimiter = createCustomRateLimit(60 * 1000, 10, 'Too many unlock attempts'); // 10 attempts per minute
+const analyticsExportLimiter = createCustomRateLimit(60 * 1000, 5, 'Too many analytics export requests'); // 5 exports per minute
+const healthCheckLimiter = createCustomRateLimit(60 * 1000, 5, 'Too many link health checks'); // 5 checks per minute
 
 // Public routes
-router.get('/:code', urlAccessLimiter, urlController.redirectToOriginal);
 router.get('/popular', optionalAuth, urlController.getPopularUrls);
 
 // Protected routes
 router.post('/', authenticate, urlCreateLimiter, urlController.createShortUrl);
-router.get('/analytics/:code', authenticate, urlController.getUrlAnalytics);
+router.get('/analytics/export', authenticate, analyticsExportLimiter, urlController.exportUserAnalytics);
+router.get('/analytics/:code', authenticate, resolveShortDomain, urlController.getUrlAnalytics);
+router.get('/analytics/:code/timeseries', authenticate, resolveShortDomain, urlController.getUrlTimeSeries);
+router.get('/analytics/:code/export', authenticate, analyticsExportLimiter, resolveShortDomain, urlController.exportUrlAnalytics);
 router.get('/user/urls', authenticate, urlController.getUserUrls);
+router.get('/campaigns', authenticate, urlController.getCampaignReport);
 router.put('/:id', authenticate, urlController.updateUrl);
+router.get('/:id/revisions', authenticate, urlController.getUrlRevisions);
+router.post('/:id/revisions/:version/rollback', authenticate, urlController.rollbackUrl);
+router.post('/:id/metadata/refresh', authenticate, urlController.refreshUrlMetadata);
+router.get('/:id/health', authenticate, urlController.getUrlHealth);
+router.post('/:id/health/check', authenticate, healthCheckLimiter, urlController.checkUrlHealth);
 router.delete('/:id', authenticate, urlController.deleteUrl);
 
 // Admin routes
 router.get('/admin/stats', authenticate, authorize('admin'), urlController.getUrlStats);
+router.get('/admin/blocklist', authenticate, authorize('admin'), blocklistController.getBlocklistEntries);
+router.post('/admin/blocklist', authenticate, authorize('admin'), blocklistController.addBlocklistEntry);
+router.post('/admin/blocklist/reload', authenticate, authorize('admin'), blocklistController.reloadBlocklist);
+router.post('/admin/blocklist/check', authenticate, authorize('admin'), blocklistController.checkUrl);
+router.post('/admin/blocklist/rescan', authenticate, authorize('admin'), blocklistController.rescanExistingUrls);
+router.put('/admin/blocklist/:id', authenticate, authorize('admin'), blocklistController.updateBlocklistEntry);
+router.delete('/admin/blocklist/:id', authenticate, authorize('admin'), blocklistController.deleteBlocklistEntry);
+
+// Redirect routes (registered last so they don't shadow the static paths above)
+router.get('/:code', urlAccessLimiter, resolveShortDomain, optionalAuth, urlController.redirectToOriginal);
+router.get('/:code/qr', urlAccessLimiter, resolveShortDomain, optionalAuth, urlController.getUrlQrCode);
+router.post('/:code/unlock', urlUnlockLimiter, resolveShortDomain, urlController.unlockUrl);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,179 @@
+const { once } = require('events');
+const XLSX = require('xlsx');
+const ClickEvent = require('../models/ClickEvent');
+const { logger } = require('../utils/logger');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_TYPES = ['daily', 'clicks'];
+
+const BATCH_SIZE = 1000;
+
+// XLSX workbooks are built in memory, so they are capped; CSV streams without a limit
+const XLSX_MAX_ROWS = parseInt(process.env.ANALYTICS_EXPORT_XLSX_MAX_ROWS) || 100000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Column headers and row mappers per export type
+const COLUMNS = {
+  daily: [
+    { header: 'Date', value: row => row.date },
+    { header: 'Short Code', value: row => row.link.shortCode },
+    { header: 'Short URL', value: row => row.link.shortUrl },
+    { header: 'Original URL', value: row => row.link.originalUrl },
+    { header: 'Clicks', value: row => row.clicks },
+    { header: 'Unique Visitors', value: row => row.uniqueVisitors }
+  ],
+  clicks: [
+    { header: 'Timestamp', value: row => row.timestamp.toISOString() },
+    { header: 'Short Code', value: row => row.link.shortCode },
+    { header: 'Unique', value: row => (row.isUnique ? 'yes' : 'no') },
+    { header: 'Referrer', value: row => row.referrer },
+    { header: 'Referrer Domain', value: row => row.referrerDomain },
+    { header: 'Country', value: row => row.geo?.country },
+    { header: 'Region', value: row => row.geo?.region },
+    { header: 'City', value: row => row.geo?.city },
+    { header: 'Browser', value: row => row.device?.browser },
+    { header: 'OS', value: row => row.device?.os },
+    { header: 'Device', value: row => row.device?.device },
+    { header: 'Redirect Rule', value: row => row.variant?.rule },
+    { header: 'Destination', value: row => row.variant?.destination }
+  ]
+};
+
+// Open a cursor over the export rows for a set of URLs. `links` maps URL ids
+// to { shortCode, shortUrl, originalUrl } for the descriptive columns.
+const openExportCursor = (links, { type, from, to }) => {
+  const urlIds = [...links.keys()];
+
+  if (type === 'clicks') {
+    return ClickEvent.find({ url: { $in: urlIds }, timestamp: { $gte: from, $lte: to } })
+      .sort({ timestamp: 1 })
+      .select('-visitorId -userAgent')
+      .lean()
+      .cursor({ batchSize: BATCH_SIZE });
+  }
+
+  return ClickEvent.getDailyTotals(urlIds, { from, to }).cursor({ batchSize: BATCH_SIZE });
+};
+
+// Yield export rows as arrays of cell values
+async function* readRows(links, options) {
+  const columns = COLUMNS[options.type];
+  const cursor = openExportCursor(links, options);
+
+  try {
+    for await (const row of cursor) {
+      row.link = links.get(row.url.toString()) || {};
+      yield columns.map(column => column.value(row));
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+// Quote a CSV cell. Cells that spreadsheets would read as formulas are
+// prefixed with a quote, since referrers come straight from visitors.
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+// Stream rows to the response as CSV, respecting backpressure and stopping
+// when the client goes away
+const streamCsv = async (res, links, options) => {
+  res.write(toCsvLine(COLUMNS[options.type].map(column => column.header)));
+
+  for await (const values of readRows(links, options)) {
+    if (res.destroyed) break;
+
+    if (!res.write(toCsvLine(values))) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  }
+
+  res.end();
+};
+
+// Build an XLSX workbook from the rows, appending them to the sheet in
+// batches. Returns { buffer } or { error } when the row cap is exceeded.
+const buildXlsx = async (links, options) => {
+  const sheet = XLSX.utils.aoa_to_sheet([COLUMNS[options.type].map(column => column.header)]);
+  let batch = [];
+  let rows = 0;
+
+  for await (const values of readRows(links, options)) {
+    if (++rows > XLSX_MAX_ROWS) {
+      return { error: `XLSX exports are limited to ${XLSX_MAX_ROWS} rows; use format=csv for larger exports` };
+    }
+
+    batch.push(values);
+
+    if (batch.length === BATCH_SIZE) {
+      XLSX.utils.sheet_add_aoa(sheet, batch, { origin: -1 });
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    XLSX.utils.sheet_add_aoa(sheet, batch, { origin: -1 });
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, options.type === 'clicks' ? 'Clicks' : 'Daily Clicks');
+
+  return { buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: true }) };
+};
+
+// Send an analytics export for the given links as an attachment
+const sendAnalyticsExport = async (res, links, { format, type, from, to, filename }) => {
+  const options = { type, from, to };
+  const attachment = `${filename}.${format}`;
+
+  if (format === 'xlsx') {
+    // Advertise the cap on both the workbook and the 422 refusal
+    res.setHeader('X-Export-Row-Limit', XLSX_MAX_ROWS);
+
+    const { buffer, error } = await buildXlsx(links, options);
+    if (error) return { error };
+
+    res.setHeader('Content-Type', CONTENT_TYPES.xlsx);
+    res.setHeader('Content-Disposition', `attachment; filename="${attachment}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.status(200).send(buffer);
+    return {};
+  }
+
+  res.setHeader('Content-Type', CONTENT_TYPES.csv);
+  res.setHeader('Content-Disposition', `attachment; filename="${attachment}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200);
+
+  try {
+    await streamCsv(res, links, options);
+  } catch (error) {
+    // Headers are already sent, so the error handler can't respond; cut the
+    // download short instead of leaving a truncated file looking complete
+    logger.error('Analytics export failed:', error);
+    res.destroy(error);
+  }
+
+  return {};
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_TYPES,
+  sendAnalyticsExport
+};
@@ -0,0 +1,122 @@
+const BioPage = require('../models/BioPage');
+const { cacheOperations } = require('../config/redis');
+const { escapeHtml } = require('../utils/html');
+
+const BIO_PAGE_CACHE_TTL = 300; // 5 minutes
+
+const THEME_STYLES = {
+  light: { background: '#f7f7f8', text: '#1f2328', button: '#ffffff', buttonText: '#1f2328', accent: '#1a73e8' },
+  dark: { background: '#111418', text: '#e8eaed', button: '#1f242b', buttonText: '#e8eaed', accent: '#8ab4f8' },
+  minimal: { background: '#ffffff', text: '#111111', button: '#ffffff', buttonText: '#111111', accent: '#111111' },
+  colorful: { background: 'linear-gradient(135deg, #ff7a59, #a855f7)', text: '#ffffff', button: 'rgba(255, 255, 255, 0.92)', buttonText: '#3b0764', accent: '#ffffff' }
+};
+
+const getBioCacheKey = (slug) => `bio:${slug}`;
+
+const getPublicPath = (slug) => `/p/${slug}`;
+
+// Links the public can follow: visible, live, safe and not password protected
+const isLinkAvailable = (link) => {
+  const url = link.url;
+  if (!link.isVisible || !url || !url.isActive || url.isExpired) return false;
+  if (url.expiresAt && new Date(url.expiresAt) < new Date()) return false;
+  if (url.password || url.malwareCheck?.isSafe === false) return false;
+  return true;
+};
+
+// Public representation of a page (safe to cache and to return as JSON)
+const toPublicBioPage = (page) => {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:5000';
+  const avatarFile = page.avatar && page.avatar.visibility === 'public'
+    ? (page.avatar.variants || []).find(variant => variant.type === 'thumbnail') || page.avatar
+    : null;
+  const avatar = avatarFile ? new URL(avatarFile.url, baseUrl).toString() : null;
+
+  return {
+    slug: page.slug,
+    title: page.title,
+    description: page.description || null,
+    avatar,
+    theme: {
+      preset: page.theme?.preset || 'light',
+      accentColor: page.theme?.accentColor || null
+    },
+    links: page.links.filter(isLinkAvailable).map(link => ({
+      id: link.url._id.toString(),
+      label: link.label || link.url.metadata?.title || link.url.shortUrl,
+      shortUrl: link.url.shortUrl,
+      favicon: link.url.metadata?.favicon || null,
+      href: `${getPublicPath(page.slug)}/go/${link.url._id}`
+    })),
+    updatedAt: page.updatedAt
+  };
+};
+
+// Load a published page (cached for a few minutes)
+const getPublicBioPage = async (slug) => {
+  const cacheKey = getBioCacheKey(slug);
+  const cached = await cacheOperations.get(cacheKey);
+  if (cached) return cached;
+
+  const page = await BioPage.findPublishedBySlug(slug);
+  if (!page) return null;
+
+  const publicPage = { ...toPublicBioPage(page), _id: page._id.toString(), owner: page.owner.toString() };
+  await cacheOperations.set(cacheKey, publicPage, BIO_PAGE_CACHE_TTL);
+
+  return publicPage;
+};
+
+const invalidateBioPage = async (slug) => {
+  await cacheOperations.del(getBioCacheKey(slug));
+};
+
+// Server-side rendered page
+const renderBioPageHtml = (page) => {
+  const theme = THEME_STYLES[page.theme.preset] || THEME_STYLES.light;
+  const accent = page.theme.accentColor || theme.accent;
+
+  const links = page.links.map(link => `
+      <li>
+        <a class="link" href="${escapeHtml(link.href)}" rel="noopener">${escapeHtml(link.label)}</a>
+      </li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(page.title)}</title>
+  ${page.description ? `<meta name="description" content="${escapeHtml(page.description)}">` : ''}
+  <meta property="og:title" content="${escapeHtml(page.title)}">
+  ${page.avatar ? `<meta property="og:image" content="${escapeHtml(page.avatar)}">` : ''}
+  <style>
+    body { margin: 0; min-height: 100vh; font-family: system-ui, -apple-system, sans-serif; background: ${theme.background}; color: ${theme.text}; }
+    main { max-width: 560px; margin: 0 auto; padding: 48px 20px; text-align: center; }
+    .avatar { width: 96px; height: 96px; border-radius: 50%; object-fit: cover; border: 3px solid ${accent}; }
+    h1 { font-size: 1.5rem; margin: 16px 0 8px; }
+    p { margin: 0 0 24px; opacity: 0.85; }
+    ul { list-style: none; margin: 0; padding: 0; }
+    li { margin: 12px 0; }
+    .link { display: block; padding: 14px 18px; border-radius: 12px; border: 2px solid ${accent}; background: ${theme.button}; color: ${theme.buttonText}; text-decoration: none; font-weight: 600; }
+    .link:hover { opacity: 0.9; }
+  </style>
+</head>
+<body>
+  <main>
+    ${page.avatar ? `<img class="avatar" src="${escapeHtml(page.avatar)}" alt="">` : ''}
+    <h1>${escapeHtml(page.title)}</h1>
+    ${page.description ? `<p>${escapeHtml(page.description)}</p>` : ''}
+    <ul>${links}
+    </ul>
+  </main>
+</body>
+</html>`;
+};
+
+module.exports = {
+  getPublicPath,
+  getPublicBioPage,
+  invalidateBioPage,
+  renderBioPageHtml
+};
@@ -0,0 +1,468 @@
+const mongoose = require('mongoose');
+const Url = require('../models/Url');
+const ClickEvent = require('../models/ClickEvent');
+const { getRedisClient } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const PENDING_SET_KEY = 'clicks:pending';
+const EVENT_LIST_KEY = 'clicks:events';
+const FLUSH_INTERVAL_MS = parseInt(process.env.CLICK_FLUSH_INTERVAL_MS) || 5000;
+const FLUSH_BATCH_SIZE = parseInt(process.env.CLICK_FLUSH_BATCH_SIZE) || 500;
+const MAX_BUFFERED_EVENTS = parseInt(process.env.CLICK_EVENT_BUFFER_SIZE) || 1000;
+// Events kept in memory for retry while MongoDB is unreachable and Redis isn't
+// available to hold them
+const MAX_RETAINED_EVENTS = MAX_BUFFERED_EVENTS * 10;
+
+let flushTimer = null;
+let flushing = null;
+let eventBuffer = [];
+
+const getCounterKey = (urlId) => `clicks:${urlId}`;
+
+const isRedisAvailable = () => {
+  const client = getRedisClient();
+  return Boolean(client && client.isOpen);
+};
+
+const getStartOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Hash fields counting a single click. `day:` feeds dailyClicks and
+// `rolling:` the today/week/month counters; both are keyed by the day of the
+// click so clicks flushed after midnight land in the right bucket. The click
+// time itself is kept in the `last` field (see recordClick).
+const getClickFields = (clickData, timestamp) => {
+  const day = getStartOfDay(timestamp).toISOString();
+  const fields = {
+    total: 1,
+    [`day:${day}`]: 1,
+    [`rolling:${day}`]: 1
+  };
+
+  if (clickData.isUnique) {
+    fields.unique = 1;
+  }
+
+  if (clickData.geo) {
+    fields[`geo:${JSON.stringify({
+      country: clickData.geo.country,
+      countryCode: clickData.geo.countryCode,
+      city: clickData.geo.city,
+      region: clickData.geo.region
+    })}`] = 1;
+  }
+
+  if (clickData.device) {
+    fields[`device:${JSON.stringify({
+      browser: clickData.device.browser,
+      os: clickData.device.os,
+      device: clickData.device.device
+    })}`] = 1;
+  }
+
+  if (clickData.referrer) {
+    fields[`referrer:${clickData.referrer}`] = 1;
+  }
+
+  if (clickData.variant) {
+    fields[`variant:${JSON.stringify({
+      rule: clickData.variant.rule,
+      destination: clickData.variant.destination
+    })}`] = 1;
+  }
+
+  return fields;
+};
+
+// Turn pending hash fields into atomic update operations for one URL. The
+// operations come in groups together with the hash fields each group applies,
+// so a failed flush can put back exactly what wasn't written.
+const buildUrlOperations = (urlId, fields) => {
+  const total = parseInt(fields.total) || 0;
+  const unique = parseInt(fields.unique) || 0;
+  const groups = [];
+
+  if (total === 0) return groups;
+
+  // Counters from before click times were tracked have no `last` field
+  const lastClickedAt = fields.last ? new Date(parseInt(fields.last)) : new Date();
+
+  const today = getStartOfDay();
+  const thisWeekStart = new Date(today);
+  thisWeekStart.setDate(today.getDate() - today.getDay());
+  const thisMonthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+
+  const mainFields = { total: fields.total, last: lastClickedAt.getTime() };
+  if (unique > 0) mainFields.unique = fields.unique;
+
+  const rolling = Object.entries(fields)
+    .filter(([field]) => field.startsWith('rolling:'))
+    .map(([field, value]) => {
+      mainFields[field] = value;
+      return { day: new Date(field.substring('rolling:'.length)), clicks: parseInt(value) || 0 };
+    });
+
+  const clicksSince = (periodStart) => rolling
+    .filter(({ day }) => day >= periodStart)
+    .reduce((sum, { clicks }) => sum + clicks, 0);
+
+  // Rolling counters restart when the last click predates the period
+  const rollingCounter = (field, periodStart) => ({
+    $add: [
+      {
+        $cond: [
+          { $gte: [{ $ifNull: ['$analytics.lastClickedAt', new Date(0)] }, periodStart] },
+          { $ifNull: [`$analytics.${field}`, 0] },
+          0
+        ]
+      },
+      clicksSince(periodStart)
+    ]
+  });
+
+  groups.push({
+    fields: mainFields,
+    operations: [{
+      updateOne: {
+        filter: { _id: urlId },
+        update: [
+          {
+            $set: {
+              'analytics.totalClicks': { $add: [{ $ifNull: ['$analytics.totalClicks', 0] }, total] },
+              'analytics.uniqueClicks': { $add: [{ $ifNull: ['$analytics.uniqueClicks', 0] }, unique] },
+              'analytics.clicksToday': rollingCounter('clicksToday', today),
+              'analytics.clicksThisWeek': rollingCounter('clicksThisWeek', thisWeekStart),
+              'analytics.clicksThisMonth': rollingCounter('clicksThisMonth', thisMonthStart)
+            }
+          },
+          {
+            $set: {
+              'analytics.lastClickedAt': { $max: [{ $ifNull: ['$analytics.lastClickedAt', new Date(0)] }, lastClickedAt] }
+            }
+          }
+        ]
+      }
+    }]
+  });
+
+  // Increment a matching array element, or push a new one if none matches.
+  // The two operations are mutually exclusive so exactly one applies.
+  const upsertStat = (field, arrayField, match, element, clicks, pushOptions = {}) => {
+    groups.push({
+      fields: { [field]: clicks },
+      operations: [
+        {
+          updateOne: {
+            filter: { _id: urlId, [arrayField]: { $elemMatch: match } },
+            update: { $inc: { [`${arrayField}.$.clicks`]: clicks } }
+          }
+        },
+        {
+          updateOne: {
+            filter: { _id: urlId, [arrayField]: { $not: { $elemMatch: match } } },
+            update: { $push: { [arrayField]: { $each: [{ ...element, clicks }], ...pushOptions } } }
+          }
+        }
+      ]
+    });
+  };
+
+  Object.entries(fields).forEach(([field, value]) => {
+    const clicks = parseInt(value) || 0;
+    const separator = field.indexOf(':');
+    if (separator === -1 || clicks === 0) return;
+
+    const type = field.substring(0, separator);
+    const data = field.substring(separator + 1);
+
+    switch (type) {
+      case 'day': {
+        const date = new Date(data);
+        upsertStat(field, 'dailyClicks', { date }, { date }, clicks, { $sort: { date: -1 }, $slice: 30 });
+        break;
+      }
+      case 'geo': {
+        const geo = JSON.parse(data);
+        upsertStat(field, 'geoStats', { country: geo.country, city: geo.city }, geo, clicks);
+        break;
+      }
+      case 'device': {
+        const device = JSON.parse(data);
+        upsertStat(field, 'deviceStats', { browser: device.browser, os: device.os }, device, clicks);
+        break;
+      }
+      case 'referrer': {
+        const referrerDomain = data.includes('/') ? data.split('/')[2] : data;
+        upsertStat(field, 'referrerStats', { referrer: data }, { referrer: data, domain: referrerDomain }, clicks);
+        break;
+      }
+      case 'variant': {
+        const variant = JSON.parse(data);
+        upsertStat(field, 'variantStats', { rule: variant.rule, destination: variant.destination }, variant, clicks);
+        break;
+      }
+    }
+  });
+
+  return groups;
+};
+
+// Build the raw click event. The id is assigned up front so retrying an
+// insert that partly succeeded can't store an event twice.
+const buildClickEvent = (url, clickData) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ...ClickEvent.buildEvent(url, clickData)
+});
+
+// Buffer the raw click event in memory for a batched insert (used when Redis
+// isn't available)
+const bufferClickEvent = (event) => {
+  eventBuffer.push(event);
+
+  if (eventBuffer.length >= MAX_BUFFERED_EVENTS) {
+    flushClickEvents().catch(err => logger.error('Click event flush failed:', err));
+  }
+};
+
+// Record a redirect without touching MongoDB on the request path
+const recordClick = async (url, clickData = {}) => {
+  const timestamp = clickData.timestamp || new Date();
+  const event = buildClickEvent(url, { ...clickData, timestamp });
+  const fields = getClickFields(clickData, timestamp);
+
+  if (!isRedisAvailable()) {
+    bufferClickEvent(event);
+
+    // No Redis: still apply the click atomically, just without batching
+    const groups = buildUrlOperations(url._id, { ...fields, last: timestamp.getTime() });
+    await Url.bulkWrite(groups.flatMap(group => group.operations), { ordered: true });
+    return;
+  }
+
+  // The event is queued in Redis with the counters so a restart doesn't
+  // lose clicks that haven't been written yet
+  const multi = getRedisClient().multi();
+  Object.entries(fields).forEach(([field, value]) => {
+    multi.hIncrBy(getCounterKey(url._id), field, value);
+  });
+  multi.hSet(getCounterKey(url._id), 'last', timestamp.getTime());
+  multi.sAdd(PENDING_SET_KEY, url._id.toString());
+  multi.rPush(EVENT_LIST_KEY, JSON.stringify(event));
+  await multi.exec();
+};
+
+// Put counts back into Redis after a failed flush so they are not lost.
+// Clicks recorded since the flush started are newer, so their `last` wins.
+const restorePendingCounts = async (pending) => {
+  const multi = getRedisClient().multi();
+
+  pending.forEach(({ urlId, fields }) => {
+    Object.entries(fields).forEach(([field, value]) => {
+      if (field === 'last') {
+        multi.hSetNX(getCounterKey(urlId), field, String(value));
+      } else {
+        multi.hIncrBy(getCounterKey(urlId), field, parseInt(value) || 0);
+      }
+    });
+    multi.sAdd(PENDING_SET_KEY, urlId);
+  });
+
+  await multi.exec();
+};
+
+// Insert click events. Resolves to the events that weren't stored and
+// should be retried; events already stored by an earlier attempt count as
+// stored.
+const insertClickEvents = async (events) => {
+  try {
+    await ClickEvent.insertMany(events, { ordered: false });
+    return [];
+  } catch (error) {
+    // Without write errors nothing is known to have been stored
+    if (!error.writeErrors) {
+      logger.error('Click event insert failed:', error);
+      return events;
+    }
+
+    const failed = new Set([].concat(error.writeErrors)
+      .filter(writeError => (writeError.err?.code ?? writeError.code) !== 11000)
+      .map(writeError => writeError.index));
+
+    if (failed.size > 0) {
+      logger.error(`Click event insert failed for ${failed.size} of ${events.length} events:`, error);
+    }
+
+    return events.filter((event, index) => failed.has(index));
+  }
+};
+
+// Insert events buffered in memory. Events that fail are put back for the
+// next flush, keeping at most MAX_RETAINED_EVENTS.
+const flushBufferedEvents = async () => {
+  if (eventBuffer.length === 0) return 0;
+
+  const events = eventBuffer;
+  eventBuffer = [];
+
+  const failed = await insertClickEvents(events);
+
+  if (failed.length > 0) {
+    eventBuffer = [...failed, ...eventBuffer];
+
+    const dropped = eventBuffer.length - MAX_RETAINED_EVENTS;
+    if (dropped > 0) {
+      eventBuffer = eventBuffer.slice(dropped);
+      logger.warn(`Dropped ${dropped} click events that could not be stored`);
+    }
+  }
+
+  return events.length - failed.length;
+};
+
+// Insert events queued in Redis. Events that fail go back on the queue.
+const flushQueuedEvents = async () => {
+  if (!isRedisAvailable()) return 0;
+
+  const client = getRedisClient();
+  let inserted = 0;
+
+  while (true) {
+    const [queued] = await client.multi()
+      .lRange(EVENT_LIST_KEY, 0, FLUSH_BATCH_SIZE - 1)
+      .lTrim(EVENT_LIST_KEY, FLUSH_BATCH_SIZE, -1)
+      .exec();
+    if (!queued || queued.length === 0) break;
+
+    const events = queued.map(item => JSON.parse(item));
+    const failed = await insertClickEvents(events);
+    inserted += events.length - failed.length;
+
+    if (failed.length > 0) {
+      await client.rPush(EVENT_LIST_KEY, failed.map(event => JSON.stringify(event)));
+      break;
+    }
+
+    if (queued.length < FLUSH_BATCH_SIZE) break;
+  }
+
+  return inserted;
+};
+
+// Insert pending click events
+const flushClickEvents = async () => {
+  const [buffered, queued] = await Promise.all([flushBufferedEvents(), flushQueuedEvents()]);
+  return buffered + queued;
+};
+
+// Operation groups an ordered bulk write didn't apply: everything from the
+// first failed operation on. Without write errors (e.g. the connection
+// dropped) nothing is known to have applied. A failure in the second
+// operation of an increment/push pair means the increment matched nothing,
+// so its group is put back whole.
+const getUnappliedGroups = (groups, error) => {
+  const writeErrors = [].concat(error.writeErrors || []);
+  const failedIndex = writeErrors.length > 0 ? Math.min(...writeErrors.map(writeError => writeError.index)) : 0;
+
+  let end = 0;
+  return groups.filter(group => {
+    end += group.operations.length;
+    return end > failedIndex;
+  });
+};
+
+// Move pending click counters from Redis into MongoDB
+const flushClickCounters = async () => {
+  if (!isRedisAvailable()) return 0;
+
+  const client = getRedisClient();
+  let flushedUrls = 0;
+
+  while (true) {
+    const urlIds = await client.sPop(PENDING_SET_KEY, FLUSH_BATCH_SIZE);
+    if (!urlIds || urlIds.length === 0) break;
+
+    // Read and reset each counter hash atomically
+    const multi = client.multi();
+    urlIds.forEach(urlId => {
+      multi.hGetAll(getCounterKey(urlId));
+      multi.del(getCounterKey(urlId));
+    });
+    const replies = await multi.exec();
+
+    const pending = urlIds
+      .map((urlId, index) => ({ urlId, fields: replies[index * 2] || {} }))
+      .filter(({ fields }) => Object.keys(fields).length > 0);
+
+    const groups = pending.flatMap(({ urlId, fields }) =>
+      buildUrlOperations(urlId, fields).map(group => ({ urlId, ...group })));
+    const operations = groups.flatMap(group => group.operations);
+
+    if (operations.length > 0) {
+      try {
+        await Url.bulkWrite(operations, { ordered: true });
+        flushedUrls += pending.length;
+      } catch (error) {
+        logger.error('Click counter flush failed, restoring pending counts:', error);
+        await restorePendingCounts(getUnappliedGroups(groups, error));
+        break;
+      }
+    }
+
+    if (urlIds.length < FLUSH_BATCH_SIZE) break;
+  }
+
+  return flushedUrls;
+};
+
+// Flush everything that is pending (never runs two flushes at once)
+const flushClicks = async () => {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    try {
+      const [urls, events] = await Promise.all([flushClickCounters(), flushClickEvents()]);
+
+      if (urls > 0 || events > 0) {
+        logger.debug('Click analytics flushed', { urls, events });
+      }
+
+      return { urls, events };
+    } finally {
+      flushing = null;
+    }
+  })();
+
+  return flushing;
+};
+
+// Start periodic flushing
+const startClickFlusher = (intervalMs = FLUSH_INTERVAL_MS) => {
+  if (flushTimer) return;
+
+  flushTimer = setInterval(() => {
+    flushClicks().catch(err => logger.error('Scheduled click flush failed:', err));
+  }, intervalMs);
+  flushTimer.unref();
+
+  logger.info(`Click flusher started (every ${intervalMs}ms)`);
+};
+
+// Stop periodic flushing and write out anything still pending
+const stopClickFlusher = async () => {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+
+  return flushClicks();
+};
+
+module.exports = {
+  recordClick,
+  flushClicks,
+  startClickFlusher,
+  stopClickFlusher
+};
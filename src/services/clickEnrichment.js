@@ -0,0 +1,199 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const csv = require('csv-parser');
+const maxmind = require('maxmind');
+const UAParser = require('ua-parser-js');
+const { logger } = require('../utils/logger');
+
+// Loaded GeoIP source: either a MaxMind reader or sorted CSV range tables
+let geoDatabase = null;
+
+// Normalise IPv4-mapped IPv6 addresses (e.g. ::ffff:1.2.3.4)
+const normalizeIp = (ip) => {
+  if (!ip) return null;
+
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : ip;
+};
+
+// Convert an IP address to a comparable number (BigInt for IPv6)
+const ipToNumber = (ip) => {
+  if (/^\d+$/.test(ip)) return Number(ip);
+
+  if (net.isIPv4(ip)) {
+    return ip.split('.').reduce((acc, octet) => acc * 256 + parseInt(octet), 0);
+  }
+
+  if (net.isIPv6(ip)) {
+    const [head, tail = ''] = ip.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = ip.includes('::') && tail ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    const parts = ip.includes('::')
+      ? [...headParts, ...new Array(missing).fill('0'), ...tailParts]
+      : headParts;
+
+    return parts.reduce((acc, part) => (acc << 16n) + BigInt(parseInt(part || '0', 16)), 0n);
+  }
+
+  return null;
+};
+
+// Binary search a sorted range table
+const findRange = (ranges, value) => {
+  let low = 0;
+  let high = ranges.length - 1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const range = ranges[mid];
+
+    if (value < range.start) {
+      high = mid - 1;
+    } else if (value > range.end) {
+      low = mid + 1;
+    } else {
+      return range;
+    }
+  }
+
+  return null;
+};
+
+// Load a CSV range table: start_ip,end_ip,country_code,country,region,city
+const loadCsvDatabase = (filePath) => {
+  const v4 = [];
+  const v6 = [];
+
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (row) => {
+        const start = ipToNumber(row.start_ip);
+        const end = ipToNumber(row.end_ip);
+        if (start === null || end === null) return;
+
+        const range = {
+          start,
+          end,
+          geo: {
+            country: row.country || null,
+            countryCode: row.country_code || null,
+            region: row.region || null,
+            city: row.city || null
+          }
+        };
+
+        (typeof start === 'bigint' ? v6 : v4).push(range);
+      })
+      .on('end', () => {
+        const byStart = (a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0);
+        v4.sort(byStart);
+        v6.sort(byStart);
+
+        resolve({
+          type: 'csv',
+          lookup: (ip) => {
+            const value = ipToNumber(ip);
+            if (value === null) return null;
+
+            const range = findRange(typeof value === 'bigint' ? v6 : v4, value);
+            return range ? range.geo : null;
+          }
+        });
+      })
+      .on('error', reject);
+  });
+};
+
+// Load a MaxMind (GeoLite2/GeoIP2 City or Country) database
+const loadMmdbDatabase = async (filePath) => {
+  const reader = await maxmind.open(filePath, { watchForUpdates: false });
+
+  return {
+    type: 'mmdb',
+    lookup: (ip) => {
+      const record = reader.get(ip);
+      if (!record) return null;
+
+      return {
+        country: record.country?.names?.en || null,
+        countryCode: record.country?.iso_code || null,
+        region: record.subdivisions?.[0]?.names?.en || null,
+        city: record.city?.names?.en || null
+      };
+    }
+  };
+};
+
+// Load the local GeoIP database configured by GEOIP_DB_PATH (no network calls)
+const loadGeoDatabase = async (filePath = process.env.GEOIP_DB_PATH) => {
+  if (!filePath) {
+    logger.warn('GEOIP_DB_PATH not set - click geo enrichment disabled');
+    return null;
+  }
+
+  try {
+    const resolvedPath = path.resolve(filePath);
+
+    geoDatabase = path.extname(resolvedPath).toLowerCase() === '.csv'
+      ? await loadCsvDatabase(resolvedPath)
+      : await loadMmdbDatabase(resolvedPath);
+
+    logger.info(`GeoIP database loaded (${geoDatabase.type}) from ${resolvedPath}`);
+    return geoDatabase;
+  } catch (error) {
+    logger.error('Failed to load GeoIP database:', error);
+    geoDatabase = null;
+    return null;
+  }
+};
+
+// Resolve country/region/city for an IP address
+const lookupGeo = (ip) => {
+  const address = normalizeIp(ip);
+  if (!geoDatabase || !address || !net.isIP(address)) return null;
+
+  try {
+    const geo = geoDatabase.lookup(address);
+    return geo && geo.country ? geo : null;
+  } catch (error) {
+    logger.error(`GeoIP lookup failed for ${address}:`, error.message);
+    return null;
+  }
+};
+
+// Parse browser, OS and device type from a User-Agent string
+const parseUserAgent = (userAgent) => {
+  if (!userAgent) return null;
+
+  const result = new UAParser(userAgent).getResult();
+
+  return {
+    browser: result.browser.name || 'Unknown',
+    os: result.os.name || 'Unknown',
+    // ua-parser-js leaves desktop browsers without a device type
+    device: result.device.type || 'desktop'
+  };
+};
+
+// Build the geo/device part of the click data
+const enrichClick = ({ ip, userAgent }) => {
+  const enrichment = {};
+
+  const device = parseUserAgent(userAgent);
+  if (device) enrichment.device = device;
+
+  const geo = lookupGeo(ip);
+  if (geo) enrichment.geo = geo;
+
+  return enrichment;
+};
+
+module.exports = {
+  loadGeoDatabase,
+  lookupGeo,
+  parseUserAgent,
+  enrichClick
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const FileBlob = require('../models/FileBlob');
+const { logger } = require('../utils/logger');
+const { UPLOAD_ROOT, getStorage } = require('./storage');
+const { getBlobVariantKeys, isOwnVariant } = require('./imageVariants');
+
+// Uploads are written here by multer before being moved into storage
+const TEMP_DIR = path.join(UPLOAD_ROOT, 'tmp');
+
+// SHA-256 of a file on disk (hex)
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+// Blobs are sharded by hash prefix to keep directories small. The random
+// suffix keeps a re-created blob from colliding with one being deleted.
+const getBlobKey = (hash, extension = '') => path.posix.join(
+  'blobs',
+  hash.substring(0, 2),
+  `${hash}-${crypto.randomBytes(4).toString('hex')}${extension.toLowerCase()}`
+);
+
+const removeQuietly = (filePath) => fs.promises.unlink(filePath).catch(error => {
+  if (error.code !== 'ENOENT') logger.error(`Failed to remove ${filePath}:`, error);
+});
+
+// Remove content from storage, logging instead of failing
+const removeStoredQuietly = (storageName, key) => getStorage(storageName).remove(key).catch(error => {
+  logger.error(`Failed to remove stored content ${key}:`, error);
+});
+
+// Move an uploaded temp file into the content store. When the same bytes are
+// already stored the temp file is discarded and the existing blob gains a
+// reference. Resolves to { hash, path, size, storage, deduplicated } where
+// path is the storage key.
+const storeUpload = async ({ path: tempPath, originalname, mimetype }) => {
+  try {
+    const hash = await hashFile(tempPath);
+    const existing = await FileBlob.addReference(hash);
+
+    if (existing) {
+      await removeQuietly(tempPath);
+      return { hash, path: existing.path, size: existing.size, storage: existing.storage, deduplicated: true };
+    }
+
+    const storage = getStorage();
+    const { size } = await fs.promises.stat(tempPath);
+    const candidateKey = getBlobKey(hash, path.extname(originalname));
+
+    await storage.saveFile(candidateKey, tempPath, { contentType: mimetype });
+
+    const blob = await FileBlob.createOrReference({ hash, size, path: candidateKey, storage: storage.name });
+
+    // Another upload of the same bytes got there first
+    if (blob.path !== candidateKey) {
+      await removeStoredQuietly(storage.name, candidateKey);
+      return { hash, path: blob.path, size: blob.size, storage: blob.storage, deduplicated: true };
+    }
+
+    return { hash, path: blob.path, size, storage: blob.storage, deduplicated: false };
+  } catch (error) {
+    await removeQuietly(tempPath);
+    throw error;
+  }
+};
+
+// Drop a reference to stored content, deleting it and its shared image
+// variants with the last reference
+const releaseContent = async (hash) => {
+  const blob = await FileBlob.releaseReference(hash);
+
+  if (blob) {
+    await removeStoredQuietly(blob.storage, blob.path);
+    await Promise.all(getBlobVariantKeys(blob).map(key => removeStoredQuietly(blob.storage, key)));
+    logger.info(`Removed unreferenced file content ${hash}`);
+  }
+
+  return Boolean(blob);
+};
+
+// Permanently delete a File record and release its content. Files uploaded
+// before deduplication own their bytes and variants outright.
+const purgeFile = async (file) => {
+  await file.deleteOne();
+
+  if (file.contentHash) {
+    await releaseContent(file.contentHash);
+  } else if (file.path) {
+    await removeStoredQuietly(file.storage, file.path);
+  }
+
+  await Promise.all(file.variants
+    .filter(variant => variant.path && isOwnVariant(file, variant))
+    .map(variant => removeStoredQuietly(file.storage, variant.path)));
+};
+
+module.exports = {
+  TEMP_DIR,
+  hashFile,
+  storeUpload,
+  releaseContent,
+  purgeFile,
+  removeQuietly
+};
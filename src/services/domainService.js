@@ -0,0 +1,141 @@
+const dns = require('dns');
+const Domain = require('../models/Domain');
+const { cacheOperations } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const DOMAIN_CACHE_TTL = 300; // 5 minutes
+
+// Default resolver; DOMAIN_VERIFICATION_DNS_SERVERS (comma separated, e.g.
+// 127.0.0.1:5353) points verification at a specific or local stub DNS server
+const createDefaultResolver = () => {
+  const resolver = new dns.promises.Resolver();
+  const servers = (process.env.DOMAIN_VERIFICATION_DNS_SERVERS || '')
+    .split(',')
+    .map(server => server.trim())
+    .filter(Boolean);
+
+  if (servers.length > 0) {
+    resolver.setServers(servers);
+  }
+
+  return resolver;
+};
+
+let resolver = null;
+
+// Replace the DNS resolver (any object with resolveTxt(name) -> string[][]).
+// Passing nothing restores the default resolver.
+const setResolver = (customResolver) => {
+  if (customResolver && typeof customResolver.resolveTxt !== 'function') {
+    throw new Error('Resolver must implement resolveTxt(name)');
+  }
+  resolver = customResolver || null;
+};
+
+const getResolver = () => {
+  if (!resolver) {
+    resolver = createDefaultResolver();
+  }
+  return resolver;
+};
+
+// Hostnames that always serve the default (unbranded) domain
+const getPrimaryHosts = () => {
+  const hosts = new Set(['localhost', '127.0.0.1']);
+
+  try {
+    hosts.add(new URL(process.env.BASE_URL || 'http://localhost:5000').hostname.toLowerCase());
+  } catch (error) {
+    logger.warn(`Invalid BASE_URL: ${process.env.BASE_URL}`);
+  }
+
+  return hosts;
+};
+
+const isPrimaryHost = (hostname) => getPrimaryHosts().has(String(hostname || '').toLowerCase());
+
+const getDomainCacheKey = (hostname) => `domain:${hostname.toLowerCase()}`;
+
+// Resolve a hostname to its registered domain.
+// Returns null for unknown hosts and { _id, hostname, isVerified, isActive } otherwise.
+const findDomainByHost = async (hostname) => {
+  if (!hostname || isPrimaryHost(hostname)) return null;
+
+  const cacheKey = getDomainCacheKey(hostname);
+  const cached = await cacheOperations.get(cacheKey);
+
+  if (cached) {
+    return cached.notFound ? null : cached;
+  }
+
+  const domain = await Domain.findOne({ hostname: hostname.toLowerCase() })
+    .select('hostname isVerified isActive rootRedirectUrl')
+    .lean();
+
+  const entry = domain
+    ? {
+      _id: domain._id.toString(),
+      hostname: domain.hostname,
+      isVerified: domain.isVerified,
+      isActive: domain.isActive,
+      rootRedirectUrl: domain.rootRedirectUrl
+    }
+    : { notFound: true };
+
+  await cacheOperations.set(cacheKey, entry, DOMAIN_CACHE_TTL);
+
+  return domain ? entry : null;
+};
+
+const invalidateDomainCache = async (hostname) => {
+  await cacheOperations.del(getDomainCacheKey(hostname));
+};
+
+// Check the domain's TXT record and update its verification state
+const verifyDomain = async (domain) => {
+  const record = domain.getVerificationRecord();
+  let records = [];
+  let checkError = null;
+
+  try {
+    // resolveTxt returns each record as an array of chunks
+    records = (await getResolver().resolveTxt(record.name)).map(chunks => chunks.join(''));
+  } catch (error) {
+    checkError = error.code === 'ENOTFOUND' || error.code === 'ENODATA'
+      ? `No TXT record found at ${record.name}`
+      : `DNS lookup failed: ${error.message}`;
+  }
+
+  const isVerified = records.some(value => value.trim() === record.value);
+
+  if (!isVerified && !checkError) {
+    checkError = `TXT record at ${record.name} does not contain the verification token`;
+  }
+
+  domain.lastCheckedAt = new Date();
+  domain.lastCheckError = isVerified ? undefined : checkError;
+
+  if (isVerified && !domain.isVerified) {
+    domain.isVerified = true;
+    domain.verifiedAt = new Date();
+  }
+
+  await domain.save();
+  await invalidateDomainCache(domain.hostname);
+
+  logger.business('Domain Verification Checked', {
+    domainId: domain._id,
+    hostname: domain.hostname,
+    isVerified
+  });
+
+  return { isVerified, error: isVerified ? null : checkError, record };
+};
+
+module.exports = {
+  setResolver,
+  isPrimaryHost,
+  findDomainByHost,
+  invalidateDomainCache,
+  verifyDomain
+};
@@ -0,0 +1,79 @@
+const Url = require('../models/Url');
+const File = require('../models/File');
+const { cacheOperations } = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { purgeFile } = require('./contentStore');
+const { sweepExpiredUploads } = require('./resumableUpload');
+const { registerRecurringJob } = require('./jobScheduler');
+
+const URL_EXPIRY_CRON = process.env.URL_EXPIRY_CRON || '*/5 * * * *';
+const FILE_SHARE_EXPIRY_CRON = process.env.FILE_SHARE_EXPIRY_CRON || '*/15 * * * *';
+const FILE_PURGE_CRON = process.env.FILE_PURGE_CRON || '0 3 * * *';
+const UPLOAD_EXPIRY_CRON = process.env.UPLOAD_EXPIRY_CRON || '0 * * * *';
+// Days a soft-deleted file can be restored before it is purged
+const FILE_PURGE_AFTER_DAYS = parseInt(process.env.FILE_PURGE_AFTER_DAYS) || 30;
+const SWEEP_BATCH_SIZE = 1000;
+const PURGE_BATCH_SIZE = 100;
+
+// Deactivate expired short URLs and drop their redirect cache entries
+const sweepExpiredUrls = async () => {
+  let expired = 0;
+  let batch;
+
+  do {
+    batch = await Url.cleanupExpired(SWEEP_BATCH_SIZE);
+
+    await Promise.all(batch.map(url =>
+      cacheOperations.del(`url:${Url.getScopedCode(url.shortCode, url.domain)}`)
+    ));
+
+    expired += batch.length;
+  } while (batch.length === SWEEP_BATCH_SIZE);
+
+  return { expired };
+};
+
+// Revoke file share links past their expiry
+const sweepExpiredShares = async () => {
+  const revoked = await File.cleanupExpiredShares();
+  return { revoked };
+};
+
+// Permanently remove files soft-deleted longer than the retention period,
+// deleting stored content once no file references it
+const purgeDeletedFiles = async () => {
+  const deletedBefore = new Date(Date.now() - FILE_PURGE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+  let purged = 0;
+  let failed = 0;
+  let batch;
+
+  do {
+    batch = await File.findPurgeable(deletedBefore, PURGE_BATCH_SIZE);
+
+    for (const file of batch) {
+      try {
+        await purgeFile(file);
+        purged++;
+      } catch (error) {
+        failed++;
+        logger.error(`Failed to purge file ${file._id}:`, error);
+      }
+    }
+  } while (batch.length === PURGE_BATCH_SIZE && failed === 0);
+
+  return { purged, failed };
+};
+
+const registerExpiryJobs = () => {
+  registerRecurringJob('expire-urls', URL_EXPIRY_CRON, sweepExpiredUrls);
+  registerRecurringJob('expire-file-shares', FILE_SHARE_EXPIRY_CRON, sweepExpiredShares);
+  registerRecurringJob('purge-deleted-files', FILE_PURGE_CRON, purgeDeletedFiles);
+  registerRecurringJob('expire-uploads', UPLOAD_EXPIRY_CRON, () => sweepExpiredUploads());
+};
+
+module.exports = {
+  sweepExpiredUrls,
+  sweepExpiredShares,
+  purgeDeletedFiles,
+  registerExpiryJobs
+};
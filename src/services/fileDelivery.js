@@ -0,0 +1,203 @@
+const { pipeline } = require('stream/promises');
+const { logger } = require('../utils/logger');
+const { getStorage } = require('./storage');
+
+// Browser cache lifetime for public files. Content at a key never changes,
+// but a file can be made private or deleted, so by default caches revalidate
+// with the ETag on every request (a cheap 304 while nothing changed).
+const PUBLIC_MAX_AGE = parseInt(process.env.FILE_CACHE_MAX_AGE) || 0;
+
+const VALIDATOR_HEADERS = ['Accept-Ranges', 'ETag', 'Last-Modified', 'Cache-Control'];
+
+// Types a browser can display without running scripts from them. Anything
+// else (HTML, SVG, XML, ...) is served as an attachment, since the declared
+// type comes from the uploader and inline content runs on the API's origin.
+const INLINE_MIMETYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'image/avif',
+  'image/bmp',
+  'application/pdf',
+  'text/plain'
+];
+
+const isInlineSafe = (mimetype = '') => {
+  const type = mimetype.split(';')[0].trim().toLowerCase();
+  return INLINE_MIMETYPES.includes(type) || /^(video|audio)\/[\w.+-]+$/.test(type);
+};
+
+// Parse a Range header against a file size. Returns null to send the whole
+// file (no header, or one this server doesn't handle such as multiple
+// ranges), { unsatisfiable: true }, or { start, end } (inclusive).
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2]);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+
+  return { start, end };
+};
+
+// Whether an If-None-Match list matches the ETag (weak comparison)
+const etagMatches = (header, etag) => {
+  if (header.trim() === '*') return true;
+
+  const normalize = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => normalize(tag) === normalize(etag));
+};
+
+// Conditional GET: If-None-Match takes precedence over If-Modified-Since
+const isNotModified = (req, { etag, lastModified }) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) return etagMatches(ifNoneMatch, etag);
+
+  const ifModifiedSince = Date.parse(req.get('If-Modified-Since'));
+  if (!Number.isNaN(ifModifiedSince) && lastModified) {
+    // HTTP dates have second precision
+    return Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+  }
+
+  return false;
+};
+
+// If-Range: only honour the Range header when the validator still matches
+const isRangeCurrent = (req, { etag, lastModified }) => {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    // Ranges require a strong match
+    return !ifRange.startsWith('W/') && ifRange.trim() === etag;
+  }
+
+  const date = Date.parse(ifRange);
+  return !Number.isNaN(date) && Boolean(lastModified) &&
+    Math.floor(lastModified.getTime() / 1000) * 1000 <= date;
+};
+
+// Content-Disposition with an ASCII fallback and the UTF-8 filename (RFC 6266)
+const contentDisposition = (disposition, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Send stored content with range, ETag and Last-Modified support. Resolves to
+// { status } with the status sent (200, 206, 304 or 416), or { missing: true }
+// when the content isn't in storage (nothing is sent then). `inline` is only
+// honoured for types isInlineSafe allows.
+const sendStoredContent = async (req, res, {
+  storage: storageName,
+  key,
+  size,
+  mimetype,
+  etag,
+  lastModified,
+  filename,
+  disposition = 'attachment',
+  isPublic = false
+}) => {
+  const storage = getStorage(storageName);
+  const validators = { etag, lastModified };
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+  // no-transform keeps the compression middleware away from byte ranges
+  res.setHeader('Cache-Control', isPublic
+    ? `public, ${PUBLIC_MAX_AGE > 0 ? `max-age=${PUBLIC_MAX_AGE}` : 'no-cache'}, no-transform`
+    : 'private, no-cache, no-transform');
+
+  if (isNotModified(req, validators)) {
+    res.status(304).end();
+    return { status: 304 };
+  }
+
+  const range = req.get('Range') && isRangeCurrent(req, validators)
+    ? parseRange(req.get('Range'), size)
+    : null;
+
+  if (range?.unsatisfiable) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    res.status(416).end();
+    return { status: 416 };
+  }
+
+  // HEAD requests only check the content exists
+  let content = null;
+  let found = true;
+
+  try {
+    if (req.method === 'HEAD') {
+      found = Boolean(await storage.stat(key));
+    } else {
+      content = await storage.createReadStream(key, range || {});
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    found = false;
+  }
+
+  if (!found) {
+    // Don't let caches keep the error response
+    VALIDATOR_HEADERS.forEach(header => res.removeHeader(header));
+    return { missing: true };
+  }
+
+  const status = range ? 206 : 200;
+
+  res.status(status);
+  res.setHeader('Content-Type', mimetype);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Disposition', contentDisposition(
+    disposition === 'inline' && isInlineSafe(mimetype) ? 'inline' : 'attachment',
+    filename
+  ));
+  res.setHeader('Content-Length', range ? range.end - range.start + 1 : size);
+  if (range) res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+
+  if (!content) {
+    res.end();
+    return { status, range };
+  }
+
+  pipeline(content, res).catch(error => {
+    // Clients cancel ranges all the time while seeking
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      logger.error(`Failed to stream ${key}:`, error);
+    }
+  });
+
+  return { status, range };
+};
+
+// Validators for a File's original content. Content-addressed files use the
+// hash; older files fall back to id and size.
+const getFileValidators = (file) => ({
+  etag: `"${file.contentHash || `${file._id}-${file.size}`}"`,
+  lastModified: file.createdAt
+});
+
+module.exports = {
+  isInlineSafe,
+  parseRange,
+  contentDisposition,
+  sendStoredContent,
+  getFileValidators
+};
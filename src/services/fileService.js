@@ -0,0 +1,96 @@
+const path = require('path');
+const fs = require('fs');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { storeUpload, releaseContent, removeQuietly } = require('./contentStore');
+const { reserveStorage, releaseStorage } = require('./storageQuota');
+const { canGenerateVariants, queueVariantGeneration } = require('./imageVariants');
+
+// Unique stored filename keeping the original extension
+const generateFilename = (originalName) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return uniqueSuffix + path.extname(originalName);
+};
+
+const normalizeTags = (tags) => (Array.isArray(tags) ? tags : (tags ? [tags] : []));
+
+// Visibility for a new file: explicit, or inherited from its folder.
+// Files outside folders without one are private.
+const resolveVisibility = async (visibility, folder) => {
+  if (visibility) return { visibility, visibilityInherited: false };
+
+  const inherited = folder ? await Folder.getEffectiveVisibility(folder) : null;
+  return { visibility: inherited || 'private', visibilityInherited: Boolean(folder) };
+};
+
+// Store an uploaded temp file (deduplicated by content) and create its File
+// record. `upload` has the multer file shape: { path, originalname, filename, mimetype }.
+// The file's size is charged to the owner's storage quota first; uploads that
+// don't fit are discarded with a 413 AppError. A folder that no longer exists
+// puts the file at the root.
+const createFileFromUpload = async (upload, { owner, folder: folderId = null, visibility, tags = [], description = '', reservedBytes = 0 }) => {
+  const folder = folderId ? await Folder.findOne({ _id: folderId, owner }) : null;
+  const access = await resolveVisibility(visibility, folder);
+  const { size } = await fs.promises.stat(upload.path);
+
+  // Only what wasn't charged up front (e.g. by a resumable upload) is
+  // charged here, and given back if the file can't be created
+  const charge = Math.max(size - reservedBytes, 0);
+  const { reserved } = charge > 0 ? await reserveStorage(owner, charge) : { reserved: true };
+
+  if (!reserved) {
+    await removeQuietly(upload.path);
+    throw new AppError('Storage quota exceeded', 413);
+  }
+
+  let stored;
+
+  try {
+    stored = await storeUpload(upload);
+  } catch (error) {
+    if (charge > 0) await releaseStorage(owner, charge);
+    throw error;
+  }
+
+  try {
+    const file = new File({
+      originalName: upload.originalname,
+      filename: upload.filename || generateFilename(upload.originalname),
+      mimetype: upload.mimetype,
+      size: stored.size,
+      storage: stored.storage,
+      path: stored.path,
+      contentHash: stored.hash,
+      uploadedBy: owner,
+      folder: folder ? folder._id : null,
+      ...access,
+      tags: normalizeTags(tags),
+      description
+    });
+
+    // Content is served through the API whichever driver stores it
+    file.url = `/api/files/${file._id}/download`;
+
+    if (canGenerateVariants(file)) {
+      file.processing.status = 'pending';
+    }
+
+    await file.save();
+
+    queueVariantGeneration(file).catch(err => logger.error(`Failed to queue variants for ${file._id}:`, err));
+
+    return { file, deduplicated: stored.deduplicated };
+  } catch (error) {
+    await releaseContent(stored.hash);
+    if (charge > 0) await releaseStorage(owner, charge);
+    throw error;
+  }
+};
+
+module.exports = {
+  generateFilename,
+  normalizeTags,
+  createFileFromUpload
+};
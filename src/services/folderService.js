@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const Folder = require('../models/Folder');
+const File = require('../models/File');
+const { releaseStorage } = require('./storageQuota');
+
+// Resolve a folder id from a request to a folder the user owns. 'root', null
+// and empty values mean the root. Resolves to { folder } (null for the root)
+// or { error, statusCode }.
+const resolveFolder = async (folderId, user) => {
+  if (!folderId || folderId === 'root') return { folder: null };
+
+  const folder = mongoose.isValidObjectId(folderId) ? await Folder.findById(folderId) : null;
+
+  if (!folder || !folder.owner.equals(user._id)) {
+    return { error: 'Folder not found', statusCode: 404 };
+  }
+
+  return { folder };
+};
+
+// Visibility a folder passes on to its files (null for the root or when no
+// folder in the chain sets one)
+const getFolderVisibility = async (folderId) => {
+  const folder = folderId ? await Folder.findById(folderId) : null;
+  return folder ? Folder.getEffectiveVisibility(folder) : null;
+};
+
+// Whether a folder already has a child folder with this name
+const nameTaken = (owner, parentId, name, excludeId = null) => Folder.exists({
+  owner,
+  parent: parentId,
+  name,
+  ...(excludeId ? { _id: { $ne: excludeId } } : {})
+});
+
+// Re-apply inherited visibility to files in a folder and everything nested
+// below it, e.g. after the folder's visibility changed or it was moved.
+// Resolves to the number of files updated.
+const applyFolderVisibility = async (folder) => {
+  const descendants = await Folder.find({ ancestors: folder._id })
+    .select('parent ancestors visibility')
+    .lean();
+
+  const effective = new Map([[folder._id.toString(), await Folder.getEffectiveVisibility(folder)]]);
+
+  // Resolve top-down so each parent is resolved before its children
+  descendants
+    .sort((a, b) => a.ancestors.length - b.ancestors.length)
+    .forEach(item => {
+      effective.set(item._id.toString(), item.visibility || effective.get(item.parent.toString()) || null);
+    });
+
+  let updated = 0;
+
+  for (const [folderId, visibility] of effective) {
+    if (!visibility) continue;
+
+    const result = await File.updateMany(
+      { folder: folderId, visibilityInherited: true, visibility: { $ne: visibility } },
+      { $set: { visibility } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return updated;
+};
+
+// Move files the user owns into a folder (null for the root). Files that
+// inherit visibility take on the target folder's. Resolves to
+// { moved, notFound } where notFound lists ids that weren't moved.
+const moveFiles = async (fileIds, folder, user) => {
+  const ids = [...new Set(fileIds.map(String))];
+
+  const files = await File.find({
+    _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) },
+    uploadedBy: user._id,
+    isDeleted: false
+  }).select('_id');
+
+  const found = files.map(file => file._id);
+  const foundIds = new Set(found.map(String));
+
+  if (found.length > 0) {
+    await File.updateMany({ _id: { $in: found } }, { $set: { folder: folder ? folder._id : null } });
+
+    const visibility = folder ? await Folder.getEffectiveVisibility(folder) : null;
+
+    if (visibility) {
+      await File.updateMany(
+        { _id: { $in: found }, visibilityInherited: true },
+        { $set: { visibility } }
+      );
+    }
+  }
+
+  return {
+    moved: found.length,
+    notFound: ids.filter(id => !foundIds.has(id))
+  };
+};
+
+// Create a folder owned by the user. Resolves to { folder } or { error, statusCode }.
+const createFolder = async ({ name, parent, visibility = null }, user) => {
+  if (await nameTaken(user._id, parent ? parent._id : null, name)) {
+    return { error: 'A folder with this name already exists here', statusCode: 409 };
+  }
+
+  const folder = await Folder.create({
+    name,
+    owner: user._id,
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : [],
+    visibility
+  });
+
+  return { folder };
+};
+
+// Rename, move or change the visibility of a folder. `parent` is undefined to
+// stay in place, null for the root. Resolves to { folder } or { error, statusCode }.
+const updateFolder = async (folder, { name, parent, visibility }) => {
+  const currentParent = folder.parent ? folder.parent.toString() : null;
+  const isMove = parent !== undefined && (parent ? parent._id.toString() : null) !== currentParent;
+  const targetParent = isMove ? (parent ? parent._id : null) : folder.parent;
+
+  // A folder cannot move into itself or below itself
+  if (isMove && parent && (parent._id.equals(folder._id) || parent.ancestors.some(id => id.equals(folder._id)))) {
+    return { error: 'A folder cannot be moved into itself', statusCode: 400 };
+  }
+
+  const newName = name !== undefined ? name : folder.name;
+
+  if ((name !== undefined || isMove) && await nameTaken(folder.owner, targetParent, newName, folder._id)) {
+    return { error: 'A folder with this name already exists here', statusCode: 409 };
+  }
+
+  folder.name = newName;
+  if (visibility !== undefined) folder.visibility = visibility;
+
+  let descendants = [];
+  const previousAncestors = [...folder.ancestors];
+
+  if (isMove) {
+    folder.parent = targetParent;
+    folder.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+
+    // Check the depth of the deepest nested folder after the move
+    descendants = await Folder.find({ ancestors: folder._id }).select('ancestors');
+    const deepest = descendants.reduce((depth, item) => Math.max(depth, item.ancestors.length), previousAncestors.length);
+
+    if (deepest - previousAncestors.length + folder.ancestors.length >= Folder.MAX_DEPTH) {
+      return { error: `Folders can be nested at most ${Folder.MAX_DEPTH} levels deep`, statusCode: 400 };
+    }
+  }
+
+  await folder.save();
+
+  // Rewrite the ancestor chain of everything below the moved folder
+  await Promise.all(descendants.map(item => {
+    const below = item.ancestors.slice(previousAncestors.length);
+    return Folder.updateOne({ _id: item._id }, { $set: { ancestors: [...folder.ancestors, ...below] } });
+  }));
+
+  if (isMove || visibility !== undefined) {
+    await applyFolderVisibility(folder);
+  }
+
+  return { folder };
+};
+
+// Delete a folder and everything nested below it. Non-empty folders are only
+// deleted with `recursive`, which soft-deletes the files inside (restorable
+// to the root until purged). Resolves to { folders, files } counts or
+// { error, statusCode }.
+const deleteFolder = async (folder, { recursive = false } = {}) => {
+  const ids = await Folder.getSubtreeIds(folder._id);
+  const fileQuery = { folder: { $in: ids }, isDeleted: false };
+
+  const [usage] = await File.aggregate([
+    { $match: fileQuery },
+    { $group: { _id: null, count: { $sum: 1 }, size: { $sum: '$size' } } }
+  ]);
+  const fileCount = usage ? usage.count : 0;
+
+  if (!recursive && (ids.length > 1 || fileCount > 0)) {
+    return { error: 'Folder is not empty; delete it recursively to remove its contents', statusCode: 409 };
+  }
+
+  if (fileCount > 0) {
+    await File.updateMany(fileQuery, { $set: { isDeleted: true, deletedAt: new Date(), isActive: false } });
+    await releaseStorage(folder.owner, usage.size);
+  }
+
+  await Folder.deleteMany({ _id: { $in: ids } });
+
+  return { folders: ids.length, files: fileCount };
+};
+
+module.exports = {
+  resolveFolder,
+  getFolderVisibility,
+  applyFolderVisibility,
+  moveFiles,
+  createFolder,
+  updateFolder,
+  deleteFolder
+};
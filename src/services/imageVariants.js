@@ -0,0 +1,239 @@
+const path = require('path');
+const sharp = require('sharp');
+const File = require('../models/File');
+const { getRedisClient } = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { getQueue } = require('./jobScheduler');
+const { getStorage } = require('./storage');
+
+const QUEUE_NAME = 'file-processing';
+const JOB_NAME = 'generate-variants';
+const CONCURRENCY = parseInt(process.env.IMAGE_PROCESSING_CONCURRENCY) || 2;
+
+// Formats sharp can decode; other images (SVG, icons...) are served as-is
+const PROCESSABLE_MIMETYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff'];
+
+// Variants are WebP, resized to fit within the box without enlarging.
+// "compressed" keeps the original dimensions at a lower quality.
+const VARIANT_SPECS = {
+  thumbnail: { width: 150, height: 150, fit: 'cover', quality: 75 },
+  small: { width: 320, height: 320, fit: 'inside', quality: 80 },
+  medium: { width: 800, height: 800, fit: 'inside', quality: 80 },
+  large: { width: 1600, height: 1600, fit: 'inside', quality: 85 },
+  compressed: { quality: 60 }
+};
+
+const VARIANT_TYPES = Object.keys(VARIANT_SPECS);
+const VARIANT_MIMETYPE = 'image/webp';
+
+const canGenerateVariants = (file) => PROCESSABLE_MIMETYPES.includes(file.mimetype);
+
+// Variants of deduplicated content are stored once per blob (named after its
+// hash-based key) and shared by every file with those bytes. Files stored
+// before deduplication keep per-file variants.
+const getVariantKey = (file, type) => {
+  if (!file.contentHash) return `variants/${file._id}/${type}.webp`;
+
+  const blobName = path.posix.basename(file.path, path.posix.extname(file.path));
+  return `variants/${file.contentHash.substring(0, 2)}/${blobName}/${type}.webp`;
+};
+
+// Keys of the shared variants of a blob, removed along with it
+const getBlobVariantKeys = (blob) => VARIANT_TYPES.map(type => getVariantKey({ contentHash: blob.hash, path: blob.path }, type));
+
+// Whether a stored variant belongs to this file alone
+const isOwnVariant = (file, variant) => variant.path.startsWith(`variants/${file._id}/`);
+
+// Feed a stored file into sharp without buffering it first. Resolves once the
+// input has been read, with its metadata.
+const openImage = async (storage, key) => {
+  const source = await storage.createReadStream(key);
+  // Apply EXIF orientation so portrait photos aren't sideways
+  const image = sharp({ animated: false }).rotate();
+
+  const readFailed = new Promise((resolve, reject) => source.once('error', reject));
+  readFailed.catch(() => {});
+
+  source.pipe(image);
+  const metadata = await Promise.race([image.clone().metadata(), readFailed]);
+
+  return { image, metadata };
+};
+
+// Variants already generated for a deduplicated copy of the same content
+const findSharedVariants = (file) => File.findOne({
+  _id: { $ne: file._id },
+  contentHash: file.contentHash,
+  path: file.path,
+  'processing.status': 'completed',
+  'variants.0': { $exists: true }
+}).select('variants metadata.dimensions');
+
+const setProcessing = (fileId, fields) => File.updateOne({ _id: fileId }, { $set: fields });
+
+// Generate every variant of an image file, store them next to the original
+// and record them on the file. `onProgress` receives 0-100.
+const generateVariants = async (fileId, onProgress = () => {}) => {
+  const file = await File.findById(fileId).select('storage path contentHash mimetype isDeleted');
+
+  if (!file || file.isDeleted) return { skipped: 'File not found' };
+  if (!canGenerateVariants(file)) return { skipped: 'Not a processable image' };
+
+  const storage = getStorage(file.storage);
+  const shared = file.contentHash ? await findSharedVariants(file) : null;
+
+  // Per-file variants of the copy would be removed along with it
+  if (shared && !shared.variants.some(variant => isOwnVariant(shared, variant))) {
+    const { dimensions } = shared.metadata;
+    const variants = shared.variants.map(variant => ({
+      type: variant.type,
+      filename: variant.filename,
+      path: variant.path,
+      url: `/api/files/${file._id}/variant/${variant.type}`,
+      size: variant.size,
+      dimensions: variant.dimensions
+    }));
+
+    await File.updateOne({ _id: file._id }, {
+      $set: {
+        variants,
+        'metadata.dimensions': dimensions,
+        'processing.status': 'completed',
+        'processing.completedAt': new Date(),
+        'processing.tasks': VARIANT_TYPES.map(name => ({ name, status: 'completed', progress: 100 }))
+      }
+    });
+
+    onProgress(100);
+    return { variants: variants.length, dimensions, reused: true };
+  }
+
+  await setProcessing(file._id, {
+    'processing.status': 'processing',
+    'processing.startedAt': new Date(),
+    'processing.tasks': VARIANT_TYPES.map(name => ({ name, status: 'pending', progress: 0 }))
+  });
+
+  try {
+    const { image, metadata } = await openImage(storage, file.path);
+
+    // EXIF orientations 5-8 swap width and height
+    const { width, height } = metadata.orientation >= 5
+      ? { width: metadata.height, height: metadata.width }
+      : metadata;
+
+    const variants = [];
+
+    for (const [index, type] of VARIANT_TYPES.entries()) {
+      const spec = VARIANT_SPECS[type];
+      let pipeline = image.clone();
+
+      if (spec.width) {
+        pipeline = pipeline.resize({ width: spec.width, height: spec.height, fit: spec.fit, withoutEnlargement: true });
+      }
+
+      const { data, info } = await pipeline.webp({ quality: spec.quality }).toBuffer({ resolveWithObject: true });
+      const key = getVariantKey(file, type);
+
+      await storage.saveBuffer(key, data, { contentType: VARIANT_MIMETYPE });
+
+      variants.push({
+        type,
+        filename: `${type}.webp`,
+        path: key,
+        url: `/api/files/${file._id}/variant/${type}`,
+        size: info.size,
+        dimensions: { width: info.width, height: info.height }
+      });
+
+      await setProcessing(file._id, {
+        [`processing.tasks.${index}.status`]: 'completed',
+        [`processing.tasks.${index}.progress`]: 100
+      });
+
+      onProgress(Math.round(((index + 1) / VARIANT_TYPES.length) * 100));
+    }
+
+    const result = await File.updateOne({ _id: file._id }, {
+      $set: {
+        variants,
+        'metadata.dimensions': { width, height },
+        'processing.status': 'completed',
+        'processing.completedAt': new Date()
+      }
+    });
+
+    // The file was purged while processing; don't leave its own variants
+    // behind (shared ones go with the blob)
+    if (result.matchedCount === 0) {
+      await Promise.all(variants
+        .filter(variant => isOwnVariant(file, variant))
+        .map(variant => storage.remove(variant.path)));
+      return { skipped: 'File was deleted' };
+    }
+
+    return { variants: variants.length, dimensions: { width, height } };
+  } catch (error) {
+    await File.updateOne({ _id: file._id }, {
+      $set: {
+        'processing.status': 'failed',
+        'processing.completedAt': new Date(),
+        'processing.tasks.$[task].status': 'failed',
+        'processing.tasks.$[task].error': error.message.substring(0, 500)
+      }
+    }, {
+      arrayFilters: [{ 'task.status': { $ne: 'completed' } }]
+    }).catch(err => logger.error(`Failed to record processing error for ${file._id}:`, err));
+
+    throw error;
+  }
+};
+
+const isQueueAvailable = () => {
+  const client = getRedisClient();
+  return Boolean(client && client.isOpen);
+};
+
+// Queue variant generation for an uploaded image. Without Redis the job runs
+// in the background of this process instead.
+const queueVariantGeneration = async (file) => {
+  if (!canGenerateVariants(file)) return;
+
+  if (!isQueueAvailable()) {
+    setImmediate(() => generateVariants(file._id)
+      .catch(err => logger.error(`Variant generation failed for ${file._id}:`, err)));
+    return;
+  }
+
+  await getQueue(QUEUE_NAME).add(JOB_NAME, { fileId: file._id.toString() }, {
+    jobId: `variants:${file._id}`,
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 5000 },
+    removeOnComplete: 100,
+    removeOnFail: 100
+  });
+};
+
+// Process variant jobs in this instance
+const startImageProcessor = () => {
+  if (!isQueueAvailable()) {
+    logger.warn('Image processing queue disabled: Redis is not available');
+    return false;
+  }
+
+  getQueue(QUEUE_NAME).process(JOB_NAME, CONCURRENCY, (job) =>
+    generateVariants(job.data.fileId, progress => job.progress(progress)));
+
+  return true;
+};
+
+module.exports = {
+  VARIANT_TYPES,
+  VARIANT_MIMETYPE,
+  canGenerateVariants,
+  getBlobVariantKeys,
+  isOwnVariant,
+  generateVariants,
+  queueVariantGeneration,
+  startImageProcessor
+};
@@ -0,0 +1,89 @@
+const Queue = require('bull');
+const { getRedisClient } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const queues = new Map();
+
+// Jobs registered with registerRecurringJob, started by startScheduler
+const recurringJobs = [];
+
+// Get (or create) a Bull queue backed by REDIS_URL
+const getQueue = (name) => {
+  if (!queues.has(name)) {
+    const queue = new Queue(name, process.env.REDIS_URL || 'redis://localhost:6379');
+
+    queue.on('failed', (job, err) => {
+      logger.error(`Job ${name}:${job.name} failed (attempt ${job.attemptsMade}):`, err);
+    });
+
+    queue.on('error', (err) => {
+      logger.error(`Queue ${name} error:`, err);
+    });
+
+    queues.set(name, queue);
+  }
+
+  return queues.get(name);
+};
+
+// Register a job that runs on a cron schedule
+const registerRecurringJob = (name, cron, handler) => {
+  recurringJobs.push({ name, cron, handler });
+};
+
+// Start processing recurring jobs. Bull keys repeatable jobs by name and
+// cron, so several app instances share one schedule instead of each
+// running every sweep.
+const startScheduler = async () => {
+  const client = getRedisClient();
+
+  if (!client || !client.isOpen) {
+    logger.warn('Job scheduler disabled: Redis is not available');
+    return false;
+  }
+
+  const queue = getQueue('maintenance');
+
+  // Drop schedules whose cron changed or whose job no longer exists
+  const repeatableJobs = await queue.getRepeatableJobs();
+  await Promise.all(repeatableJobs
+    .filter(job => !recurringJobs.some(({ name, cron }) => job.name === name && job.cron === cron))
+    .map(job => queue.removeRepeatableByKey(job.key)));
+
+  for (const { name, cron, handler } of recurringJobs) {
+    queue.process(name, async (job) => {
+      const startedAt = Date.now();
+      const result = await handler(job);
+
+      logger.business('Scheduled Job Completed', {
+        job: name,
+        duration: Date.now() - startedAt,
+        result
+      });
+
+      return result;
+    });
+
+    await queue.add(name, {}, {
+      repeat: { cron },
+      removeOnComplete: 10,
+      removeOnFail: 50
+    });
+  }
+
+  logger.info(`Job scheduler started with ${recurringJobs.length} recurring jobs`);
+  return true;
+};
+
+// Let running jobs finish and close all queues
+const stopScheduler = async () => {
+  await Promise.all([...queues.values()].map(queue => queue.close()));
+  queues.clear();
+};
+
+module.exports = {
+  getQueue,
+  registerRecurringJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,262 @@
+const http = require('http');
+const https = require('https');
+const Url = require('../models/Url');
+const LinkHealthCheck = require('../models/LinkHealthCheck');
+const Notification = require('../models/Notification');
+const { cacheOperations } = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { assertPublicHost, safeLookup } = require('../utils/network');
+const { registerRecurringJob } = require('./jobScheduler');
+
+const LINK_HEALTH_CRON = process.env.LINK_HEALTH_CRON || '*/30 * * * *';
+const CHECK_INTERVAL_MS = (parseInt(process.env.LINK_HEALTH_INTERVAL_MINUTES) || 360) * 60 * 1000;
+const BATCH_SIZE = parseInt(process.env.LINK_HEALTH_BATCH_SIZE) || 500;
+const CONCURRENCY = parseInt(process.env.LINK_HEALTH_CONCURRENCY) || 5;
+const TIMEOUT_MS = parseInt(process.env.LINK_HEALTH_TIMEOUT_MS) || 10000;
+// Consecutive failed checks before a link is marked broken (avoids flapping)
+const FAILURE_THRESHOLD = parseInt(process.env.LINK_HEALTH_FAILURE_THRESHOLD) || 2;
+const MAX_REDIRECTS = 5;
+const USER_AGENT = process.env.LINK_HEALTH_USER_AGENT || 'Mozilla/5.0 (compatible; LinkHealthBot/1.0)';
+
+// Statuses that mean the destination is gone or failing. Other 4xx answers
+// (401, 403, 429...) come from a live server and count as healthy.
+const isBrokenStatus = (status) => status === 404 || status === 410 || status >= 500;
+
+// Single request that never reads the body
+const request = (targetUrl, { method, timeout }) => new Promise((resolve, reject) => {
+  const client = targetUrl.protocol === 'https:' ? https : http;
+
+  const req = client.request(targetUrl, {
+    method,
+    headers: { 'User-Agent': USER_AGENT, Accept: '*/*' },
+    lookup: safeLookup,
+    timeout
+  }, (res) => {
+    res.resume();
+    resolve({ status: res.statusCode, headers: res.headers });
+    res.destroy();
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+  req.on('error', reject);
+  req.end();
+});
+
+// Default HTTP client: follows redirects manually.
+// Clients resolve to { status, url } or throw on network errors.
+const defaultHttpClient = async (destination, { method = 'HEAD', timeout = TIMEOUT_MS } = {}) => {
+  let currentUrl = new URL(destination);
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    if (!['http:', 'https:'].includes(currentUrl.protocol)) {
+      throw new Error(`Unsupported protocol ${currentUrl.protocol}`);
+    }
+
+    assertPublicHost(currentUrl);
+
+    const response = await request(currentUrl, { method, timeout });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      currentUrl = new URL(response.headers.location, currentUrl);
+      continue;
+    }
+
+    return { status: response.status, url: currentUrl.toString() };
+  }
+
+  throw new Error(`Too many redirects (max ${MAX_REDIRECTS})`);
+};
+
+let httpClient = defaultHttpClient;
+
+// Replace the HTTP client (e.g. with one pointed at a local stub server).
+// Passing nothing restores the default client.
+const setHttpClient = (customClient) => {
+  if (customClient && typeof customClient !== 'function') {
+    throw new Error('HTTP client must be a function');
+  }
+  httpClient = customClient || defaultHttpClient;
+};
+
+// Check a destination with HEAD, retrying with GET for servers that don't
+// support HEAD (or answer it differently)
+const checkDestination = async (originalUrl) => {
+  const destination = /^https?:\/\//i.test(originalUrl) ? originalUrl : `http://${originalUrl}`;
+  const startedAt = Date.now();
+  let method = 'HEAD';
+
+  try {
+    let response = await httpClient(destination, { method, timeout: TIMEOUT_MS });
+
+    if (response.status === 405 || response.status === 501 || isBrokenStatus(response.status)) {
+      method = 'GET';
+      response = await httpClient(destination, { method, timeout: TIMEOUT_MS });
+    }
+
+    return {
+      destination,
+      method,
+      statusCode: response.status,
+      isHealthy: !isBrokenStatus(response.status),
+      responseTimeMs: Date.now() - startedAt,
+      error: isBrokenStatus(response.status) ? `HTTP ${response.status}` : undefined
+    };
+  } catch (error) {
+    return {
+      destination,
+      method,
+      isHealthy: false,
+      responseTimeMs: Date.now() - startedAt,
+      error: error.message.substring(0, 200)
+    };
+  }
+};
+
+// Tell the owner their link stopped working (email if they allow it, else push)
+const notifyOwner = async (url, result) => {
+  await url.populate({ path: 'createdBy', select: 'preferences.notifications isActive' });
+  const user = url.createdBy;
+
+  if (!user || !user.isActive) return;
+
+  const type = user.preferences?.notifications?.email !== false ? 'email' : 'push';
+  const reason = result.statusCode ? `HTTP ${result.statusCode}` : result.error;
+
+  await Notification.create({
+    recipient: user._id,
+    type,
+    template: 'link-broken',
+    subject: `Your short link ${url.shortUrl} is broken`,
+    message: `The destination of ${url.shortUrl} (${url.originalUrl}) is not responding: ${reason}.` +
+      (url.fallbackUrl ? ` Visitors are being sent to ${url.fallbackUrl}.` : ''),
+    data: {
+      urlId: url._id,
+      shortCode: url.shortCode,
+      originalUrl: url.originalUrl,
+      statusCode: result.statusCode,
+      error: result.error,
+      fallbackUrl: url.fallbackUrl
+    },
+    priority: 'high'
+  });
+};
+
+// Check one URL, store the result and update its health status. Pass a
+// precomputed result to reuse a check of the same destination.
+const checkLinkHealth = async (url, result = null) => {
+  const check = result || await checkDestination(url.originalUrl);
+  const checkedAt = new Date();
+  const health = url.health || {};
+
+  await LinkHealthCheck.create({
+    url: url._id,
+    destination: check.destination,
+    checkedAt,
+    isHealthy: check.isHealthy,
+    statusCode: check.statusCode,
+    method: check.method,
+    responseTimeMs: check.responseTimeMs,
+    error: check.error
+  });
+
+  const consecutiveFailures = check.isHealthy ? 0 : (health.consecutiveFailures || 0) + 1;
+  const wasBroken = health.status === 'broken';
+  const isBroken = !check.isHealthy && (wasBroken || consecutiveFailures >= FAILURE_THRESHOLD);
+
+  // A failure below the threshold keeps the previous status
+  const status = check.isHealthy ? 'healthy' : (isBroken ? 'broken' : health.status || 'unknown');
+
+  const update = {
+    'health.status': status,
+    'health.lastCheckedAt': checkedAt,
+    'health.lastStatusCode': check.statusCode ?? null,
+    'health.lastError': check.error ?? null,
+    'health.consecutiveFailures': consecutiveFailures,
+    'health.brokenSince': isBroken ? (health.brokenSince || checkedAt) : null
+  };
+
+  if (isBroken && !wasBroken) {
+    update['health.lastNotifiedAt'] = checkedAt;
+  }
+
+  await Url.updateOne({ _id: url._id }, { $set: update });
+
+  if (isBroken !== wasBroken) {
+    // Redirects read the broken flag (for fallback URLs) from the cache
+    await cacheOperations.del(`url:${Url.getScopedCode(url.shortCode, url.domain)}`);
+
+    logger.business(isBroken ? 'Link Broken' : 'Link Recovered', {
+      urlId: url._id,
+      shortCode: url.shortCode,
+      statusCode: check.statusCode,
+      error: check.error
+    });
+
+    if (isBroken) {
+      await notifyOwner(url, check).catch(err => logger.error('Broken link notification failed:', err));
+    }
+  }
+
+  return { ...check, status, consecutiveFailures };
+};
+
+// Check active URLs whose last check is older than the check interval.
+// Links sharing a destination are checked once per run.
+const runHealthChecks = async () => {
+  const staleBefore = new Date(Date.now() - CHECK_INTERVAL_MS);
+
+  const urls = await Url.find({
+    isActive: true,
+    isExpired: { $ne: true },
+    'malwareCheck.isSafe': { $ne: false },
+    $or: [
+      { 'health.lastCheckedAt': { $exists: false } },
+      { 'health.lastCheckedAt': null },
+      { 'health.lastCheckedAt': { $lt: staleBefore } }
+    ]
+  })
+    .sort({ 'health.lastCheckedAt': 1 })
+    .limit(BATCH_SIZE)
+    .select('originalUrl shortCode shortUrl domain createdBy fallbackUrl health');
+
+  const destinationChecks = new Map();
+  const summary = { checked: 0, healthy: 0, broken: 0, failed: 0 };
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length) {
+      const url = urls[next++];
+
+      try {
+        if (!destinationChecks.has(url.originalUrl)) {
+          destinationChecks.set(url.originalUrl, checkDestination(url.originalUrl));
+        }
+
+        const result = await checkLinkHealth(url, await destinationChecks.get(url.originalUrl));
+
+        summary.checked++;
+        if (result.status === 'broken') summary.broken++;
+        if (result.isHealthy) summary.healthy++;
+      } catch (error) {
+        summary.failed++;
+        logger.error(`Link health check failed for ${url._id}:`, error);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, urls.length) }, worker));
+
+  return summary;
+};
+
+const registerHealthCheckJob = () => {
+  registerRecurringJob('check-link-health', LINK_HEALTH_CRON, runHealthChecks);
+};
+
+module.exports = {
+  setHttpClient,
+  checkDestination,
+  checkLinkHealth,
+  runHealthChecks,
+  registerHealthCheckJob
+};
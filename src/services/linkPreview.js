@@ -0,0 +1,302 @@
+const http = require('http');
+const https = require('https');
+const Url = require('../models/Url');
+const { getRedisClient } = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { decodeHtmlEntities } = require('../utils/html');
+const { getQueue } = require('./jobScheduler');
+const { assertPublicHost, safeLookup } = require('../utils/network');
+
+const FETCH_TIMEOUT_MS = parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS) || 5000;
+const MAX_BODY_BYTES = parseInt(process.env.LINK_PREVIEW_MAX_BYTES) || 512 * 1024;
+const MAX_REDIRECTS = 5;
+const CONCURRENCY = parseInt(process.env.LINK_PREVIEW_CONCURRENCY) || 2;
+const USER_AGENT = process.env.LINK_PREVIEW_USER_AGENT || 'Mozilla/5.0 (compatible; LinkPreviewBot/1.0)';
+
+const QUEUE_NAME = 'link-previews';
+const JOB_NAME = 'fetch-metadata';
+
+// Lengths allowed by Url.metadata
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Single GET request that stops reading after maxBytes
+const request = (targetUrl, { timeout, maxBytes, headers }) => new Promise((resolve, reject) => {
+  const client = targetUrl.protocol === 'https:' ? https : http;
+
+  const req = client.get(targetUrl, { headers, lookup: safeLookup, timeout }, (res) => {
+    const isHtml = /text\/html|application\/xhtml\+xml/i.test(res.headers['content-type'] || '');
+
+    // Redirects and non-HTML responses don't need a body
+    if ((res.statusCode >= 300 && res.statusCode < 400) || !isHtml) {
+      res.resume();
+      return resolve({ status: res.statusCode, headers: res.headers, body: '' });
+    }
+
+    const chunks = [];
+    let received = 0;
+
+    res.on('data', (chunk) => {
+      chunks.push(chunk);
+      received += chunk.length;
+
+      if (received >= maxBytes) {
+        res.destroy();
+      }
+    });
+
+    const finish = () => resolve({
+      status: res.statusCode,
+      headers: res.headers,
+      body: Buffer.concat(chunks).subarray(0, maxBytes)
+    });
+
+    res.on('end', finish);
+    res.on('close', finish);
+    res.on('error', reject);
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+  req.on('error', reject);
+});
+
+// Default HTTP fetcher: follows redirects manually and decodes the body.
+// Fetchers resolve to { status, url, contentType, body } where body is a string.
+const defaultFetcher = async (originalUrl, { timeout = FETCH_TIMEOUT_MS, maxBytes = MAX_BODY_BYTES } = {}) => {
+  let currentUrl = new URL(originalUrl);
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    if (!['http:', 'https:'].includes(currentUrl.protocol)) {
+      throw new Error(`Unsupported protocol ${currentUrl.protocol}`);
+    }
+
+    assertPublicHost(currentUrl);
+
+    const response = await request(currentUrl, {
+      timeout,
+      maxBytes,
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1'
+      }
+    });
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      currentUrl = new URL(response.headers.location, currentUrl);
+      continue;
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    const charset = (contentType.match(/charset=["']?([\w-]+)/i) || [])[1];
+    const encoding = /^(iso-8859-1|latin1|windows-1252)$/i.test(charset || '') ? 'latin1' : 'utf8';
+
+    return {
+      status: response.status,
+      url: currentUrl.toString(),
+      contentType,
+      body: Buffer.isBuffer(response.body) ? response.body.toString(encoding) : response.body
+    };
+  }
+
+  throw new Error(`Too many redirects (max ${MAX_REDIRECTS})`);
+};
+
+let fetcher = defaultFetcher;
+
+// Replace the HTTP fetcher (e.g. with one pointed at a local stub server).
+// Passing nothing restores the default fetcher.
+const setFetcher = (customFetcher) => {
+  if (customFetcher && typeof customFetcher !== 'function') {
+    throw new Error('Fetcher must be a function');
+  }
+  fetcher = customFetcher || defaultFetcher;
+};
+
+// Parse name="value" pairs from a tag
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const attributePattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+  let match;
+
+  while ((match = attributePattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4]);
+  }
+
+  return attributes;
+};
+
+// Collapse whitespace and truncate already decoded text
+const cleanText = (value, maxLength) => {
+  if (!value) return undefined;
+
+  const text = value.replace(/\s+/g, ' ').trim();
+  if (!text) return undefined;
+
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+};
+
+const resolveUrl = (value, baseUrl) => {
+  if (!value) return undefined;
+
+  try {
+    const resolved = new URL(value.trim(), baseUrl);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.toString() : undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Extract preview metadata from an HTML document.
+// Priority: OpenGraph, then Twitter cards, then plain HTML tags.
+const parseMetadata = (html, baseUrl) => {
+  // Everything we need lives in <head>; ignore the rest of the page
+  const headEnd = html.search(/<\/head>|<body[\s>]/i);
+  const head = headEnd === -1 ? html : html.substring(0, headEnd);
+
+  const meta = {};
+  (head.match(/<meta\b[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  });
+
+  const icons = (head.match(/<link\b[^>]*>/gi) || [])
+    .map(parseAttributes)
+    .filter(attributes => attributes.href && /(^|\s)(icon|shortcut icon|apple-touch-icon)(\s|$)/i.test(attributes.rel || ''));
+  const preferredIcon = icons.find(attributes => /(^|\s)icon(\s|$)/i.test(attributes.rel)) || icons[0];
+
+  // Attribute values are decoded by parseAttributes; the title text is not
+  const titleMatch = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const titleTag = titleMatch ? decodeHtmlEntities(titleMatch[1]) : undefined;
+
+  return {
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || titleTag, MAX_TITLE_LENGTH),
+    description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH),
+    image: resolveUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || meta['twitter:image:src'], baseUrl),
+    favicon: resolveUrl(preferredIcon ? preferredIcon.href : '/favicon.ico', baseUrl)
+  };
+};
+
+// Fetch and store preview metadata for a short URL
+const fetchUrlMetadata = async (urlId) => {
+  const url = await Url.findById(urlId).select('originalUrl malwareCheck');
+  if (!url) return null;
+
+  // Never contact destinations flagged by the URL scanners
+  if (url.malwareCheck?.isSafe === false) {
+    await Url.updateOne({ _id: url._id }, {
+      $set: { 'metadata.fetchStatus': 'skipped', 'metadata.fetchedAt': new Date() }
+    });
+    return null;
+  }
+
+  const destination = /^https?:\/\//i.test(url.originalUrl) ? url.originalUrl : `http://${url.originalUrl}`;
+
+  try {
+    const response = await fetcher(destination, { timeout: FETCH_TIMEOUT_MS, maxBytes: MAX_BODY_BYTES });
+
+    if (response.status >= 400) {
+      throw new Error(`Destination responded with HTTP ${response.status}`);
+    }
+
+    const metadata = /html/i.test(response.contentType || 'text/html')
+      ? parseMetadata(response.body || '', response.url || destination)
+      : {};
+
+    const update = {
+      'metadata.fetchStatus': 'success',
+      'metadata.fetchedAt': new Date()
+    };
+    Object.entries(metadata).forEach(([field, value]) => {
+      if (value) update[`metadata.${field}`] = value;
+    });
+
+    await Url.updateOne({ _id: url._id }, { $set: update, $unset: { 'metadata.fetchError': '' } });
+
+    logger.business('Link Preview Fetched', { urlId: url._id, hasTitle: Boolean(metadata.title) });
+
+    return metadata;
+  } catch (error) {
+    await Url.updateOne({ _id: url._id }, {
+      $set: {
+        'metadata.fetchStatus': 'failed',
+        'metadata.fetchError': error.message.substring(0, 200),
+        'metadata.fetchedAt': new Date()
+      }
+    });
+
+    logger.warn(`Link preview fetch failed for ${url._id}: ${error.message}`);
+    return null;
+  }
+};
+
+const isQueueAvailable = () => {
+  const client = getRedisClient();
+  return Boolean(client && client.isOpen);
+};
+
+// In-process fallback queue used when Redis is not available
+const pendingJobs = [];
+let activeJobs = 0;
+
+const runNextJob = () => {
+  if (activeJobs >= CONCURRENCY || pendingJobs.length === 0) return;
+
+  const urlId = pendingJobs.shift();
+  activeJobs++;
+
+  fetchUrlMetadata(urlId)
+    .catch(err => logger.error(`Link preview job failed for ${urlId}:`, err))
+    .finally(() => {
+      activeJobs--;
+      runNextJob();
+    });
+};
+
+// Queue a metadata fetch for a newly created or changed URL, so slow
+// destinations never block the request path. Jobs carry no jobId: a fetch
+// queued after an edit must run even while an earlier one is in progress.
+const queueMetadataFetch = (urlId) => {
+  if (process.env.LINK_PREVIEW_ENABLED === 'false') return;
+
+  const id = urlId.toString();
+
+  if (!isQueueAvailable()) {
+    if (!pendingJobs.includes(id)) {
+      pendingJobs.push(id);
+    }
+
+    setImmediate(runNextJob);
+    return;
+  }
+
+  getQueue(QUEUE_NAME).add(JOB_NAME, { urlId: id }, {
+    attempts: 2,
+    backoff: { type: 'exponential', delay: 5000 },
+    removeOnComplete: 100,
+    removeOnFail: 100
+  }).catch(err => logger.error(`Failed to queue link preview for ${id}:`, err));
+};
+
+// Process link preview jobs in this instance
+const startLinkPreviewProcessor = () => {
+  if (!isQueueAvailable()) {
+    logger.warn('Link preview queue disabled: Redis is not available');
+    return false;
+  }
+
+  getQueue(QUEUE_NAME).process(JOB_NAME, CONCURRENCY, (job) => fetchUrlMetadata(job.data.urlId));
+
+  return true;
+};
+
+module.exports = {
+  setFetcher,
+  parseMetadata,
+  fetchUrlMetadata,
+  queueMetadataFetch,
+  startLinkPreviewProcessor
+};
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Url = require('../models/Url');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+
+// One-off data migrations, applied in order on startup. Each one is recorded
+// in the `migrations` collection once it succeeds and must be safe to run
+// again (instances starting together may both apply it).
+const MIGRATIONS = [
+  {
+    // File.folder used to be a path string defaulting to '/'
+    name: 'files-legacy-folder-to-root',
+    up: async () => {
+      const result = await File.collection.updateMany(
+        { folder: { $type: 'string' } },
+        { $set: { folder: null } }
+      );
+      return { updated: result.modifiedCount };
+    }
+  },
+  {
+    // Short codes used to be unique across all domains; they are now unique
+    // per domain ({ domain, shortCode }), and the old index would still
+    // reject the same code on two domains
+    name: 'urls-drop-global-short-code-index',
+    up: async () => {
+      try {
+        await Url.collection.dropIndex('shortCode_1');
+        return { dropped: true };
+      } catch (error) {
+        // IndexNotFound: new install, or already dropped
+        if (error.codeName !== 'IndexNotFound') throw error;
+        return { dropped: false };
+      }
+    }
+  },
+  {
+    // Storage quotas charge usage.storageUsed, which was never kept up to
+    // date before quotas existed
+    name: 'users-backfill-storage-used',
+    up: async () => {
+      await User.collection.updateMany(
+        { 'usage.storageUsed': { $exists: false } },
+        { $set: { 'usage.storageUsed': 0 } }
+      );
+
+      const usage = File.aggregate([
+        { $match: { isDeleted: false } },
+        { $group: { _id: '$uploadedBy', totalSize: { $sum: '$size' } } }
+      ]).allowDiskUse(true).cursor();
+
+      let updated = 0;
+      let batch = [];
+
+      const writeBatch = async () => {
+        if (batch.length === 0) return;
+        const result = await User.collection.bulkWrite(batch, { ordered: false });
+        updated += result.modifiedCount;
+        batch = [];
+      };
+
+      for await (const { _id, totalSize } of usage) {
+        batch.push({
+          updateOne: {
+            filter: { _id },
+            update: { $set: { 'usage.storageUsed': totalSize } }
+          }
+        });
+
+        if (batch.length >= 1000) await writeBatch();
+      }
+      await writeBatch();
+
+      return { updated };
+    }
+  }
+];
+
+// Apply migrations that haven't been recorded yet
+const runMigrations = async () => {
+  const applied = mongoose.connection.collection('migrations');
+  const done = new Set((await applied.find({}, { projection: { name: 1 } }).toArray()).map(item => item.name));
+
+  for (const migration of MIGRATIONS) {
+    if (done.has(migration.name)) continue;
+
+    const result = await migration.up();
+
+    await applied.updateOne(
+      { name: migration.name },
+      { $setOnInsert: { name: migration.name, appliedAt: new Date() } },
+      { upsert: true }
+    );
+
+    logger.info(`Applied migration ${migration.name}`, result);
+  }
+};
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations
+};
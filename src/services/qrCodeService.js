@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { cacheOperations } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const QR_CACHE_TTL = parseInt(process.env.QR_CACHE_TTL) || 24 * 60 * 60; // 24 hours
+
+const FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+const COLOR_PATTERN = /^#?([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+
+// Validate and normalise QR rendering options from a query string
+const parseQrOptions = (query = {}) => {
+  const format = (query.format || 'png').toLowerCase();
+  const size = query.size !== undefined ? parseInt(query.size) : 300;
+  const margin = query.margin !== undefined ? parseInt(query.margin) : 4;
+  const fg = query.fg || '000000';
+  const bg = query.bg || 'ffffff';
+
+  if (!FORMATS[format]) {
+    return { error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}` };
+  }
+
+  if (isNaN(size) || size < 64 || size > 2048) {
+    return { error: 'Size must be between 64 and 2048 pixels' };
+  }
+
+  if (isNaN(margin) || margin < 0 || margin > 20) {
+    return { error: 'Margin must be between 0 and 20 modules' };
+  }
+
+  if (!COLOR_PATTERN.test(fg) || !COLOR_PATTERN.test(bg)) {
+    return { error: 'Colors must be hex values like 000000 or #ffffffff' };
+  }
+
+  return {
+    format,
+    size,
+    margin,
+    fg: `#${fg.replace('#', '').toLowerCase()}`,
+    bg: `#${bg.replace('#', '').toLowerCase()}`
+  };
+};
+
+// Cache key covering the encoded text and every rendering option
+const getQrCacheKey = (text, options) => {
+  const hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify([text, options.format, options.size, options.margin, options.fg, options.bg]))
+    .digest('hex');
+
+  return `qr:${hash}`;
+};
+
+// Render a QR code in-process
+const renderQrCode = async (text, options) => {
+  const renderOptions = {
+    width: options.size,
+    margin: options.margin,
+    errorCorrectionLevel: 'M',
+    color: {
+      dark: options.fg,
+      light: options.bg
+    }
+  };
+
+  if (options.format === 'svg') {
+    return Buffer.from(await QRCode.toString(text, { ...renderOptions, type: 'svg' }));
+  }
+
+  return QRCode.toBuffer(text, { ...renderOptions, type: 'png' });
+};
+
+// Get a QR code image, rendering and caching it on a miss
+const getQrCode = async (text, options) => {
+  const cacheKey = getQrCacheKey(text, options);
+
+  const cached = await cacheOperations.get(cacheKey);
+  if (cached) {
+    logger.cache('GET', cacheKey, true);
+    return { buffer: Buffer.from(cached, 'base64'), contentType: FORMATS[options.format], cacheKey };
+  }
+
+  const buffer = await renderQrCode(text, options);
+  await cacheOperations.set(cacheKey, buffer.toString('base64'), QR_CACHE_TTL);
+  logger.cache('SET', cacheKey, false, QR_CACHE_TTL);
+
+  return { buffer, contentType: FORMATS[options.format], cacheKey };
+};
+
+module.exports = {
+  parseQrOptions,
+  getQrCode
+};
@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+
+const MAX_RULES = 20;
+const MAX_DESTINATIONS = 10;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Condition lists and how visitor values are compared against them
+const LIST_CONDITIONS = ['os', 'deviceType', 'country', 'language'];
+const CONDITION_KEYS = [...LIST_CONDITIONS, 'timeWindow'];
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isValidDestination = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const normalizeList = (value) => {
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Validate redirect rules from a request body.
+// Returns { redirectRules } or { error }.
+const parseRedirectRules = (input) => {
+  if (input === null || input === undefined) {
+    return { redirectRules: [] };
+  }
+
+  if (!Array.isArray(input)) {
+    return { error: 'redirectRules must be an array' };
+  }
+
+  if (input.length > MAX_RULES) {
+    return { error: `A URL can have at most ${MAX_RULES} redirect rules` };
+  }
+
+  const redirectRules = [];
+
+  for (const [index, rule] of input.entries()) {
+    const label = `Redirect rule ${index + 1}`;
+
+    if (!rule || typeof rule !== 'object') {
+      return { error: `${label} must be an object` };
+    }
+
+    const conditions = {};
+    const inputConditions = rule.conditions || {};
+
+    if (typeof inputConditions !== 'object' || Array.isArray(inputConditions)) {
+      return { error: `${label}: conditions must be an object` };
+    }
+
+    // An unknown key would otherwise be dropped, leaving a rule that matches everyone
+    const unknownKey = Object.keys(inputConditions).find(key => !CONDITION_KEYS.includes(key));
+
+    if (unknownKey) {
+      return { error: `${label}: unknown condition ${unknownKey} (allowed: ${CONDITION_KEYS.join(', ')})` };
+    }
+
+    for (const field of LIST_CONDITIONS) {
+      if (inputConditions[field] !== undefined) {
+        conditions[field] = normalizeList(inputConditions[field]);
+      }
+    }
+
+    if (conditions.country) {
+      conditions.country = conditions.country.map(code => code.toUpperCase());
+      if (conditions.country.some(code => !/^[A-Z]{2}$/.test(code))) {
+        return { error: `${label}: countries must be ISO 3166-1 alpha-2 codes` };
+      }
+    }
+
+    if (inputConditions.timeWindow) {
+      const { days, start, end, timezone = 'UTC' } = inputConditions.timeWindow;
+
+      if ((start || end) && !(TIME_PATTERN.test(start) && TIME_PATTERN.test(end))) {
+        return { error: `${label}: timeWindow start and end must both be HH:MM` };
+      }
+
+      if (days !== undefined && (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+        return { error: `${label}: timeWindow days must be weekday numbers 0 (Sunday) to 6` };
+      }
+
+      if (!isValidTimezone(timezone)) {
+        return { error: `${label}: unknown timezone ${timezone}` };
+      }
+
+      conditions.timeWindow = { days, start, end, timezone };
+    }
+
+    // A single destinationUrl is shorthand for one destination
+    const destinations = rule.destinations || (rule.destinationUrl ? [{ url: rule.destinationUrl }] : []);
+
+    if (!Array.isArray(destinations) || destinations.length === 0) {
+      return { error: `${label} needs a destinationUrl or destinations` };
+    }
+
+    if (destinations.length > MAX_DESTINATIONS) {
+      return { error: `${label} can have at most ${MAX_DESTINATIONS} destinations` };
+    }
+
+    for (const destination of destinations) {
+      if (!destination || !isValidDestination(destination.url)) {
+        return { error: `${label}: destinations need a valid http(s) url` };
+      }
+
+      if (destination.weight !== undefined && !(Number(destination.weight) >= 0)) {
+        return { error: `${label}: destination weights cannot be negative` };
+      }
+    }
+
+    if (destinations.every(destination => Number(destination.weight ?? 1) === 0)) {
+      return { error: `${label}: at least one destination needs a positive weight` };
+    }
+
+    const parsed = {
+      name: rule.name ? String(rule.name).trim() : `rule-${index + 1}`,
+      conditions,
+      destinations: destinations.map((destination, position) => ({
+        name: destination.name ? String(destination.name).trim() : `variant-${String.fromCharCode(97 + position)}`,
+        url: destination.url,
+        weight: destination.weight !== undefined ? Number(destination.weight) : 1
+      })),
+      isActive: rule.isActive !== false
+    };
+
+    // Analytics count clicks by rule and destination name, so names must be unique
+    if (redirectRules.some(existing => existing.name === parsed.name)) {
+      return { error: `${label}: another rule is already named ${parsed.name}` };
+    }
+
+    const destinationNames = parsed.destinations.map(destination => destination.name);
+    const duplicateName = destinationNames.find((name, position) => destinationNames.indexOf(name) !== position);
+
+    if (duplicateName) {
+      return { error: `${label}: more than one destination is named ${duplicateName}` };
+    }
+
+    redirectRules.push(parsed);
+  }
+
+  return { redirectRules };
+};
+
+// Parse Accept-Language into lowercase tags, most preferred first
+const parseAcceptLanguage = (header) => {
+  if (!header) return [];
+
+  return header
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.find(param => param.trim().startsWith('q='));
+      return { tag: tag.trim().toLowerCase(), q: quality ? parseFloat(quality.trim().substring(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ tag }) => tag);
+};
+
+// Build the visitor attributes rules are matched against
+const buildRuleContext = (req, enrichment = {}, visitorId = null) => ({
+  os: enrichment.device?.os,
+  deviceType: enrichment.device?.device,
+  country: enrichment.geo?.countryCode,
+  languages: parseAcceptLanguage(req.get('Accept-Language')),
+  visitorId: visitorId || req.ip,
+  now: new Date()
+});
+
+// Weekday (0-6) and minutes since midnight in a timezone
+const getLocalTime = (date, timezone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const matchesTimeWindow = (timeWindow, now) => {
+  const { day, minutes } = getLocalTime(now, timeWindow.timezone || 'UTC');
+
+  if (timeWindow.days && timeWindow.days.length > 0 && !timeWindow.days.includes(day)) {
+    return false;
+  }
+
+  if (!timeWindow.start || !timeWindow.end) return true;
+
+  const start = toMinutes(timeWindow.start);
+  const end = toMinutes(timeWindow.end);
+
+  // Windows such as 22:00-06:00 wrap past midnight
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+const includesIgnoreCase = (list, value) => {
+  if (!value) return false;
+  const lower = value.toLowerCase();
+  return list.some(item => item.toLowerCase() === lower);
+};
+
+// "en" matches en, en-US, en-GB; "pt-BR" only matches pt-BR
+const matchesLanguage = (ruleLanguages, visitorLanguages) => {
+  return ruleLanguages.some(language => {
+    const wanted = language.toLowerCase();
+    return visitorLanguages.some(tag => tag === wanted || tag.startsWith(`${wanted}-`));
+  });
+};
+
+const matchesRule = (rule, context) => {
+  const conditions = rule.conditions || {};
+
+  if (conditions.os?.length && !includesIgnoreCase(conditions.os, context.os)) return false;
+  if (conditions.deviceType?.length && !includesIgnoreCase(conditions.deviceType, context.deviceType)) return false;
+  if (conditions.country?.length && !includesIgnoreCase(conditions.country, context.country)) return false;
+  if (conditions.language?.length && !matchesLanguage(conditions.language, context.languages)) return false;
+  if (conditions.timeWindow && !matchesTimeWindow(conditions.timeWindow, context.now)) return false;
+
+  return true;
+};
+
+// Pick a weighted destination. The visitor hash keeps a returning
+// visitor on the same variant of an A/B split.
+const pickDestination = (destinations, seed) => {
+  if (destinations.length === 1) return destinations[0];
+
+  const totalWeight = destinations.reduce((sum, destination) => sum + (destination.weight ?? 1), 0);
+  const hash = crypto.createHash('sha1').update(seed).digest();
+  let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  for (const destination of destinations) {
+    point -= destination.weight ?? 1;
+    if (point < 0) return destination;
+  }
+
+  return destinations[destinations.length - 1];
+};
+
+const hasActiveRules = (redirectRules) => Array.isArray(redirectRules) && redirectRules.some(rule => rule.isActive !== false);
+
+// Evaluate rules in order. Returns the destination URL and the variant to
+// record in analytics ({ rule: 'default', destination: 'original' } when
+// no rule matches).
+const selectDestination = (urlData, context) => {
+  const rules = (urlData.redirectRules || []).filter(rule => rule.isActive !== false);
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, context)) continue;
+
+    const destination = pickDestination(rule.destinations, `${context.visitorId}:${urlData._id}:${rule.name}`);
+
+    return {
+      url: destination.url,
+      variant: { rule: rule.name, destination: destination.name }
+    };
+  }
+
+  return {
+    url: urlData.originalUrl,
+    variant: rules.length > 0 ? { rule: 'default', destination: 'original' } : null
+  };
+};
+
+// Every destination a URL can redirect to (for safety scanning)
+const getRuleDestinations = (redirectRules = []) => {
+  return [...new Set(redirectRules.flatMap(rule => rule.destinations.map(destination => destination.url)))];
+};
+
+module.exports = {
+  parseRedirectRules,
+  parseAcceptLanguage,
+  buildRuleContext,
+  hasActiveRules,
+  selectDestination,
+  getRuleDestinations
+};
@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const { logger } = require('../utils/logger');
+const { getStorage } = require('./storage');
+const { TEMP_DIR, removeQuietly } = require('./contentStore');
+const { createFileFromUpload } = require('./fileService');
+const { reserveStorage, releaseStorage } = require('./storageQuota');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'expiration', 'checksum', 'termination'];
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.RESUMABLE_MAX_UPLOAD_BYTES) || 10 * 1024 * 1024 * 1024; // 10GB
+const MAX_CHUNK_BYTES = parseInt(process.env.RESUMABLE_MAX_CHUNK_BYTES) || 100 * 1024 * 1024; // 100MB
+const SESSION_TTL_MS = UploadSession.SESSION_TTL_HOURS * 60 * 60 * 1000;
+
+const tempPath = (prefix) => path.join(TEMP_DIR, `${prefix}-${crypto.randomBytes(8).toString('hex')}`);
+
+// Parse a tus Upload-Metadata header ("key base64value,key2 base64value")
+const parseUploadMetadata = (header = '') => header
+  .split(',')
+  .map(pair => pair.trim().split(' '))
+  .filter(([key]) => key)
+  .reduce((metadata, [key, value = '']) => ({
+    ...metadata,
+    [key]: Buffer.from(value, 'base64').toString('utf8')
+  }), {});
+
+// Parse a tus Upload-Checksum header ("sha1 base64digest"). Returns null when
+// absent and { error } for unsupported algorithms.
+const parseChecksum = (header) => {
+  if (!header) return null;
+
+  const [algorithm, digest] = header.trim().split(' ');
+
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+    return { error: `Checksum algorithm must be one of: ${CHECKSUM_ALGORITHMS.join(', ')}` };
+  }
+
+  return { algorithm, digest };
+};
+
+// Write a request body to a temp file, hashing it on the way. At most
+// maxBytes are kept: `truncated` is set when the body was longer, and
+// `interrupted` when it ended early (e.g. the connection dropped). Either way
+// `size` is what was written. Rejects when the file can't be written.
+const receiveBody = async (body, { maxBytes, algorithm }) => {
+  const target = tempPath('chunk');
+  const hash = algorithm ? crypto.createHash(algorithm) : null;
+  let size = 0;
+  let truncated = false;
+  let interrupted = false;
+
+  await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+
+  const output = fs.createWriteStream(target);
+
+  try {
+    for await (const chunk of body) {
+      const kept = size + chunk.length > maxBytes ? chunk.subarray(0, maxBytes - size) : chunk;
+
+      size += kept.length;
+      if (hash) hash.update(kept);
+      if (!output.write(kept)) await once(output, 'drain');
+
+      // Leaving the loop stops reading the rest of the body
+      if (kept !== chunk) {
+        truncated = true;
+        break;
+      }
+    }
+  } catch (error) {
+    // The body ended early; what was written so far is kept
+    interrupted = true;
+  }
+
+  try {
+    output.end();
+    await finished(output);
+  } catch (error) {
+    await removeQuietly(target);
+    throw error;
+  }
+
+  return { path: target, size, digest: hash && !interrupted ? hash.digest('base64') : null, truncated, interrupted };
+};
+
+// Start a resumable upload. The full length is charged to the owner's
+// storage quota up front so parallel uploads can't overrun it. Resolves to
+// { session } or { error, statusCode }.
+const createUploadSession = async ({ owner, length, originalName, mimetype, visibility, folder, tags, description }) => {
+  const { reserved, used, quota } = await reserveStorage(owner, length);
+
+  if (!reserved) {
+    return { error: `Storage quota exceeded: ${Math.max(quota - used, 0)} bytes available`, statusCode: 413 };
+  }
+
+  try {
+    const session = await UploadSession.create({
+      owner,
+      length,
+      originalName,
+      mimetype: mimetype || 'application/octet-stream',
+      fileOptions: { visibility, folder, tags, description },
+      storage: getStorage().name,
+      reservedBytes: length
+    });
+
+    return { session };
+  } catch (error) {
+    await releaseStorage(owner, length);
+    throw error;
+  }
+};
+
+// Store a chunk at `offset`. A chunk cut short by a dropped connection or by
+// MAX_CHUNK_BYTES is kept up to where it stopped, so the client resumes from
+// there. Resolves to { session } with the updated session, or
+// { error, statusCode } when the chunk is rejected.
+const appendUploadChunk = async (session, body, { offset, checksum }) => {
+  const remaining = session.length - offset;
+  const received = await receiveBody(body, {
+    maxBytes: Math.min(MAX_CHUNK_BYTES, remaining),
+    algorithm: checksum?.algorithm
+  });
+
+  // Data past the declared upload length means the client is confused about
+  // what it is sending, so none of it is kept
+  if (received.truncated && remaining <= MAX_CHUNK_BYTES) {
+    await removeQuietly(received.path);
+    return { error: `Chunk exceeds the ${remaining} bytes left in the upload`, statusCode: 413 };
+  }
+
+  // A checksum covers the whole chunk, so a partial one can't be verified
+  if (checksum && (received.truncated || received.interrupted)) {
+    await removeQuietly(received.path);
+    return received.truncated
+      ? { error: `Chunks with a checksum are limited to ${MAX_CHUNK_BYTES} bytes`, statusCode: 413 }
+      : { error: 'Chunk was not received completely', statusCode: 400 };
+  }
+
+  if (checksum && received.digest !== checksum.digest) {
+    await removeQuietly(received.path);
+    return { error: 'Chunk checksum mismatch', statusCode: 460 };
+  }
+
+  if (received.size === 0) {
+    await removeQuietly(received.path);
+    return { session };
+  }
+
+  const storage = getStorage(session.storage);
+  const key = `chunks/${session._id}/${offset}-${crypto.randomBytes(4).toString('hex')}`;
+
+  await storage.saveFile(key, received.path);
+
+  const updated = await UploadSession.appendChunk(session._id, { offset, size: received.size, key });
+
+  // Another request stored a chunk at this offset first
+  if (!updated) {
+    await storage.remove(key);
+    return { error: 'Upload offset has changed; fetch the current offset and resume', statusCode: 409 };
+  }
+
+  return { session: updated };
+};
+
+// Remove the stored chunks of a session
+const removeSessionChunks = async (session) => {
+  const storage = getStorage(session.storage);
+
+  await Promise.all(session.chunks.map(chunk => storage.remove(chunk.key).catch(error => {
+    logger.error(`Failed to remove upload chunk ${chunk.key}:`, error);
+  })));
+};
+
+// Join the chunks of a fully received upload into a File. Resolves to the
+// completed session, or null when another request is already assembling it.
+const completeUploadSession = async (session) => {
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'active', offset: session.length },
+    { $set: { status: 'assembling', expiresAt: new Date(Date.now() + SESSION_TTL_MS) } },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  const storage = getStorage(claimed.storage);
+  const assembledPath = tempPath('assembled');
+  let output;
+
+  try {
+    await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+    output = fs.createWriteStream(assembledPath);
+
+    for (const chunk of claimed.chunks) {
+      for await (const data of await storage.createReadStream(chunk.key)) {
+        if (!output.write(data)) await once(output, 'drain');
+      }
+    }
+
+    output.end();
+    await once(output, 'finish');
+
+    const { size } = await fs.promises.stat(assembledPath);
+
+    if (size !== claimed.length) {
+      throw new Error(`Assembled upload is ${size} bytes, expected ${claimed.length}`);
+    }
+
+    const { file } = await createFileFromUpload({
+      path: assembledPath,
+      originalname: claimed.originalName,
+      mimetype: claimed.mimetype
+    }, {
+      owner: claimed.owner,
+      ...claimed.toObject().fileOptions,
+      reservedBytes: claimed.reservedBytes
+    });
+
+    await removeSessionChunks(claimed);
+
+    // The file now holds the storage the session reserved
+    return await UploadSession.findByIdAndUpdate(claimed._id, {
+      $set: { status: 'completed', file: file._id, chunks: [], reservedBytes: 0 }
+    }, { new: true });
+  } catch (error) {
+    if (output) output.destroy();
+    await removeQuietly(assembledPath);
+
+    // Leave the chunks in place so completion can be retried
+    await UploadSession.updateOne({ _id: claimed._id }, { $set: { status: 'active' } });
+    throw error;
+  }
+};
+
+// Cancel an upload, give back the storage it reserved and remove its chunks
+const cancelUploadSession = async (session) => {
+  // The deleted document tells what is still reserved, even if the upload
+  // completed since `session` was loaded
+  const removed = await UploadSession.findOneAndDelete({ _id: session._id });
+
+  if (removed && removed.reservedBytes > 0) {
+    await releaseStorage(removed.owner, removed.reservedBytes);
+  }
+
+  await removeSessionChunks(session);
+};
+
+// Remove expired sessions and the chunks of abandoned uploads
+const sweepExpiredUploads = async (batchSize = 100) => {
+  let removed = 0;
+  let batch;
+
+  do {
+    batch = await UploadSession.findExpired(batchSize);
+
+    for (const session of batch) {
+      // Assembly in progress on another instance extends the expiry, so an
+      // expired assembling session is one whose instance died
+      await cancelUploadSession(session);
+      removed++;
+    }
+  } while (batch.length === batchSize);
+
+  return { removed };
+};
+
+module.exports = {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  CHECKSUM_ALGORITHMS,
+  MAX_UPLOAD_BYTES,
+  MAX_CHUNK_BYTES,
+  parseUploadMetadata,
+  parseChecksum,
+  createUploadSession,
+  appendUploadChunk,
+  completeUploadSession,
+  cancelUploadSession,
+  sweepExpiredUploads
+};
@@ -0,0 +1,170 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const MAX_ERROR_BODY_BYTES = 4096;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+// Minimal S3 client (PUT/GET/HEAD/DELETE object) signed with AWS Signature
+// Version 4. Works with AWS S3 and S3-compatible servers such as MinIO.
+const createS3Client = ({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true, timeout = 30000 }) => {
+  if (!bucket) throw new Error('S3 bucket is required');
+  if (!accessKeyId || !secretAccessKey) throw new Error('S3 credentials are required');
+
+  const baseUrl = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  // Target URL for an object key
+  const objectUrl = (key) => {
+    const url = new URL(baseUrl);
+    const basePath = url.pathname.replace(/\/$/, '');
+
+    if (forcePathStyle) {
+      url.pathname = `${basePath}/${encodeRfc3986(bucket)}/${encodeKey(key)}`;
+    } else {
+      url.hostname = `${bucket}.${url.hostname}`;
+      url.pathname = `${basePath}/${encodeKey(key)}`;
+    }
+
+    return url;
+  };
+
+  // Request headers including the SigV4 Authorization header
+  const sign = (method, url, headers = {}) => {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.substring(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+    const signedHeaders = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': UNSIGNED_PAYLOAD,
+      'x-amz-date': amzDate
+    };
+
+    const headerNames = Object.keys(signedHeaders).sort();
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      headerNames.map(name => `${name}:${String(signedHeaders[name]).trim()}\n`).join(''),
+      headerNames.join(';'),
+      UNSIGNED_PAYLOAD
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = [dateStamp, region, 's3', 'aws4_request']
+      .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    return {
+      ...signedHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+    };
+  };
+
+  // Send a request and resolve with the response stream. Error responses
+  // reject with an error carrying the HTTP status. Header names are lowercase.
+  const request = (method, key, { headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const url = objectUrl(key);
+    const client = url.protocol === 'https:' ? https : http;
+
+    const req = client.request(url, {
+      method,
+      headers: sign(method, url, headers),
+      timeout
+    }, (res) => {
+      if (res.statusCode < 400) {
+        // The timeout only guards until the response starts; a body paused by
+        // a slow reader must not be cut off
+        req.setTimeout(0);
+        return resolve(res);
+      }
+
+      const chunks = [];
+      let received = 0;
+
+      res.on('data', (chunk) => {
+        if (received < MAX_ERROR_BODY_BYTES) chunks.push(chunk);
+        received += chunk.length;
+      });
+
+      res.on('end', () => {
+        const message = Buffer.concat(chunks).toString('utf8').match(/<Message>([^<]*)<\/Message>/);
+        const error = new Error(`S3 ${method} ${key} failed: ${message ? message[1] : `HTTP ${res.statusCode}`}`);
+        error.statusCode = res.statusCode;
+        reject(error);
+      });
+
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`S3 request timed out after ${timeout}ms`)));
+    req.on('error', reject);
+
+    if (body && typeof body.pipe === 'function') {
+      body.on('error', error => req.destroy(error));
+      body.pipe(req);
+    } else {
+      req.end(body);
+    }
+  });
+
+  return {
+    // Upload an object. `body` is a Buffer or a readable stream of `contentLength` bytes.
+    putObject: async (key, body, { contentType, contentLength } = {}) => {
+      const headers = { 'content-length': contentLength ?? body.length };
+      if (contentType) headers['content-type'] = contentType;
+
+      const res = await request('PUT', key, { headers, body });
+      res.resume();
+    },
+
+    // Readable stream of an object, optionally a byte range (inclusive)
+    getObject: (key, { start, end } = {}) => {
+      const headers = {};
+
+      if (start !== undefined || end !== undefined) {
+        headers.range = `bytes=${start ?? 0}-${end ?? ''}`;
+      }
+
+      return request('GET', key, { headers });
+    },
+
+    // Object size and modification time, or null when the object doesn't exist
+    headObject: async (key) => {
+      try {
+        const res = await request('HEAD', key);
+        res.resume();
+
+        return {
+          size: parseInt(res.headers['content-length']),
+          lastModified: res.headers['last-modified'] ? new Date(res.headers['last-modified']) : null
+        };
+      } catch (error) {
+        if (error.statusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    deleteObject: async (key) => {
+      const res = await request('DELETE', key);
+      res.resume();
+    }
+  };
+};
+
+module.exports = {
+  createS3Client
+};
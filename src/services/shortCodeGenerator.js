@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { cacheOperations } = require('../config/redis');
+const { logger } = require('../utils/logger');
+
+const ALPHABETS = {
+  base62: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  // No 0/O/o, 1/l/I or u/v look-alikes, so codes survive being read aloud or retyped
+  readable: '23456789abcdefghijkmnpqrstwxyz'
+};
+
+const STRATEGIES = ['base62', 'readable', 'counter'];
+const COUNTER_KEY = 'shortcode:counter';
+// Odd prime coprime with 62^n; scatters sequential counter values across the keyspace
+const COUNTER_MULTIPLIER = 1580030173n;
+
+// Paths that must never become short codes (they are routes on the root domain)
+const BUILT_IN_RESERVED = ['api', 'admin', 'health', 'uploads', 'login', 'logout', 'register', 'static', 'assets', 'favicon.ico', 'robots.txt'];
+
+const parseWordList = (value) => (value || '')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+const getConfig = () => {
+  const strategy = STRATEGIES.includes(process.env.SHORT_CODE_STRATEGY) ? process.env.SHORT_CODE_STRATEGY : 'base62';
+
+  return {
+    strategy,
+    alphabet: strategy === 'readable' ? ALPHABETS.readable : ALPHABETS.base62,
+    length: Math.min(Math.max(parseInt(process.env.SHORT_URL_LENGTH) || 6, 4), 20),
+    maxAttempts: parseInt(process.env.SHORT_CODE_MAX_ATTEMPTS) || 5,
+    // Exact codes/aliases nobody may use
+    reservedWords: new Set([...BUILT_IN_RESERVED, ...parseWordList(process.env.SHORT_CODE_RESERVED_WORDS)]),
+    // Substrings generated codes must not contain (custom aliases are checked too)
+    blockedWords: parseWordList(process.env.SHORT_CODE_BLOCKED_WORDS)
+  };
+};
+
+// Generation stats since the process started
+const stats = {
+  generated: 0,
+  collisions: 0,
+  rejected: 0,
+  exhausted: 0
+};
+
+// Check a code or custom alias against the reserved and blocked words
+const isReservedCode = (code) => {
+  const { reservedWords, blockedWords } = getConfig();
+  const lower = String(code).toLowerCase();
+
+  return reservedWords.has(lower) || blockedWords.some(word => lower.includes(word));
+};
+
+const randomCode = (alphabet, length) => {
+  // Rejection sampling avoids modulo bias towards the first characters
+  const limit = 256 - (256 % alphabet.length);
+  let code = '';
+
+  while (code.length < length) {
+    for (const byte of crypto.randomBytes(length * 2)) {
+      if (byte < limit && code.length < length) {
+        code += alphabet[byte % alphabet.length];
+      }
+    }
+  }
+
+  return code;
+};
+
+const encode = (value, alphabet, length) => {
+  const base = BigInt(alphabet.length);
+  let code = '';
+
+  while (value > 0n) {
+    code = alphabet[Number(value % base)] + code;
+    value /= base;
+  }
+
+  return code.padStart(length, alphabet[0]);
+};
+
+// Counter codes: a Redis sequence mapped through a bijection of the keyspace,
+// so codes are unique by construction but not guessable from one another.
+// Returns null when Redis is unavailable.
+const counterCode = async (alphabet, minLength) => {
+  const sequence = await cacheOperations.incr(COUNTER_KEY);
+  if (!sequence) return null;
+
+  const base = BigInt(alphabet.length);
+  let length = minLength;
+  let keyspace = base ** BigInt(length);
+
+  // Grow the code once the sequence outruns the keyspace for the length
+  while (BigInt(sequence) >= keyspace) {
+    length++;
+    keyspace *= base;
+  }
+
+  return encode((BigInt(sequence) * COUNTER_MULTIPLIER) % keyspace, alphabet, length);
+};
+
+const codeExists = (code, domainId) => {
+  return mongoose.model('Url').exists({
+    $or: [{ shortCode: code }, { customAlias: code }],
+    domain: domainId || null
+  });
+};
+
+// Generate a short code that is free on the domain. Random codes get one
+// character longer after half of the attempts have collided.
+const generateShortCode = async ({ domain = null } = {}) => {
+  const config = getConfig();
+
+  for (let attempt = 0; attempt < config.maxAttempts; attempt++) {
+    let code = null;
+
+    if (config.strategy === 'counter') {
+      code = await counterCode(config.alphabet, config.length);
+    }
+
+    if (!code) {
+      const extraLength = attempt >= Math.ceil(config.maxAttempts / 2) ? 1 : 0;
+      code = randomCode(config.alphabet, config.length + extraLength);
+    }
+
+    if (isReservedCode(code)) {
+      stats.rejected++;
+      continue;
+    }
+
+    if (await codeExists(code, domain)) {
+      stats.collisions++;
+      continue;
+    }
+
+    stats.generated++;
+    return code;
+  }
+
+  stats.exhausted++;
+  logger.error('Short code generation exhausted all attempts', {
+    strategy: config.strategy,
+    length: config.length,
+    attempts: config.maxAttempts
+  });
+
+  throw new Error('Could not generate a unique short code, please try again');
+};
+
+const isDuplicateCodeError = (error) => {
+  return error && error.code === 11000 && /shortCode|shortUrl/.test(error.message);
+};
+
+// Create a Url, regenerating the code if a concurrent insert took it first.
+// Custom aliases/codes are never regenerated.
+const createWithUniqueCode = async (urlData) => {
+  const Url = mongoose.model('Url');
+  const hasFixedCode = Boolean(urlData.shortCode || urlData.customAlias);
+  const config = getConfig();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await Url.create({ ...urlData });
+    } catch (error) {
+      if (hasFixedCode || !isDuplicateCodeError(error) || attempt >= config.maxAttempts) {
+        throw error;
+      }
+
+      stats.collisions++;
+    }
+  }
+};
+
+// Keyspace usage for the configured strategy (admin stats)
+const getKeyspaceStats = async () => {
+  const config = getConfig();
+  const keyspace = BigInt(config.alphabet.length) ** BigInt(config.length);
+
+  // Generated codes have the configured length and no custom alias
+  const used = await mongoose.model('Url').countDocuments({
+    customAlias: null,
+    shortCode: { $regex: `^[${config.alphabet}]{${config.length}}$` }
+  });
+
+  return {
+    strategy: config.strategy,
+    alphabetSize: config.alphabet.length,
+    length: config.length,
+    keyspace: keyspace.toString(),
+    used,
+    utilization: Number((BigInt(used) * 1000000n) / keyspace) / 10000, // percent, 4 decimals
+    counter: config.strategy === 'counter' ? parseInt(await cacheOperations.get(COUNTER_KEY)) || 0 : undefined,
+    reservedWords: config.reservedWords.size,
+    blockedWords: config.blockedWords.length,
+    sinceStartup: { ...stats }
+  };
+};
+
+module.exports = {
+  ALPHABETS,
+  STRATEGIES,
+  isReservedCode,
+  generateShortCode,
+  createWithUniqueCode,
+  getKeyspaceStats
+};
@@ -0,0 +1,172 @@
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { createS3Client } = require('./s3Client');
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const UPLOAD_ROOT = path.resolve(process.env.UPLOAD_PATH || 'uploads');
+
+// Storage drivers store file content under keys such as "blobs/ab/<hash>.png".
+// Every driver implements:
+//   saveFile(key, localPath, { contentType })  moves a local file into storage
+//   saveBuffer(key, buffer, { contentType })
+//   createReadStream(key, { start, end })      resolves to a readable stream
+//   stat(key)                                  resolves to { size, lastModified } or null
+//   remove(key)                                ignores missing content
+
+// Local filesystem driver rooted at UPLOAD_PATH. Keys written before storage
+// drivers existed are absolute paths inside the root and still resolve.
+const createLocalStorage = (root = UPLOAD_ROOT) => {
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(root, key);
+
+    if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Storage key outside upload root: ${key}`);
+    }
+
+    return fullPath;
+  };
+
+  const prepare = async (key) => {
+    const fullPath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    return fullPath;
+  };
+
+  return {
+    name: 'local',
+
+    saveFile: async (key, localPath) => {
+      const fullPath = await prepare(key);
+
+      try {
+        await fs.promises.rename(localPath, fullPath);
+      } catch (error) {
+        // Temp directory on another filesystem
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(localPath, fullPath);
+        await fs.promises.unlink(localPath);
+      }
+    },
+
+    saveBuffer: async (key, buffer) => {
+      await fs.promises.writeFile(await prepare(key), buffer);
+    },
+
+    createReadStream: async (key, { start, end } = {}) => {
+      const stream = fs.createReadStream(resolveKey(key), { start, end });
+
+      // Surface a missing file as a rejection rather than a stream error
+      await new Promise((resolve, reject) => {
+        stream.once('open', resolve);
+        stream.once('error', reject);
+      });
+
+      return stream;
+    },
+
+    stat: async (key) => {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return { size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await fs.promises.unlink(resolveKey(key)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  };
+};
+
+// S3-compatible driver (AWS S3, MinIO...). S3_PREFIX namespaces the keys
+// when the bucket is shared.
+const createS3Storage = ({
+  endpoint = process.env.S3_ENDPOINT,
+  region = process.env.S3_REGION || 'us-east-1',
+  bucket = process.env.S3_BUCKET,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE !== 'false',
+  prefix = process.env.S3_PREFIX || '',
+  timeout
+} = {}) => {
+  const client = createS3Client({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, timeout });
+  const toObjectKey = (key) => `${prefix}${key.split(path.sep).join('/')}`;
+
+  return {
+    name: 's3',
+
+    saveFile: async (key, localPath, { contentType } = {}) => {
+      const { size } = await fs.promises.stat(localPath);
+
+      await client.putObject(toObjectKey(key), fs.createReadStream(localPath), { contentType, contentLength: size });
+      await fs.promises.unlink(localPath);
+    },
+
+    saveBuffer: (key, buffer, { contentType } = {}) =>
+      client.putObject(toObjectKey(key), buffer, { contentType }),
+
+    createReadStream: async (key, range = {}) => {
+      try {
+        return await client.getObject(toObjectKey(key), range);
+      } catch (error) {
+        if (error.statusCode === 404) error.code = 'ENOENT';
+        throw error;
+      }
+    },
+
+    stat: (key) => client.headObject(toObjectKey(key)),
+
+    remove: async (key) => {
+      // S3 deletes are idempotent; missing objects are not an error
+      await client.deleteObject(toObjectKey(key));
+    }
+  };
+};
+
+const DRIVER_FACTORIES = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+const drivers = new Map();
+
+// Get a storage driver by name, defaulting to STORAGE_DRIVER. Files record
+// the driver that stored them, so older files stay readable after a switch.
+const getStorage = (name = STORAGE_DRIVER) => {
+  if (!drivers.has(name)) {
+    const factory = DRIVER_FACTORIES[name];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    drivers.set(name, factory());
+  }
+
+  return drivers.get(name);
+};
+
+// Replace a storage driver (e.g. with one pointed at a local stub server).
+// Passing nothing restores the configured driver.
+const setStorage = (name, driver) => {
+  if (driver) {
+    drivers.set(name, driver);
+  } else {
+    drivers.delete(name);
+  }
+};
+
+module.exports = {
+  STORAGE_DRIVER,
+  UPLOAD_ROOT,
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+  setStorage
+};
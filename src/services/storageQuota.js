@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const GB = 1024 * 1024 * 1024;
+
+// Storage allowed per subscription tier, in bytes
+const STORAGE_QUOTAS = {
+  free: parseInt(process.env.STORAGE_QUOTA_FREE_BYTES) || 1 * GB,
+  premium: parseInt(process.env.STORAGE_QUOTA_PREMIUM_BYTES) || 50 * GB,
+  enterprise: parseInt(process.env.STORAGE_QUOTA_ENTERPRISE_BYTES) || 1024 * GB
+};
+
+// Storage is charged to the file owner for every file that isn't deleted.
+// Deduplicated content still counts in full for each file.
+const User = () => mongoose.model('User');
+
+const getStorageQuota = (tier) => STORAGE_QUOTAS[tier] ?? STORAGE_QUOTAS.free;
+
+// Bytes a user can still store according to their usage counter
+const getAvailableStorage = (user) =>
+  Math.max(getStorageQuota(user.subscription) - (user.usage?.storageUsed || 0), 0);
+
+// Atomically charge bytes to a user if they fit in their quota. Resolves to
+// { reserved, used, quota }.
+const reserveStorage = async (userId, bytes) => {
+  const user = await User().findById(userId).select('subscription usage.storageUsed');
+
+  if (!user) return { reserved: false, used: 0, quota: 0 };
+
+  const quota = getStorageQuota(user.subscription);
+
+  const updated = await User().findOneAndUpdate(
+    { _id: userId, 'usage.storageUsed': { $lte: quota - bytes } },
+    { $inc: { 'usage.storageUsed': bytes } },
+    { new: true }
+  ).select('usage.storageUsed');
+
+  return {
+    reserved: Boolean(updated),
+    used: updated ? updated.usage.storageUsed : user.usage.storageUsed,
+    quota
+  };
+};
+
+// Give back bytes charged to a user (never dropping below zero)
+const releaseStorage = async (userId, bytes) => {
+  await User().updateOne(
+    { _id: userId },
+    [{ $set: { 'usage.storageUsed': { $max: [0, { $subtract: [{ $ifNull: ['$usage.storageUsed', 0] }, bytes] }] } } }]
+  );
+};
+
+// Quota status for a user. Usage is recomputed from their files, and the
+// stored counter is corrected if it drifted (e.g. files uploaded before
+// quotas were tracked).
+const getQuotaStatus = async (user) => {
+  const File = mongoose.model('File');
+  const quota = getStorageQuota(user.subscription);
+  const { totalFiles, totalSize } = await File.getUserStorageUsage(user._id);
+  const counted = user.usage?.storageUsed || 0;
+
+  if (counted !== totalSize) {
+    // Only if no upload or delete changed the counter in the meantime
+    await User().updateOne(
+      { _id: user._id, 'usage.storageUsed': counted },
+      { $set: { 'usage.storageUsed': totalSize } }
+    );
+  }
+
+  return {
+    tier: user.subscription,
+    quota,
+    used: totalSize,
+    available: Math.max(quota - totalSize, 0),
+    percentUsed: Math.min(Math.round((totalSize / quota) * 10000) / 100, 100),
+    fileCount: totalFiles
+  };
+};
+
+module.exports = {
+  STORAGE_QUOTAS,
+  getStorageQuota,
+  getAvailableStorage,
+  reserveStorage,
+  releaseStorage,
+  getQuotaStatus
+};
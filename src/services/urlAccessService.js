@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { cacheOperations, rateLimitOperations } = require('../config/redis');
+const { escapeHtml } = require('../utils/html');
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.URL_ACCESS_TTL) || 30 * 60; // 30 minutes
+
+// Brute-force throttling for password protected URLs
+const UNLOCK_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_VISITOR = parseInt(process.env.URL_UNLOCK_MAX_ATTEMPTS) || 5;
+// Failures against one link from all visitors only slow its unlock down;
+// blocking would let anyone lock every visitor out of the link
+const SLOWDOWN_AFTER_FAILURES_PER_CODE = parseInt(process.env.URL_UNLOCK_SLOWDOWN_AFTER) || 50;
+const SLOWDOWN_STEP_MS = 200;
+const MAX_SLOWDOWN_MS = 3000;
+
+const getAccessSecret = () => process.env.URL_ACCESS_SECRET || process.env.JWT_SECRET;
+
+// Short, non-reversible fingerprint of the stored password hash.
+// Changing the password changes it, which invalidates issued cookies.
+const getPasswordVersion = (passwordHash) => {
+  if (!passwordHash) return null;
+  return crypto.createHash('sha256').update(passwordHash).digest('hex').substring(0, 16);
+};
+
+const getAccessCookieName = (code) => `url_access_${code}`;
+
+// Read a cookie value without pulling in cookie-parser
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+
+    if (part.substring(0, separator).trim() === name) {
+      return decodeURIComponent(part.substring(separator + 1).trim());
+    }
+  }
+
+  return null;
+};
+
+// Issue a signed access cookie for an unlocked URL
+const issueAccessCookie = (res, code, passwordVersion, cookiePath = `/api/url/${code}`) => {
+  const token = jwt.sign({ code, pwv: passwordVersion }, getAccessSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+
+  res.cookie(getAccessCookieName(code), token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: ACCESS_TOKEN_TTL * 1000,
+    path: cookiePath
+  });
+
+  return { expiresIn: ACCESS_TOKEN_TTL };
+};
+
+// Check whether the request carries a valid access cookie for the URL
+const hasValidAccess = (req, code, passwordVersion) => {
+  const token = readCookie(req, getAccessCookieName(code));
+  if (!token) return false;
+
+  try {
+    const decoded = jwt.verify(token, getAccessSecret());
+    return decoded.code === code && decoded.pwv === passwordVersion;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getThrottleKeys = (code, ip) => ({
+  visitor: `url_unlock:${code}:${ip}`,
+  code: `url_unlock:${code}`
+});
+
+// Check whether the visitor's unlock attempts are currently blocked and how
+// long to hold the attempt back because of failures against the code
+const isUnlockThrottled = async (code, ip) => {
+  const keys = getThrottleKeys(code, ip);
+
+  const [visitorFailures, codeFailures] = await Promise.all([
+    rateLimitOperations.getRateLimit(keys.visitor),
+    rateLimitOperations.getRateLimit(keys.code)
+  ]);
+
+  if (visitorFailures >= MAX_FAILURES_PER_VISITOR) {
+    return { throttled: true, retryAfter: Math.ceil(UNLOCK_WINDOW_MS / 1000) };
+  }
+
+  const excessFailures = codeFailures - SLOWDOWN_AFTER_FAILURES_PER_CODE + 1;
+  const delayMs = excessFailures > 0 ? Math.min(excessFailures * SLOWDOWN_STEP_MS, MAX_SLOWDOWN_MS) : 0;
+
+  return { throttled: false, delayMs };
+};
+
+// Record a failed unlock attempt
+const recordUnlockFailure = async (code, ip) => {
+  const keys = getThrottleKeys(code, ip);
+
+  await Promise.all([
+    rateLimitOperations.incrementRateLimit(keys.visitor, UNLOCK_WINDOW_MS),
+    rateLimitOperations.incrementRateLimit(keys.code, UNLOCK_WINDOW_MS)
+  ]);
+};
+
+// Clear the visitor's failure count after a successful unlock
+const clearUnlockFailures = async (code, ip) => {
+  await cacheOperations.del(getThrottleKeys(code, ip).visitor);
+};
+
+// Password interstitial shown to browsers instead of redirecting
+const renderUnlockPage = (code, actionUrl, error = null) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Password required</title>
+</head>
+<body>
+  <main>
+    <h1>This link is password protected</h1>
+    ${error ? `<p role="alert">${escapeHtml(error)}</p>` : ''}
+    <form method="POST" action="${escapeHtml(actionUrl)}">
+      <label for="password">Password for /${escapeHtml(code)}</label>
+      <input id="password" name="password" type="password" autocomplete="off" required autofocus>
+      <button type="submit">Continue</button>
+    </form>
+  </main>
+</body>
+</html>`;
+
+module.exports = {
+  getPasswordVersion,
+  issueAccessCookie,
+  hasValidAccess,
+  isUnlockThrottled,
+  recordUnlockFailure,
+  clearUnlockFailures,
+  renderUnlockPage
+};
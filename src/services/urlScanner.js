@@ -0,0 +1,270 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Url = require('../models/Url');
+const BlocklistEntry = require('../models/BlocklistEntry');
+const { cacheOperations } = require('../config/redis');
+const { logger } = require('../utils/logger');
+const { escapeHtml } = require('../utils/html');
+const { getRuleDestinations } = require('./redirectRules');
+
+const BLOCKLIST_REFRESH_MS = parseInt(process.env.BLOCKLIST_REFRESH_MS) || 60 * 1000;
+
+// Registered scanners, each { name, scan: async (url) => ({ isSafe, result, details }) }
+const scanners = [];
+
+// Compiled blocklist: file entries plus admin-managed database entries
+let blocklist = { domains: new Map(), patterns: [] };
+let refreshTimer = null;
+
+// Background rescan state: one rescan at a time, rerun once if more were queued
+let rescanRunning = false;
+let rescanQueued = false;
+
+// Parse a destination into a URL object (destinations may omit the scheme)
+const parseDestination = (originalUrl) => {
+  try {
+    return new URL(/^https?:\/\//i.test(originalUrl) ? originalUrl : `http://${originalUrl}`);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse a blocklist file: one entry per line, "#" starts a comment.
+// Bare entries are domains, "pattern:<regex>" entries are regular expressions.
+const parseBlocklistFile = (content) => {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map(line => line.startsWith('pattern:')
+      ? { type: 'pattern', value: line.substring('pattern:'.length).trim(), category: 'other', source: 'file' }
+      : { type: 'domain', value: line.replace(/^domain:/, '').trim().toLowerCase(), category: 'other', source: 'file' }
+    );
+};
+
+const compileBlocklist = (entries) => {
+  const compiled = { domains: new Map(), patterns: [] };
+
+  entries.forEach(entry => {
+    if (entry.type === 'domain') {
+      compiled.domains.set(entry.value.replace(/^\*?\./, ''), entry);
+      return;
+    }
+
+    try {
+      compiled.patterns.push({ regex: new RegExp(entry.value, 'i'), entry });
+    } catch (error) {
+      logger.warn(`Skipping invalid blocklist pattern: ${entry.value}`);
+    }
+  });
+
+  return compiled;
+};
+
+// (Re)load the blocklist from BLOCKLIST_PATH and the database
+const loadBlocklist = async (filePath = process.env.BLOCKLIST_PATH) => {
+  let fileEntries = [];
+
+  if (filePath) {
+    try {
+      fileEntries = parseBlocklistFile(await fs.readFile(path.resolve(filePath), 'utf8'));
+    } catch (error) {
+      logger.error(`Failed to read blocklist file ${filePath}:`, error);
+    }
+  }
+
+  let dbEntries = [];
+  try {
+    dbEntries = (await BlocklistEntry.getActiveEntries()).map(entry => ({ ...entry, source: 'admin' }));
+  } catch (error) {
+    logger.error('Failed to load blocklist entries from database:', error);
+  }
+
+  blocklist = compileBlocklist([...fileEntries, ...dbEntries]);
+
+  return {
+    fileEntries: fileEntries.length,
+    databaseEntries: dbEntries.length,
+    domains: blocklist.domains.size,
+    patterns: blocklist.patterns.length
+  };
+};
+
+// Find the blocklist entry matching a destination, if any
+const findBlocklistMatch = (originalUrl) => {
+  const destination = parseDestination(originalUrl);
+  if (!destination) return null;
+
+  // Check the host and each parent domain (a.b.evil.com -> b.evil.com -> evil.com)
+  const labels = destination.hostname.toLowerCase().split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const entry = blocklist.domains.get(labels.slice(i).join('.'));
+    if (entry) return entry;
+  }
+
+  const href = destination.toString();
+  const pattern = blocklist.patterns.find(({ regex }) => regex.test(href));
+  return pattern ? pattern.entry : null;
+};
+
+// Built-in scanner backed by the local blocklist
+const blocklistScanner = {
+  name: 'local-blocklist',
+  scan: async (originalUrl) => {
+    const match = findBlocklistMatch(originalUrl);
+
+    if (!match) {
+      return { isSafe: true, result: 'clean' };
+    }
+
+    return {
+      isSafe: false,
+      result: match.category || 'blocked',
+      details: `Matched ${match.source} ${match.type} "${match.value}"${match.reason ? `: ${match.reason}` : ''}`
+    };
+  }
+};
+
+// Register an additional scanner (e.g. a reputation service)
+const registerScanner = (scanner) => {
+  if (!scanner || !scanner.name || typeof scanner.scan !== 'function') {
+    throw new Error('Scanner must have a name and a scan(url) function');
+  }
+  scanners.push(scanner);
+};
+
+// Run every scanner and build the Url.malwareCheck block.
+// The first scanner that flags the URL decides the reported result.
+const scanUrl = async (originalUrl) => {
+  let flagged = null;
+
+  for (const scanner of scanners) {
+    try {
+      const result = await scanner.scan(originalUrl);
+      if (result && result.isSafe === false) {
+        flagged = { provider: scanner.name, result: result.result, details: result.details };
+        break;
+      }
+    } catch (error) {
+      logger.error(`URL scanner ${scanner.name} failed:`, error);
+    }
+  }
+
+  return {
+    isChecked: true,
+    isSafe: !flagged,
+    lastChecked: new Date(),
+    scanResults: flagged || {
+      provider: scanners.map(scanner => scanner.name).join(','),
+      result: 'clean'
+    }
+  };
+};
+
+// Scan every destination of a URL (original plus redirect rule targets).
+// The first flagged destination decides the result.
+const scanDestinations = async (destinations) => {
+  let malwareCheck = null;
+
+  for (const destination of [...new Set(destinations)]) {
+    const result = await scanUrl(destination);
+
+    if (!result.isSafe) {
+      return { ...result, scanResults: { ...result.scanResults, details: `${destination}: ${result.scanResults.details || result.scanResults.result}` } };
+    }
+
+    malwareCheck = malwareCheck || result;
+  }
+
+  return malwareCheck;
+};
+
+// Re-scan stored URLs (e.g. after the blocklist changed)
+const rescanUrls = async (filter = { isActive: true }) => {
+  let scanned = 0;
+  let flagged = 0;
+  let cleared = 0;
+
+  const cursor = Url.find(filter).select('originalUrl shortCode domain redirectRules malwareCheck').cursor();
+
+  for await (const url of cursor) {
+    const malwareCheck = await scanDestinations([url.originalUrl, ...getRuleDestinations(url.redirectRules)]);
+    const wasSafe = url.malwareCheck?.isSafe !== false;
+    scanned++;
+
+    await Url.updateOne({ _id: url._id }, { $set: { malwareCheck } });
+
+    if (wasSafe !== malwareCheck.isSafe) {
+      malwareCheck.isSafe ? cleared++ : flagged++;
+      await cacheOperations.del(`url:${Url.getScopedCode(url.shortCode, url.domain)}`);
+    }
+  }
+
+  logger.business('URL Rescan Completed', { scanned, flagged, cleared });
+
+  return { scanned, flagged, cleared };
+};
+
+// Start a rescan of all active URLs in the background. Requests made while
+// one is running are folded into a single follow-up rescan.
+const queueRescan = () => {
+  if (rescanRunning) {
+    rescanQueued = true;
+    return;
+  }
+
+  rescanRunning = true;
+
+  rescanUrls()
+    .catch(err => logger.error('URL rescan failed:', err))
+    .finally(() => {
+      rescanRunning = false;
+
+      if (rescanQueued) {
+        rescanQueued = false;
+        queueRescan();
+      }
+    });
+};
+
+// Periodically pick up blocklist changes made on other instances
+const startBlocklistRefresh = (intervalMs = BLOCKLIST_REFRESH_MS) => {
+  if (refreshTimer) return;
+
+  refreshTimer = setInterval(() => {
+    loadBlocklist().catch(err => logger.error('Blocklist refresh failed:', err));
+  }, intervalMs);
+  refreshTimer.unref();
+};
+
+// Warning page shown instead of redirecting to a flagged destination
+const renderUnsafeWarningPage = (code) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>Warning: unsafe link</title>
+</head>
+<body>
+  <main>
+    <h1>This link has been blocked</h1>
+    <p>The destination of /${escapeHtml(code)} was flagged as potentially harmful (phishing, malware or abuse) and will not be opened.</p>
+    <p>If you believe this is a mistake, please contact the link owner.</p>
+  </main>
+</body>
+</html>`;
+
+registerScanner(blocklistScanner);
+
+module.exports = {
+  registerScanner,
+  scanUrl,
+  scanDestinations,
+  loadBlocklist,
+  startBlocklistRefresh,
+  rescanUrls,
+  queueRescan,
+  findBlocklistMatch,
+  renderUnsafeWarningPage
+};
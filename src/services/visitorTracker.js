@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { hyperLogLogOperations } = require('../config/redis');
+
+// Retention for each unique visitor window (in seconds)
+const WINDOW_TTL = {
+  day: 35 * 24 * 60 * 60,
+  week: 15 * 7 * 24 * 60 * 60,
+  month: 400 * 24 * 60 * 60
+};
+
+// Build a stable, anonymised fingerprint for the visitor
+const getVisitorFingerprint = (req) => {
+  const identity = req.user
+    ? `user:${req.user._id}`
+    : `anon:${req.ip}|${req.get('User-Agent') || ''}`;
+
+  return crypto.createHash('sha256').update(identity).digest('hex');
+};
+
+// Window identifiers (UTC) for the given date
+const getWindowIds = (date = new Date()) => {
+  const day = date.toISOString().split('T')[0];
+
+  const weekStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  weekStart.setUTCDate(weekStart.getUTCDate() - weekStart.getUTCDay());
+  const week = weekStart.toISOString().split('T')[0];
+
+  const month = day.substring(0, 7);
+
+  return { day, week, month };
+};
+
+const getVisitorKey = (code, window, id) => {
+  return id ? `uv:${code}:${window}:${id}` : `uv:${code}:${window}`;
+};
+
+// Record a visit, returns true if this visitor has never been seen for the code
+const trackVisitor = async (code, fingerprint, date = new Date()) => {
+  const windows = getWindowIds(date);
+
+  const isUnique = await hyperLogLogOperations.add(getVisitorKey(code, 'all'), fingerprint);
+
+  await Promise.all(Object.entries(windows).map(([window, id]) =>
+    hyperLogLogOperations.add(getVisitorKey(code, window, id), fingerprint, WINDOW_TTL[window])
+  ));
+
+  // Without Redis we cannot tell, so don't inflate unique counts
+  return isUnique === true;
+};
+
+// Get unique visitor counts for the current day, week and month
+const getUniqueVisitorCounts = async (code, date = new Date()) => {
+  const windows = getWindowIds(date);
+
+  const [today, thisWeek, thisMonth, allTime] = await Promise.all([
+    hyperLogLogOperations.count(getVisitorKey(code, 'day', windows.day)),
+    hyperLogLogOperations.count(getVisitorKey(code, 'week', windows.week)),
+    hyperLogLogOperations.count(getVisitorKey(code, 'month', windows.month)),
+    hyperLogLogOperations.count(getVisitorKey(code, 'all'))
+  ]);
+
+  return { today, thisWeek, thisMonth, allTime };
+};
+
+// Get daily unique visitor counts for the last N days
+const getDailyUniqueVisitors = async (code, days = 30) => {
+  const dayIds = [];
+
+  for (let i = days - 1; i >= 0; i--) {
+    dayIds.push(getWindowIds(new Date(Date.now() - i * 24 * 60 * 60 * 1000)).day);
+  }
+
+  const counts = await Promise.all(dayIds.map(day =>
+    hyperLogLogOperations.count(getVisitorKey(code, 'day', day))
+  ));
+
+  return dayIds.map((date, index) => ({ date, uniqueVisitors: counts[index] }));
+};
+
+module.exports = {
+  getVisitorFingerprint,
+  trackVisitor,
+  getUniqueVisitorCounts,
+  getDailyUniqueVisitors
+};
@@ -0,0 +1,43 @@
+// Escape a value for safe interpolation into HTML text or attributes
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  laquo: '«',
+  raquo: '»',
+  copy: '©',
+  reg: '®',
+  trade: '™'
+};
+
+// Decode character references found in scraped HTML text and attributes
+const decodeHtmlEntities = (value) => String(value || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const codePoint = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.substring(2), 16)
+      : parseInt(entity.substring(1), 10);
+
+    return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+  }
+
+  const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+  return decoded !== undefined ? decoded : match;
+});
+
+module.exports = {
+  escapeHtml,
+  decodeHtmlEntities
+};
@@ -0,0 +1,55 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses outbound fetchers refuse to connect to (SSRF protection)
+const privateAddresses = new net.BlockList();
+privateAddresses.addSubnet('0.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('10.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('100.64.0.0', 10, 'ipv4');
+privateAddresses.addSubnet('127.0.0.0', 8, 'ipv4');
+privateAddresses.addSubnet('169.254.0.0', 16, 'ipv4');
+privateAddresses.addSubnet('172.16.0.0', 12, 'ipv4');
+privateAddresses.addSubnet('192.168.0.0', 16, 'ipv4');
+privateAddresses.addAddress('::', 'ipv6');
+privateAddresses.addAddress('::1', 'ipv6');
+privateAddresses.addSubnet('fc00::', 7, 'ipv6');
+privateAddresses.addSubnet('fe80::', 10, 'ipv6');
+
+const isPrivateAddress = (address, family) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return privateAddresses.check(mapped[1], 'ipv4');
+
+  return privateAddresses.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+};
+
+// Reject URLs whose host is a private IP literal. Node skips the lookup
+// function for IP literals, so safeLookup alone doesn't cover them.
+const assertPublicHost = (targetUrl) => {
+  const hostname = targetUrl.hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(hostname);
+
+  if (family && isPrivateAddress(hostname, family)) {
+    throw new Error(`Refusing to fetch private address ${hostname}`);
+  }
+};
+
+// dns.lookup wrapper that rejects private addresses at connect time,
+// so redirects and DNS rebinding can't reach internal services
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address, entry.family))) {
+      return callback(new Error(`Refusing to fetch private address for ${hostname}`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicHost,
+  safeLookup
+};
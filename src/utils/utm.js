@@ -0,0 +1,73 @@
+// UTM fields stored on Url.utmParameters and their query string names
+const UTM_FIELDS = {
+  source: 'utm_source',
+  medium: 'utm_medium',
+  campaign: 'utm_campaign',
+  term: 'utm_term',
+  content: 'utm_content'
+};
+
+const MAX_UTM_LENGTH = 100;
+
+// Pick and validate UTM fields from a request body.
+// Accepts either { utmParameters: { source, ... } } or flat utm_source style keys.
+// Returns { utmParameters } with only provided fields, or { error }.
+const parseUtmParameters = (body = {}) => {
+  const input = body.utmParameters || {};
+  const utmParameters = {};
+
+  for (const [field, queryName] of Object.entries(UTM_FIELDS)) {
+    const value = input[field] !== undefined ? input[field] : body[queryName];
+    if (value === undefined) continue;
+
+    if (value === null || value === '') {
+      utmParameters[field] = undefined;
+      continue;
+    }
+
+    if (typeof value !== 'string') {
+      return { error: `UTM ${field} must be a string` };
+    }
+
+    if (value.trim().length > MAX_UTM_LENGTH) {
+      return { error: `UTM ${field} cannot exceed ${MAX_UTM_LENGTH} characters` };
+    }
+
+    utmParameters[field] = value.trim();
+  }
+
+  return { utmParameters };
+};
+
+// Check whether any UTM value is set
+const hasUtmParameters = (utmParameters) => {
+  return Boolean(utmParameters) && Object.keys(UTM_FIELDS).some(field => utmParameters[field]);
+};
+
+// Append UTM parameters to a destination URL, keeping its existing query
+// string and fragment. Values configured on the short URL win over any
+// utm_* already present in the destination.
+const applyUtmParameters = (originalUrl, utmParameters) => {
+  if (!hasUtmParameters(utmParameters)) return originalUrl;
+
+  try {
+    const destination = new URL(/^https?:\/\//i.test(originalUrl) ? originalUrl : `http://${originalUrl}`);
+
+    for (const [field, queryName] of Object.entries(UTM_FIELDS)) {
+      if (utmParameters[field]) {
+        destination.searchParams.set(queryName, utmParameters[field]);
+      }
+    }
+
+    return destination.toString();
+  } catch (error) {
+    return originalUrl;
+  }
+};
+
+module.exports = {
+  UTM_FIELDS,
+  parseUtmParameters,
+  hasUtmParameters,
+  applyUtmParameters
+};
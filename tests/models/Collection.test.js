@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Collection = require('../../src/models/Collection');
+
+const owner = new mongoose.Types.ObjectId();
+const member = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+
+const makeCollection = (fields = {}) => Collection.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Links',
+  owner,
+  ancestors: [],
+  members: [],
+  ...fields
+});
+
+// Query stand-in resolving to `result` after .select()
+const query = (result) => ({ select: () => Promise.resolve(result) });
+
+describe('Collection roles', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('resolves inherited roles for many collections with one query', async () => {
+    const parent = makeCollection({ members: [{ user: member._id, role: 'editor' }] });
+    const sibling = makeCollection({ members: [{ user: member._id, role: 'viewer' }] });
+    const child = makeCollection({ ancestors: [parent._id], members: [{ user: member._id, role: 'viewer' }] });
+    const grandchild = makeCollection({ ancestors: [parent._id, child._id] });
+    const find = jest.spyOn(Collection, 'find').mockReturnValue(query([parent]));
+
+    const roles = await Collection.getUserRoles([sibling, child, grandchild], member);
+
+    expect(find).toHaveBeenCalledTimes(1);
+    expect(find.mock.calls[0][0]).toEqual({ _id: { $in: [parent._id.toString()] } });
+    expect([...roles.values()]).toEqual(['viewer', 'editor', 'editor']);
+  });
+
+  it('skips the query when every ancestor is already loaded', async () => {
+    const parent = makeCollection();
+    const child = makeCollection({ ancestors: [parent._id] });
+    const find = jest.spyOn(Collection, 'find');
+
+    const roles = await Collection.getUserRoles([parent, child], { _id: owner, role: 'user' });
+
+    expect(find).not.toHaveBeenCalled();
+    expect([...roles.values()]).toEqual(['owner', 'owner']);
+  });
+});
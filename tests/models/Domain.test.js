@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const Domain = require('../../src/models/Domain');
+
+const makeDomain = (fields = {}) => new Domain({
+  hostname: 'go.example.com',
+  owner: new mongoose.Types.ObjectId(),
+  createdAt: new Date('2024-01-01T00:00:00Z'),
+  ...fields
+});
+
+describe('Domain claims', () => {
+  it('lapse 72 hours after an unverified domain was registered', () => {
+    expect(makeDomain().getClaimExpiresAt()).toEqual(new Date('2024-01-04T00:00:00Z'));
+  });
+
+  it('never lapse once the domain is verified', () => {
+    expect(makeDomain({ isVerified: true }).getClaimExpiresAt()).toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const File = require('../../src/models/File');
+
+// A file as stored before folders existed
+const legacyFile = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  originalName: 'report.pdf',
+  filename: '1700000000000-123.pdf',
+  mimetype: 'application/pdf',
+  size: 1024,
+  path: 'uploads/1700000000000-123.pdf',
+  url: '/uploads/1700000000000-123.pdf',
+  category: 'document',
+  uploadedBy: new mongoose.Types.ObjectId(),
+  visibility: 'private',
+  folder: '/',
+  isDeleted: false,
+  isActive: true
+});
+
+describe('File legacy folder values', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('loads a legacy "/" folder as the root', () => {
+    const file = File.hydrate(legacyFile());
+
+    expect(file.folder).toBeNull();
+    expect(file.validateSync()).toBeUndefined();
+  });
+
+  it('saves a legacy document after changing it', async () => {
+    const updateOne = jest.spyOn(File.collection, 'updateOne')
+      .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+
+    const file = File.hydrate(legacyFile());
+    await file.softDelete();
+
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    const [, update] = updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ isDeleted: true, isActive: false });
+  });
+});
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Url = require('../../src/models/Url');
+
+// A link as stored before access passwords were hashed
+const legacyUrl = () => Url.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  originalUrl: 'https://example.com/',
+  shortCode: 'abc123',
+  password: 'link_password'
+});
+
+describe('Url legacy passwords', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('replaces a verified plaintext password with its hash', async () => {
+    const url = legacyUrl();
+    const updateOne = jest.spyOn(Url, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await url.comparePassword('link_password')).toBe(true);
+    expect(await url.rehashLegacyPassword('link_password')).toBe(true);
+
+    const [filter, update] = updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: url._id, password: 'link_password' });
+    expect(update.$set.password).toMatch(/^\$2[aby]\$/);
+
+    expect(url.hasLegacyPassword()).toBe(false);
+    expect(url.isModified('password')).toBe(false);
+    expect(await url.comparePassword('link_password')).toBe(true);
+  });
+
+  it('leaves the password alone when the candidate does not match', async () => {
+    const updateOne = jest.spyOn(Url, 'updateOne');
+
+    expect(await legacyUrl().rehashLegacyPassword('wrong')).toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it('keeps a password changed in the meantime', async () => {
+    const url = legacyUrl();
+    jest.spyOn(Url, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await url.rehashLegacyPassword('link_password')).toBe(false);
+    expect(url.password).toBe('link_password');
+  });
+});
@@ -0,0 +1,223 @@
+// In-memory stand-in for the parts of the Redis client the click counter uses
+jest.mock('../../src/config/redis', () => {
+  const hashes = new Map();
+  const sets = new Map();
+  const lists = new Map();
+
+  const commands = {
+    hIncrBy: (key, field, value) => {
+      const hash = hashes.get(key) || {};
+      hash[field] = String((parseInt(hash[field]) || 0) + value);
+      hashes.set(key, hash);
+    },
+    hSet: (key, field, value) => {
+      hashes.set(key, { ...hashes.get(key), [field]: String(value) });
+    },
+    hSetNX: (key, field, value) => {
+      if (!(hashes.get(key) || {})[field]) commands.hSet(key, field, value);
+    },
+    hGetAll: (key) => ({ ...hashes.get(key) }),
+    del: (key) => hashes.delete(key),
+    sAdd: (key, member) => {
+      sets.set(key, new Set([...(sets.get(key) || []), member]));
+    },
+    sPop: (key, count) => {
+      const members = [...(sets.get(key) || [])].slice(0, count);
+      members.forEach(member => sets.get(key).delete(member));
+      return members;
+    },
+    rPush: (key, values) => {
+      lists.set(key, [...(lists.get(key) || []), ...[].concat(values)]);
+    },
+    lRange: (key, start, stop) => (lists.get(key) || []).slice(start, stop + 1),
+    lTrim: (key, start) => {
+      lists.set(key, (lists.get(key) || []).slice(start));
+    }
+  };
+
+  const client = {
+    isOpen: true,
+    hashes,
+    sets,
+    lists,
+    reset: () => {
+      hashes.clear();
+      sets.clear();
+      lists.clear();
+    },
+    multi: () => {
+      const queued = [];
+      const multi = { exec: async () => queued.map(run => run()) };
+      Object.keys(commands).forEach(name => {
+        multi[name] = (...args) => {
+          queued.push(() => commands[name](...args));
+          return multi;
+        };
+      });
+      return multi;
+    }
+  };
+  Object.keys(commands).forEach(name => {
+    client[name] = async (...args) => commands[name](...args);
+  });
+
+  return { getRedisClient: () => client };
+});
+
+const Url = require('../../src/models/Url');
+const ClickEvent = require('../../src/models/ClickEvent');
+const { getRedisClient } = require('../../src/config/redis');
+const { logger } = require('../../src/utils/logger');
+const { recordClick, flushClicks } = require('../../src/services/clickCounter');
+
+const url = { _id: '64b000000000000000000001', shortCode: 'abc123' };
+
+// Error shaped like an unordered insertMany that stored some documents
+const writeError = (index, code) => ({ index, err: { index, code, errmsg: 'failed' } });
+
+describe('click counter', () => {
+  const redis = getRedisClient();
+  let insertMany;
+  let logError;
+
+  beforeEach(() => {
+    // Failure paths log errors; tests assert on them instead of printing them
+    logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    redis.reset();
+    redis.isOpen = true;
+    insertMany = jest.spyOn(ClickEvent, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(Url, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('click events', () => {
+    it('queues events in Redis until they are stored', async () => {
+      await recordClick(url, { visitorId: 'visitor-1' });
+      await recordClick(url, { visitorId: 'visitor-2' });
+
+      expect(redis.lists.get('clicks:events')).toHaveLength(2);
+
+      const { events } = await flushClicks();
+
+      expect(events).toBe(2);
+      expect(insertMany.mock.calls[0][0].map(event => event.visitorId)).toEqual(['visitor-1', 'visitor-2']);
+      expect(redis.lists.get('clicks:events')).toHaveLength(0);
+      expect(logError).not.toHaveBeenCalled();
+    });
+
+    it('puts events back on the queue when the insert fails', async () => {
+      await recordClick(url, { visitorId: 'visitor-1' });
+      insertMany.mockRejectedValueOnce(new Error('connection closed'));
+
+      expect((await flushClicks()).events).toBe(0);
+      expect(redis.lists.get('clicks:events')).toHaveLength(1);
+      expect(logError).toHaveBeenCalledWith('Click event insert failed:', expect.objectContaining({ message: 'connection closed' }));
+
+      expect((await flushClicks()).events).toBe(1);
+      expect(insertMany.mock.calls[1][0][0]._id).toBe(insertMany.mock.calls[0][0][0]._id);
+    });
+
+    it('retries only events that failed, not ones stored before', async () => {
+      await recordClick(url, { visitorId: 'visitor-1' });
+      await recordClick(url, { visitorId: 'visitor-2' });
+      await recordClick(url, { visitorId: 'visitor-3' });
+
+      // visitor-1 was stored by an earlier attempt, visitor-3 failed
+      insertMany.mockRejectedValueOnce(Object.assign(new Error('bulk write failed'), {
+        writeErrors: [writeError(0, 11000), writeError(2, 91)]
+      }));
+
+      expect((await flushClicks()).events).toBe(2);
+      expect(logError).toHaveBeenCalledWith('Click event insert failed for 1 of 3 events:', expect.any(Error));
+
+      const queued = redis.lists.get('clicks:events').map(item => JSON.parse(item));
+      expect(queued.map(event => event.visitorId)).toEqual(['visitor-3']);
+    });
+
+    it('keeps failed events in memory when Redis is unavailable', async () => {
+      redis.isOpen = false;
+      await recordClick(url, { visitorId: 'visitor-1' });
+      insertMany.mockRejectedValueOnce(new Error('connection closed'));
+
+      expect((await flushClicks()).events).toBe(0);
+      expect(logError).toHaveBeenCalledTimes(1);
+      expect((await flushClicks()).events).toBe(1);
+      expect(insertMany.mock.calls[1][0][0].visitorId).toBe('visitor-1');
+    });
+  });
+
+  describe('click counters', () => {
+    const otherUrl = { _id: '64b000000000000000000002', shortCode: 'def456' };
+
+    const counters = (target) => redis.hashes.get(`clicks:${target._id}`) || {};
+
+    it('applies clicks by the time they happened, not the flush time', async () => {
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      await recordClick(url, { timestamp: yesterday });
+
+      await flushClicks();
+
+      const [main, dailyInc] = Url.bulkWrite.mock.calls[0][0];
+      const [counts, last] = main.updateOne.update;
+
+      expect(counts.$set['analytics.totalClicks'].$add[1]).toBe(1);
+      expect(counts.$set['analytics.clicksToday'].$add[1]).toBe(0);
+      expect(last.$set['analytics.lastClickedAt'].$max[1]).toEqual(yesterday);
+      expect(logError).not.toHaveBeenCalled();
+
+      const startOfYesterday = new Date(yesterday);
+      startOfYesterday.setHours(0, 0, 0, 0);
+      expect(dailyInc.updateOne.filter.dailyClicks.$elemMatch.date).toEqual(startOfYesterday);
+    });
+
+    it('puts back only the operations a partly failed flush did not apply', async () => {
+      await recordClick(url, { referrer: 'https://example.com/' });
+      await recordClick(otherUrl, { referrer: 'https://example.com/', isUnique: true });
+
+      // url: main, day pair, referrer pair; the other url's main op fails
+      Url.bulkWrite.mockRejectedValueOnce(Object.assign(new Error('bulk write failed'), {
+        writeErrors: [{ index: 5, code: 2 }]
+      }));
+
+      await flushClicks();
+
+      expect(logError).toHaveBeenCalledWith('Click counter flush failed, restoring pending counts:', expect.objectContaining({ message: 'bulk write failed' }));
+      expect(counters(url)).toEqual({});
+      expect(counters(otherUrl)).toEqual(expect.objectContaining({ total: '1', unique: '1', 'referrer:https://example.com/': '1' }));
+      expect([...redis.sets.get('clicks:pending')]).toEqual([otherUrl._id]);
+    });
+
+    it('puts back a whole increment/push pair when its push failed', async () => {
+      await recordClick(url, { referrer: 'https://example.com/' });
+
+      Url.bulkWrite.mockRejectedValueOnce(Object.assign(new Error('bulk write failed'), {
+        writeErrors: [{ index: 4, code: 2 }]
+      }));
+
+      await flushClicks();
+
+      expect(logError).toHaveBeenCalledWith('Click counter flush failed, restoring pending counts:', expect.objectContaining({ message: 'bulk write failed' }));
+      expect(Object.keys(counters(url))).toEqual(['referrer:https://example.com/']);
+    });
+
+    it('keeps the newer click time when restoring counts', async () => {
+      const clickedAt = new Date('2024-01-01T10:00:00Z');
+      await recordClick(url, { timestamp: clickedAt });
+
+      Url.bulkWrite.mockImplementationOnce(async () => {
+        // A click arrives while the flush is running
+        await recordClick(url, { timestamp: new Date('2024-01-01T10:05:00Z') });
+        throw new Error('connection closed');
+      });
+
+      await flushClicks();
+
+      expect(logError).toHaveBeenCalledWith('Click counter flush failed, restoring pending counts:', expect.objectContaining({ message: 'connection closed' }));
+      expect(counters(url)).toEqual(expect.objectContaining({
+        total: '2',
+        last: String(new Date('2024-01-01T10:05:00Z').getTime())
+      }));
+    });
+  });
+});
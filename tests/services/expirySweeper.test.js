@@ -0,0 +1,138 @@
+const Url = require('../../src/models/Url');
+const { cacheOperations } = require('../../src/config/redis');
+const { sweepExpiredUrls } = require('../../src/services/expirySweeper');
+const { redirectToOriginal } = require('../../src/controllers/urlController');
+
+// Evaluate the aggregation expressions consumeLimitedClick uses
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return doc[expr.substring(1)];
+  if (!expr || typeof expr !== 'object') return expr;
+
+  const [[operator, args]] = Object.entries(expr);
+  const [a, b] = args.map(arg => evaluate(arg, doc));
+
+  return { $add: a + b, $lt: a < b, $gte: a >= b }[operator];
+};
+
+// findOneAndUpdate over one stored document; each call is applied whole,
+// as MongoDB applies a single-document update
+const mockStoredUrl = (fields) => {
+  const doc = { _id: 'url-id', isActive: true, isExpired: false, limitedClicks: 0, ...fields };
+
+  jest.spyOn(Url, 'findOneAndUpdate').mockImplementation(async (filter, pipeline) => {
+    const matches = filter._id === doc._id &&
+      doc.isActive === filter.isActive &&
+      doc.maxClicks !== null &&
+      evaluate(filter.$expr, doc);
+
+    if (!matches) return null;
+
+    pipeline.forEach(({ $set }) => {
+      Object.assign(doc, Object.fromEntries(Object.entries($set).map(([field, expr]) => [field, evaluate(expr, doc)])));
+    });
+
+    return { limitedClicks: doc.limitedClicks, maxClicks: doc.maxClicks, isActive: doc.isActive };
+  });
+
+  return doc;
+};
+
+// Run a catchAsync handler and resolve with the status and message it sent
+const runController = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => resolve({ statusCode: res.statusCode, message: body.message })
+  };
+
+  handler(req, res, reject);
+});
+
+describe('click-limited links', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('counts clicks up to maxClicks and refuses the next one', async () => {
+    const doc = mockStoredUrl({ maxClicks: 2 });
+
+    expect(await Url.consumeLimitedClick('url-id')).toEqual({ limitedClicks: 1, maxClicks: 2, isActive: true });
+    expect(await Url.consumeLimitedClick('url-id')).toEqual({ limitedClicks: 2, maxClicks: 2, isActive: false });
+    expect(await Url.consumeLimitedClick('url-id')).toBeNull();
+
+    expect(doc).toEqual(expect.objectContaining({ limitedClicks: 2, isActive: false, isExpired: true }));
+  });
+
+  it('lets exactly maxClicks of many concurrent redirects through', async () => {
+    mockStoredUrl({ maxClicks: 3 });
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => Url.consumeLimitedClick('url-id')));
+
+    expect(results.filter(Boolean)).toHaveLength(3);
+  });
+
+  it('checks the limit inside the update filter, not after reading the count', async () => {
+    const findOneAndUpdate = jest.spyOn(Url, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await Url.consumeLimitedClick('url-id');
+
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual(expect.objectContaining({
+      isActive: true,
+      $expr: { $lt: ['$limitedClicks', '$maxClicks'] }
+    }));
+  });
+
+  it('answers 410 and drops the cached redirect once the limit is reached', async () => {
+    mockStoredUrl({ maxClicks: 1, limitedClicks: 1, isActive: true });
+    jest.spyOn(cacheOperations, 'get').mockResolvedValue({
+      _id: 'url-id',
+      originalUrl: 'https://example.com/',
+      isActive: true,
+      maxClicks: 1,
+      isPasswordProtected: false,
+      isSafe: true
+    });
+    const del = jest.spyOn(cacheOperations, 'del').mockResolvedValue(true);
+
+    expect(await runController(redirectToOriginal, { params: { code: 'abc123' } }))
+      .toEqual({ statusCode: 410, message: 'This link has reached its click limit' });
+    expect(del).toHaveBeenCalledWith('url:abc123');
+  });
+});
+
+describe('expired link sweep', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('deactivates expired links and invalidates their cache entries', async () => {
+    const expired = [
+      { _id: 'url-1', shortCode: 'abc123', domain: null },
+      { _id: 'url-2', shortCode: 'promo', domain: 'domain-id' }
+    ];
+    const find = jest.spyOn(Url, 'find').mockReturnValue({
+      select: () => ({ limit: () => ({ lean: async () => expired }) })
+    });
+    const updateMany = jest.spyOn(Url, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const del = jest.spyOn(cacheOperations, 'del').mockResolvedValue(true);
+
+    expect(await sweepExpiredUrls()).toEqual({ expired: 2 });
+
+    expect(find.mock.calls[0][0]).toEqual({ expiresAt: { $lt: expect.any(Date) }, isExpired: false });
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['url-1', 'url-2'] }, isExpired: false },
+      { isExpired: true, isActive: false }
+    );
+    expect(del.mock.calls.map(([key]) => key)).toEqual(['url:abc123', 'url:domain-id:promo']);
+  });
+
+  it('does nothing when no link has expired', async () => {
+    jest.spyOn(Url, 'find').mockReturnValue({
+      select: () => ({ limit: () => ({ lean: async () => [] }) })
+    });
+    const updateMany = jest.spyOn(Url, 'updateMany');
+    const del = jest.spyOn(cacheOperations, 'del');
+
+    expect(await sweepExpiredUrls()).toEqual({ expired: 0 });
+    expect(updateMany).not.toHaveBeenCalled();
+    expect(del).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+const { Readable, PassThrough } = require('stream');
+const { setStorage } = require('../../src/services/storage');
+const { isInlineSafe, sendStoredContent } = require('../../src/services/fileDelivery');
+
+// Storage driver serving the same content for every key
+const stubStorage = (content) => ({
+  name: 'stub',
+  createReadStream: async () => Readable.from([Buffer.from(content)]),
+  stat: async () => ({ size: content.length })
+});
+
+const makeReq = (headers = {}) => ({
+  method: 'GET',
+  get: (name) => headers[name.toLowerCase()]
+});
+
+// Response collecting headers and the streamed body
+const makeRes = () => {
+  const res = new PassThrough();
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.removeHeader = (name) => { delete res.headers[name.toLowerCase()]; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  return res;
+};
+
+const send = (mimetype, options = {}) => {
+  const res = makeRes();
+  return sendStoredContent(makeReq(), res, {
+    storage: 'stub',
+    key: 'blobs/ab/abc',
+    size: 13,
+    mimetype,
+    etag: '"abc"',
+    filename: 'page.html',
+    disposition: 'inline',
+    ...options
+  }).then(() => res.headers);
+};
+
+describe('file delivery', () => {
+  beforeAll(() => setStorage('stub', stubStorage('<b>hello</b>!')));
+  afterAll(() => setStorage('stub'));
+
+  it('allows only media that cannot run scripts inline', () => {
+    ['image/png', 'image/jpeg', 'video/mp4', 'audio/mpeg', 'application/pdf', 'text/plain; charset=utf-8']
+      .forEach(type => expect(isInlineSafe(type)).toBe(true));
+
+    ['text/html', 'image/svg+xml', 'application/xhtml+xml', 'text/xml', 'application/javascript', '', undefined]
+      .forEach(type => expect(isInlineSafe(type)).toBe(false));
+  });
+
+  it('sends declared HTML as an attachment even when inline is asked for', async () => {
+    const headers = await send('text/html');
+
+    expect(headers['content-disposition']).toMatch(/^attachment;/);
+    expect(headers['x-content-type-options']).toBe('nosniff');
+  });
+
+  it('displays safe media inline', async () => {
+    const headers = await send('image/png');
+
+    expect(headers['content-disposition']).toMatch(/^inline;/);
+  });
+
+  it('makes caches revalidate public files so visibility changes apply at once', async () => {
+    expect((await send('image/png', { isPublic: true }))['cache-control']).toBe('public, no-cache, no-transform');
+    expect((await send('image/png'))['cache-control']).toBe('private, no-cache, no-transform');
+  });
+});
@@ -0,0 +1,101 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+// Storage goes to a scratch directory
+const uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'variants-'));
+const previousEnv = { ...process.env };
+process.env.UPLOAD_PATH = uploadRoot;
+
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const File = require('../../src/models/File');
+const FileBlob = require('../../src/models/FileBlob');
+const { releaseContent } = require('../../src/services/contentStore');
+const { VARIANT_TYPES, generateVariants } = require('../../src/services/imageVariants');
+
+const hash = 'ab'.repeat(32);
+const blobKey = `blobs/ab/${hash}-0a1b2c3d.png`;
+
+// Query stand-in resolving to `result` after .select()
+const query = (result) => ({ select: () => Promise.resolve(result) });
+
+const makeFile = (fields = {}) => File.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  storage: 'local',
+  path: blobKey,
+  contentHash: hash,
+  mimetype: 'image/png',
+  isDeleted: false,
+  ...fields
+});
+
+const stored = (key) => fs.existsSync(path.join(uploadRoot, key));
+
+describe('image variants', () => {
+  let updateOne;
+
+  beforeAll(async () => {
+    fs.mkdirSync(path.join(uploadRoot, 'blobs', 'ab'), { recursive: true });
+    await sharp({ create: { width: 400, height: 200, channels: 3, background: 'red' } })
+      .png()
+      .toFile(path.join(uploadRoot, blobKey));
+  });
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(File, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => {
+    process.env = previousEnv;
+    fs.rmSync(uploadRoot, { recursive: true, force: true });
+  });
+
+  it('streams the original through sharp and stores variants under the blob', async () => {
+    const file = makeFile();
+    jest.spyOn(File, 'findById').mockReturnValue(query(file));
+    jest.spyOn(File, 'findOne').mockReturnValue(query(null));
+
+    const result = await generateVariants(file._id);
+
+    expect(result).toEqual({ variants: VARIANT_TYPES.length, dimensions: { width: 400, height: 200 } });
+
+    const { variants } = updateOne.mock.calls.at(-1)[1].$set;
+    expect(variants.find(variant => variant.type === 'small').dimensions).toEqual({ width: 320, height: 160 });
+    variants.forEach(variant => {
+      expect(variant.path).toBe(`variants/ab/${hash}-0a1b2c3d/${variant.type}.webp`);
+      expect(stored(variant.path)).toBe(true);
+    });
+  });
+
+  it('reuses the variants of a deduplicated copy', async () => {
+    const copy = makeFile({
+      variants: [{ type: 'thumbnail', filename: 'thumbnail.webp', path: `variants/ab/${hash}-0a1b2c3d/thumbnail.webp`, size: 10 }],
+      metadata: { dimensions: { width: 400, height: 200 } }
+    });
+    const file = makeFile();
+    jest.spyOn(File, 'findById').mockReturnValue(query(file));
+    jest.spyOn(File, 'findOne').mockReturnValue(query(copy));
+    const read = jest.spyOn(sharp.prototype, 'metadata');
+
+    const result = await generateVariants(file._id);
+
+    expect(result.reused).toBe(true);
+    expect(read).not.toHaveBeenCalled();
+
+    const [variant] = updateOne.mock.calls[0][1].$set.variants;
+    expect(variant.path).toBe(copy.variants[0].path);
+    expect(variant.url).toBe(`/api/files/${file._id}/variant/thumbnail`);
+  });
+
+  it('removes shared variants with the last reference to the content', async () => {
+    jest.spyOn(FileBlob, 'releaseReference').mockResolvedValue({ hash, path: blobKey, storage: 'local' });
+
+    await releaseContent(hash);
+
+    expect(stored(blobKey)).toBe(false);
+    VARIANT_TYPES.forEach(type => expect(stored(`variants/ab/${hash}-0a1b2c3d/${type}.webp`)).toBe(false));
+  });
+});
@@ -0,0 +1,179 @@
+const http = require('http');
+const Url = require('../../src/models/Url');
+const LinkHealthCheck = require('../../src/models/LinkHealthCheck');
+const Notification = require('../../src/models/Notification');
+const { cacheOperations } = require('../../src/config/redis');
+const { setHttpClient, checkDestination, checkLinkHealth } = require('../../src/services/linkHealthChecker');
+
+// Local destination server; `status` is what it answers with next
+const startStub = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    server.requests.push(req.method);
+    res.statusCode = server.status;
+    res.end();
+  });
+  server.requests = [];
+  server.status = 200;
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// HTTP client sending every destination to the stub server
+const stubClient = (server) => (destination, { method, timeout }) => new Promise((resolve, reject) => {
+  const req = http.request({
+    host: '127.0.0.1',
+    port: server.address().port,
+    path: new URL(destination).pathname,
+    method,
+    timeout
+  }, (res) => {
+    res.resume();
+    resolve({ status: res.statusCode, url: destination });
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+const owner = { _id: 'user-id', isActive: true, preferences: { notifications: { email: true } } };
+
+const makeUrl = (health = {}) => ({
+  _id: 'url-id',
+  shortCode: 'abc123',
+  shortUrl: 'http://localhost:5000/abc123',
+  originalUrl: 'https://example.com/page',
+  fallbackUrl: 'https://example.com/backup',
+  domain: null,
+  health,
+  createdBy: owner,
+  populate: jest.fn().mockResolvedValue(undefined)
+});
+
+describe('link health checks', () => {
+  let server;
+  let updateOne;
+  let cacheDel;
+  let notify;
+
+  beforeAll(async () => {
+    server = await startStub();
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    server.requests = [];
+    server.status = 200;
+    setHttpClient(stubClient(server));
+
+    jest.spyOn(LinkHealthCheck, 'create').mockResolvedValue({});
+    updateOne = jest.spyOn(Url, 'updateOne').mockResolvedValue({ acknowledged: true });
+    cacheDel = jest.spyOn(cacheOperations, 'del').mockResolvedValue(true);
+    notify = jest.spyOn(Notification, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    setHttpClient();
+    jest.restoreAllMocks();
+  });
+
+  const savedHealth = () => updateOne.mock.calls[0][1].$set;
+
+  it('marks a responding destination healthy', async () => {
+    const result = await checkLinkHealth(makeUrl());
+
+    expect(result).toMatchObject({ isHealthy: true, statusCode: 200, method: 'HEAD', status: 'healthy' });
+    expect(savedHealth()['health.consecutiveFailures']).toBe(0);
+    expect(cacheDel).not.toHaveBeenCalled();
+  });
+
+  it('retries with GET when HEAD is not allowed', async () => {
+    server.status = 405;
+
+    const result = await checkDestination('https://example.com/page');
+
+    expect(server.requests).toEqual(['HEAD', 'GET']);
+    expect(result.method).toBe('GET');
+  });
+
+  it('keeps the previous status for failures below the threshold', async () => {
+    server.status = 404;
+
+    const result = await checkLinkHealth(makeUrl({ status: 'healthy', consecutiveFailures: 0 }));
+
+    expect(result.status).toBe('healthy');
+    expect(savedHealth()).toMatchObject({
+      'health.status': 'healthy',
+      'health.consecutiveFailures': 1,
+      'health.brokenSince': null
+    });
+    expect(notify).not.toHaveBeenCalled();
+    expect(cacheDel).not.toHaveBeenCalled();
+  });
+
+  it('marks the link broken at the failure threshold and notifies the owner once', async () => {
+    server.status = 503;
+
+    const result = await checkLinkHealth(makeUrl({ status: 'healthy', consecutiveFailures: 1 }));
+
+    expect(result.status).toBe('broken');
+    expect(savedHealth()).toMatchObject({
+      'health.status': 'broken',
+      'health.consecutiveFailures': 2,
+      'health.lastStatusCode': 503
+    });
+    expect(savedHealth()['health.brokenSince']).toBeInstanceOf(Date);
+    expect(savedHealth()['health.lastNotifiedAt']).toBeInstanceOf(Date);
+
+    // Redirects pick up the broken flag (and switch to the fallback) from a fresh cache entry
+    expect(cacheDel).toHaveBeenCalledWith('url:abc123');
+
+    expect(notify).toHaveBeenCalledTimes(1);
+    const [notification] = notify.mock.calls[0];
+    expect(notification).toMatchObject({ recipient: 'user-id', type: 'email', template: 'link-broken' });
+    expect(notification.message).toMatch('HTTP 503');
+    expect(notification.message).toMatch('Visitors are being sent to https://example.com/backup');
+  });
+
+  it('does not notify again while the link stays broken', async () => {
+    server.status = 500;
+    const brokenSince = new Date('2024-01-01T00:00:00Z');
+
+    await checkLinkHealth(makeUrl({ status: 'broken', consecutiveFailures: 5, brokenSince }));
+
+    expect(savedHealth()['health.brokenSince']).toBe(brokenSince);
+    expect(savedHealth()['health.lastNotifiedAt']).toBeUndefined();
+    expect(notify).not.toHaveBeenCalled();
+    expect(cacheDel).not.toHaveBeenCalled();
+  });
+
+  it('recovers a broken link so redirects stop using the fallback', async () => {
+    const result = await checkLinkHealth(makeUrl({ status: 'broken', consecutiveFailures: 3, brokenSince: new Date() }));
+
+    expect(result.status).toBe('healthy');
+    expect(savedHealth()).toMatchObject({
+      'health.status': 'healthy',
+      'health.consecutiveFailures': 0,
+      'health.brokenSince': null
+    });
+    expect(cacheDel).toHaveBeenCalledWith('url:abc123');
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('counts network errors as failures', async () => {
+    setHttpClient(() => Promise.reject(new Error('connect ECONNREFUSED')));
+
+    const result = await checkLinkHealth(makeUrl({ status: 'healthy', consecutiveFailures: 1 }));
+
+    expect(result).toMatchObject({ isHealthy: false, status: 'broken', error: 'connect ECONNREFUSED' });
+    expect(notify.mock.calls[0][0].message).toMatch('connect ECONNREFUSED');
+  });
+
+  it('refuses private IP literal destinations with the default client', async () => {
+    setHttpClient();
+
+    const result = await checkDestination(`http://127.0.0.1:${server.address().port}/admin`);
+
+    expect(server.requests).toEqual([]);
+    expect(result.isHealthy).toBe(false);
+    expect(result.error).toMatch(/Refusing to fetch private address/);
+  });
+});
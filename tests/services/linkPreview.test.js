@@ -0,0 +1,77 @@
+const http = require('http');
+const Url = require('../../src/models/Url');
+const { fetchUrlMetadata, parseMetadata } = require('../../src/services/linkPreview');
+
+// Local server standing in for an internal service
+const startStub = () => new Promise(resolve => {
+  const server = http.createServer((req, res) => {
+    server.hits++;
+    res.setHeader('Content-Type', 'text/html');
+    res.end('<html><head><title>Internal admin</title></head></html>');
+  });
+  server.hits = 0;
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const mockUrl = (originalUrl) => {
+  const url = { _id: 'url-id', originalUrl, malwareCheck: { isSafe: true } };
+  jest.spyOn(Url, 'findById').mockReturnValue({ select: () => Promise.resolve(url) });
+  return jest.spyOn(Url, 'updateOne').mockResolvedValue({ acknowledged: true });
+};
+
+describe('link preview fetcher', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startStub();
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    server.hits = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['loopback', () => `http://127.0.0.1:${server.address().port}/`],
+    ['link-local metadata', () => 'http://169.254.169.254/latest/meta-data/'],
+    ['private network', () => 'http://10.0.0.1/'],
+    ['IPv6 loopback', () => `http://[::1]:${server.address().port}/`]
+  ])('refuses %s IP literals before connecting', async (label, destination) => {
+    const updateOne = mockUrl(destination());
+
+    const metadata = await fetchUrlMetadata('url-id');
+
+    expect(metadata).toBeNull();
+    expect(server.hits).toBe(0);
+
+    const [, update] = updateOne.mock.calls[0];
+    expect(update.$set['metadata.fetchStatus']).toBe('failed');
+    expect(update.$set['metadata.fetchError']).toMatch(/Refusing to fetch private address/);
+  });
+
+  it('refuses hostnames resolving to private addresses', async () => {
+    const updateOne = mockUrl(`http://localhost:${server.address().port}/`);
+
+    await fetchUrlMetadata('url-id');
+
+    expect(server.hits).toBe(0);
+    expect(updateOne.mock.calls[0][1].$set['metadata.fetchError']).toMatch(/Refusing to fetch private address/);
+  });
+});
+
+describe('link preview parser', () => {
+  it('decodes entities in titles and attributes exactly once', () => {
+    const metadata = parseMetadata(`<html><head>
+      <title>Fish &amp;amp; Chips</title>
+      <meta name="description" content="Use &amp;lt;b&amp;gt; for bold">
+    </head></html>`, 'https://example.com/');
+
+    expect(metadata.title).toBe('Fish &amp; Chips');
+    expect(metadata.description).toBe('Use &lt;b&gt; for bold');
+  });
+});
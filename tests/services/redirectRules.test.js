@@ -0,0 +1,49 @@
+const { parseRedirectRules, selectDestination } = require('../../src/services/redirectRules');
+
+describe('redirect rule parsing', () => {
+  it('names unnamed rules and destinations by position', () => {
+    const { redirectRules } = parseRedirectRules([
+      { destinations: [{ url: 'https://a.example.com/' }, { url: 'https://b.example.com/' }] },
+      { name: 'mobile', conditions: { deviceType: ['mobile'] }, destinationUrl: 'https://m.example.com/' }
+    ]);
+
+    expect(redirectRules.map(rule => rule.name)).toEqual(['rule-1', 'mobile']);
+    expect(redirectRules[0].destinations.map(destination => destination.name)).toEqual(['variant-a', 'variant-b']);
+  });
+
+  it('rejects rules sharing a name', () => {
+    expect(parseRedirectRules([
+      { name: 'rule-2', destinationUrl: 'https://a.example.com/' },
+      { destinationUrl: 'https://b.example.com/' }
+    ])).toEqual({ error: 'Redirect rule 2: another rule is already named rule-2' });
+  });
+
+  it('rejects destinations sharing a name within a rule', () => {
+    expect(parseRedirectRules([{
+      destinations: [
+        { name: 'variant-b', url: 'https://a.example.com/' },
+        { url: 'https://b.example.com/' }
+      ]
+    }])).toEqual({ error: 'Redirect rule 1: more than one destination is named variant-b' });
+  });
+
+  it('rejects unknown condition keys instead of matching everyone', () => {
+    expect(parseRedirectRules([
+      { conditions: { device: 'mobile' }, destinationUrl: 'https://m.example.com/' }
+    ])).toEqual({ error: 'Redirect rule 1: unknown condition device (allowed: os, deviceType, country, language, timeWindow)' });
+  });
+
+  it('sends only matching visitors to a device rule', () => {
+    const { redirectRules } = parseRedirectRules([
+      { name: 'mobile', conditions: { deviceType: ['mobile'] }, destinationUrl: 'https://m.example.com/' }
+    ]);
+    const urlData = { _id: 'url-id', originalUrl: 'https://example.com/', redirectRules };
+    const visitor = (deviceType) => ({ deviceType, languages: [], visitorId: 'visitor-1', now: new Date() });
+
+    expect(selectDestination(urlData, visitor('desktop'))).toEqual({
+      url: 'https://example.com/',
+      variant: { rule: 'default', destination: 'original' }
+    });
+    expect(selectDestination(urlData, visitor('mobile')).url).toBe('https://m.example.com/');
+  });
+});
@@ -0,0 +1,198 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// Storage and temp files go to a scratch directory; chunks are capped at 16 bytes
+const uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-'));
+const previousEnv = { ...process.env };
+process.env.UPLOAD_PATH = uploadRoot;
+process.env.RESUMABLE_MAX_CHUNK_BYTES = '16';
+
+const mongoose = require('mongoose');
+const UploadSession = require('../../src/models/UploadSession');
+const User = require('../../src/models/User');
+const { getStorage } = require('../../src/services/storage');
+const { createUploadSession, appendUploadChunk, sweepExpiredUploads } = require('../../src/services/resumableUpload');
+
+const makeSession = (fields = {}) => new UploadSession({
+  owner: new mongoose.Types.ObjectId(),
+  length: 64,
+  originalName: 'video.mp4',
+  storage: 'local',
+  ...fields
+});
+
+const bodyOf = (data) => Readable.from([Buffer.from(data)]);
+
+// Body that sends some data and then loses the connection
+const droppedBody = (data) => {
+  let sent = false;
+  return new Readable({
+    read() {
+      if (sent) return;
+      sent = true;
+      this.push(Buffer.from(data));
+      setTimeout(() => this.destroy(Object.assign(new Error('aborted'), { code: 'ECONNRESET' })), 50);
+    }
+  });
+};
+
+const sha1 = (data) => ({ algorithm: 'sha1', digest: crypto.createHash('sha1').update(data).digest('base64') });
+
+const storedChunk = (chunk) => fs.readFileSync(path.join(uploadRoot, chunk.key), 'utf8');
+
+// Query stand-in resolving to `result` after .select()
+const query = (result) => ({ select: () => Promise.resolve(result) });
+
+describe('resumable uploads', () => {
+  let appendChunk;
+
+  beforeEach(() => {
+    appendChunk = jest.spyOn(UploadSession, 'appendChunk')
+      .mockImplementation(async (sessionId, chunk) => ({ _id: sessionId, offset: chunk.offset + chunk.size, chunk }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => {
+    process.env = previousEnv;
+    fs.rmSync(uploadRoot, { recursive: true, force: true });
+  });
+
+  describe('appendUploadChunk', () => {
+    it('stores a chunk and advances the offset', async () => {
+      const { session } = await appendUploadChunk(makeSession(), bodyOf('0123456789'), { offset: 0 });
+
+      expect(session.offset).toBe(10);
+      expect(storedChunk(session.chunk)).toBe('0123456789');
+    });
+
+    it('keeps what arrived before the connection dropped', async () => {
+      const { session } = await appendUploadChunk(makeSession({ offset: 8 }), droppedBody('abcdef'), { offset: 8 });
+
+      expect(session.offset).toBe(14);
+      expect(storedChunk(session.chunk)).toBe('abcdef');
+    });
+
+    it('keeps the first MAX_CHUNK_BYTES of a longer chunk', async () => {
+      const { session, error } = await appendUploadChunk(makeSession(), bodyOf('x'.repeat(40)), { offset: 0 });
+
+      expect(error).toBeUndefined();
+      expect(session.offset).toBe(16);
+      expect(storedChunk(session.chunk)).toBe('x'.repeat(16));
+    });
+
+    it('rejects a chunk that runs past the upload length', async () => {
+      const result = await appendUploadChunk(makeSession({ offset: 60 }), bodyOf('0123456789'), { offset: 60 });
+
+      expect(result).toEqual({ error: 'Chunk exceeds the 4 bytes left in the upload', statusCode: 413 });
+      expect(appendChunk).not.toHaveBeenCalled();
+    });
+
+    it('accepts a chunk matching its checksum', async () => {
+      const { session } = await appendUploadChunk(makeSession(), bodyOf('0123456789'), { offset: 0, checksum: sha1('0123456789') });
+
+      expect(session.offset).toBe(10);
+    });
+
+    it('rejects a chunk with a checksum mismatch with 460', async () => {
+      const result = await appendUploadChunk(makeSession(), bodyOf('0123456789'), { offset: 0, checksum: sha1('something else') });
+
+      expect(result).toEqual({ error: 'Chunk checksum mismatch', statusCode: 460 });
+      expect(appendChunk).not.toHaveBeenCalled();
+    });
+
+    it('discards a partial chunk that has a checksum', async () => {
+      const result = await appendUploadChunk(makeSession(), droppedBody('abc'), { offset: 0, checksum: sha1('abcdef') });
+
+      expect(result.statusCode).toBe(400);
+      expect(appendChunk).not.toHaveBeenCalled();
+    });
+
+    it('reports a conflict and removes the chunk when the offset moved', async () => {
+      appendChunk.mockResolvedValue(null);
+      const remove = jest.spyOn(getStorage('local'), 'remove');
+
+      const result = await appendUploadChunk(makeSession(), bodyOf('0123456789'), { offset: 0 });
+
+      expect(result.statusCode).toBe(409);
+      expect(fs.existsSync(path.join(uploadRoot, remove.mock.calls[0][0]))).toBe(false);
+    });
+  });
+
+  describe('storage quota', () => {
+    const owner = new mongoose.Types.ObjectId();
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue(query({ subscription: 'free', usage: { storageUsed: 0 } }));
+      jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    });
+
+    it('charges the full length when an upload is created', async () => {
+      const reserve = jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(query({ usage: { storageUsed: 64 } }));
+      const create = jest.spyOn(UploadSession, 'create').mockImplementation(async (fields) => makeSession(fields));
+
+      const { session } = await createUploadSession({ owner, length: 64, originalName: 'video.mp4' });
+
+      expect(reserve.mock.calls[0][1]).toEqual({ $inc: { 'usage.storageUsed': 64 } });
+      expect(create.mock.calls[0][0].reservedBytes).toBe(64);
+      expect(session.reservedBytes).toBe(64);
+    });
+
+    it('refuses an upload that does not fit in the quota', async () => {
+      jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(query(null));
+      const create = jest.spyOn(UploadSession, 'create');
+
+      const result = await createUploadSession({ owner, length: 64, originalName: 'video.mp4' });
+
+      expect(result.statusCode).toBe(413);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('gives the reservation back when an expired upload is removed', async () => {
+      const session = makeSession({ owner, reservedBytes: 64, expiresAt: new Date(Date.now() - 1000) });
+      jest.spyOn(UploadSession, 'findExpired').mockResolvedValueOnce([session]);
+      jest.spyOn(UploadSession, 'findOneAndDelete').mockResolvedValue(session);
+
+      await sweepExpiredUploads();
+
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+      expect(JSON.stringify(User.updateOne.mock.calls[0][1])).toContain('64');
+    });
+
+    it('keeps the charge of a completed upload, which moved to its file', async () => {
+      const session = makeSession({ owner, status: 'completed', reservedBytes: 0, expiresAt: new Date(Date.now() - 1000) });
+      jest.spyOn(UploadSession, 'findExpired').mockResolvedValueOnce([session]);
+      jest.spyOn(UploadSession, 'findOneAndDelete').mockResolvedValue(session);
+
+      await sweepExpiredUploads();
+
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expiry', () => {
+    it('treats unfinished sessions past expiresAt as expired', () => {
+      const expiresAt = new Date(Date.now() - 1000);
+
+      expect(makeSession({ expiresAt }).isExpired()).toBe(true);
+      expect(makeSession({ expiresAt, status: 'completed' }).isExpired()).toBe(false);
+      expect(makeSession().isExpired()).toBe(false);
+    });
+
+    it('removes expired sessions and their chunks', async () => {
+      const session = makeSession({ expiresAt: new Date(Date.now() - 1000), chunks: [{ offset: 0, size: 3, key: 'chunks/expired/0-abcd' }] });
+      fs.mkdirSync(path.join(uploadRoot, 'chunks', 'expired'), { recursive: true });
+      fs.writeFileSync(path.join(uploadRoot, session.chunks[0].key), 'abc');
+
+      jest.spyOn(UploadSession, 'findExpired').mockResolvedValueOnce([session]);
+      const remove = jest.spyOn(UploadSession, 'findOneAndDelete').mockResolvedValue(session);
+
+      expect(await sweepExpiredUploads()).toEqual({ removed: 1 });
+      expect(remove).toHaveBeenCalledWith({ _id: session._id });
+      expect(fs.existsSync(path.join(uploadRoot, session.chunks[0].key))).toBe(false);
+    });
+  });
+});
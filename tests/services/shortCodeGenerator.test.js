@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const Url = require('../../src/models/Url');
+const { logger } = require('../../src/utils/logger');
+const { ALPHABETS, isReservedCode, generateShortCode, createWithUniqueCode } = require('../../src/services/shortCodeGenerator');
+const { createShortUrl } = require('../../src/controllers/urlController');
+
+const duplicateKeyError = (field) => Object.assign(new Error(`E11000 duplicate key error index: ${field}_1`), { code: 11000 });
+
+// Run a catchAsync handler and resolve with the status and message it sent
+const runController = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => resolve({ statusCode: res.statusCode, message: body.message })
+  };
+
+  handler(req, res, reject);
+});
+
+describe('short code generator', () => {
+  const previousEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...previousEnv };
+    jest.restoreAllMocks();
+  });
+
+  describe('generateShortCode', () => {
+    beforeEach(() => {
+      jest.spyOn(Url, 'exists').mockResolvedValue(null);
+    });
+
+    it('uses the configured length and alphabet', async () => {
+      const base62 = await generateShortCode();
+      expect(base62).toMatch(/^[0-9A-Za-z]{6}$/);
+
+      process.env.SHORT_CODE_STRATEGY = 'readable';
+      process.env.SHORT_URL_LENGTH = '8';
+
+      const codes = await Promise.all(Array.from({ length: 20 }, () => generateShortCode()));
+      codes.forEach(code => {
+        expect(code).toHaveLength(8);
+        expect([...code].every(char => ALPHABETS.readable.includes(char))).toBe(true);
+      });
+    });
+
+    it('tries another code when the first is taken on the domain', async () => {
+      Url.exists.mockResolvedValueOnce({ _id: 'taken' });
+
+      const code = await generateShortCode({ domain: 'domain-id' });
+
+      expect(Url.exists).toHaveBeenCalledTimes(2);
+      expect(Url.exists.mock.calls[0][0]).toEqual({
+        $or: [{ shortCode: expect.any(String) }, { customAlias: expect.any(String) }],
+        domain: 'domain-id'
+      });
+      expect(code).toBe(Url.exists.mock.calls[1][0].$or[0].shortCode);
+    });
+
+    it('never hands out a reserved word', async () => {
+      process.env.SHORT_URL_LENGTH = '5';
+      const realRandomBytes = crypto.randomBytes;
+
+      // The first draw spells "login" in base62
+      jest.spyOn(crypto, 'randomBytes')
+        .mockImplementationOnce(size => Buffer.concat([Buffer.from([47, 50, 42, 44, 49]), Buffer.alloc(size - 5)]))
+        .mockImplementation(size => realRandomBytes(size));
+
+      const code = await generateShortCode();
+
+      expect(code).not.toBe('login');
+      expect(Url.exists).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives up after the configured number of collisions', async () => {
+      process.env.SHORT_CODE_MAX_ATTEMPTS = '3';
+      Url.exists.mockResolvedValue({ _id: 'taken' });
+      const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(generateShortCode()).rejects.toThrow('Could not generate a unique short code');
+      expect(Url.exists).toHaveBeenCalledTimes(3);
+      expect(logError).toHaveBeenCalledWith('Short code generation exhausted all attempts', expect.objectContaining({ attempts: 3 }));
+    });
+  });
+
+  describe('createWithUniqueCode', () => {
+    it('retries when a concurrent insert took the generated code', async () => {
+      const create = jest.spyOn(Url, 'create')
+        .mockRejectedValueOnce(duplicateKeyError('shortCode'))
+        .mockResolvedValueOnce({ shortCode: 'abc123' });
+
+      expect(await createWithUniqueCode({ originalUrl: 'https://example.com/' })).toEqual({ shortCode: 'abc123' });
+      expect(create).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not retry other duplicate keys or custom aliases', async () => {
+      const create = jest.spyOn(Url, 'create').mockRejectedValue(duplicateKeyError('shortCode'));
+
+      await expect(createWithUniqueCode({ originalUrl: 'https://example.com/', customAlias: 'launch' })).rejects.toMatchObject({ code: 11000 });
+      expect(create).toHaveBeenCalledTimes(1);
+
+      create.mockRejectedValueOnce(duplicateKeyError('email'));
+      await expect(createWithUniqueCode({ originalUrl: 'https://example.com/' })).rejects.toMatchObject({ code: 11000 });
+      expect(create).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('custom aliases', () => {
+    it('treats built-in routes, configured words and blocked substrings as reserved', () => {
+      process.env.SHORT_CODE_RESERVED_WORDS = 'pricing';
+      process.env.SHORT_CODE_BLOCKED_WORDS = 'scam';
+
+      ['admin', 'API', 'pricing', 'free-scam-offer'].forEach(alias => expect(isReservedCode(alias)).toBe(true));
+      ['launch', 'summer-sale'].forEach(alias => expect(isReservedCode(alias)).toBe(false));
+    });
+
+    it('rejects a reserved alias on create and in the model', async () => {
+      const findOne = jest.spyOn(Url, 'findOne');
+
+      expect(await runController(createShortUrl, { body: { originalUrl: 'https://example.com/', customAlias: 'admin' } }))
+        .toEqual({ statusCode: 400, message: 'This custom alias is reserved' });
+      expect(findOne).not.toHaveBeenCalled();
+
+      const url = new Url({ originalUrl: 'https://example.com/', customAlias: 'admin' });
+      expect(url.validateSync().errors.customAlias).toBeDefined();
+    });
+
+    it('rejects an alias already taken on the domain', async () => {
+      const findOne = jest.spyOn(Url, 'findOne').mockResolvedValue({ _id: 'existing' });
+      const create = jest.spyOn(Url, 'create');
+
+      expect(await runController(createShortUrl, { body: { originalUrl: 'https://example.com/', customAlias: 'launch' } }))
+        .toEqual({ statusCode: 400, message: 'Custom alias already exists' });
+      expect(findOne.mock.calls[0][0]).toEqual({ $or: [{ shortCode: 'launch' }, { customAlias: 'launch' }], domain: null });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const { createS3Storage } = require('../../src/services/storage');
+
+// Minimal S3 API: objects are kept by request path ("/<bucket>/<key>")
+const startS3Stub = () => new Promise(resolve => {
+  const objects = new Map();
+
+  const server = http.createServer((req, res) => {
+    server.requests.push({ method: req.method, path: req.url, authorization: req.headers.authorization });
+    const object = objects.get(req.url);
+
+    if (req.method === 'PUT') {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        objects.set(req.url, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+        res.end();
+      });
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      objects.delete(req.url);
+      res.statusCode = 204;
+      return res.end();
+    }
+
+    if (!object) {
+      res.statusCode = 404;
+      return res.end(req.method === 'HEAD' ? undefined : '<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>');
+    }
+
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+    const start = range ? parseInt(range[1]) : 0;
+    const end = range && range[2] ? parseInt(range[2]) : object.body.length - 1;
+    const body = object.body.subarray(start, end + 1);
+
+    res.statusCode = range ? 206 : 200;
+    res.setHeader('Content-Length', body.length);
+    res.setHeader('Last-Modified', new Date('2024-01-01T00:00:00Z').toUTCString());
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+
+  server.objects = objects;
+  server.requests = [];
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+describe('S3 storage driver', () => {
+  let server;
+  let storage;
+
+  beforeAll(async () => {
+    server = await startS3Stub();
+    storage = createS3Storage({
+      endpoint: `http://127.0.0.1:${server.address().port}`,
+      bucket: 'uploads',
+      accessKeyId: 'uploads-app',
+      secretAccessKey: 'secret',
+      prefix: 'app/',
+      timeout: 200
+    });
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    server.objects.clear();
+    server.requests = [];
+  });
+
+  it('uploads a buffer under the bucket and prefix with signed requests', async () => {
+    await storage.saveBuffer('blobs/ab/abc.txt', Buffer.from('hello world'), { contentType: 'text/plain' });
+
+    expect(server.objects.get('/uploads/app/blobs/ab/abc.txt')).toEqual({
+      body: Buffer.from('hello world'),
+      contentType: 'text/plain'
+    });
+    expect(server.requests[0].authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=uploads-app\//);
+  });
+
+  it('uploads a local file and removes it afterwards', async () => {
+    const localPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 's3-')), 'upload');
+    fs.writeFileSync(localPath, 'file content');
+
+    await storage.saveFile('blobs/cd/cde.bin', localPath);
+
+    expect(server.objects.get('/uploads/app/blobs/cd/cde.bin').body.toString()).toBe('file content');
+    expect(fs.existsSync(localPath)).toBe(false);
+    fs.rmSync(path.dirname(localPath), { recursive: true, force: true });
+  });
+
+  it('reads whole objects and byte ranges', async () => {
+    await storage.saveBuffer('blobs/ab/abc.txt', Buffer.from('hello world'));
+
+    expect(await readAll(await storage.createReadStream('blobs/ab/abc.txt'))).toBe('hello world');
+    expect(await readAll(await storage.createReadStream('blobs/ab/abc.txt', { start: 6, end: 10 }))).toBe('world');
+  });
+
+  it('keeps a download open while the reader is paused past the timeout', async () => {
+    await storage.saveBuffer('blobs/ef/efg.bin', Buffer.alloc(4 * 1024 * 1024, 'a'));
+
+    const stream = await storage.createReadStream('blobs/ef/efg.bin');
+    stream.pause();
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    expect((await readAll(stream)).length).toBe(4 * 1024 * 1024);
+  });
+
+  it('reports missing objects as ENOENT', async () => {
+    await expect(storage.createReadStream('blobs/zz/missing')).rejects.toMatchObject({
+      code: 'ENOENT',
+      statusCode: 404,
+      message: expect.stringContaining('The specified key does not exist.')
+    });
+    expect(await storage.stat('blobs/zz/missing')).toBeNull();
+  });
+
+  it('stats and deletes objects', async () => {
+    await storage.saveBuffer('blobs/ab/abc.txt', Buffer.from('hello world'));
+
+    expect(await storage.stat('blobs/ab/abc.txt')).toEqual({
+      size: 11,
+      lastModified: new Date('2024-01-01T00:00:00Z')
+    });
+
+    await storage.remove('blobs/ab/abc.txt');
+    await storage.remove('blobs/ab/abc.txt');
+
+    expect(server.objects.size).toBe(0);
+  });
+});
@@ -0,0 +1,234 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+// Storage goes to a scratch directory; free accounts get 100 bytes
+const uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-'));
+const previousEnv = { ...process.env };
+process.env.UPLOAD_PATH = uploadRoot;
+process.env.STORAGE_QUOTA_FREE_BYTES = '100';
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const File = require('../../src/models/File');
+const FileBlob = require('../../src/models/FileBlob');
+const UploadSession = require('../../src/models/UploadSession');
+const { checkStorageQuota } = require('../../src/middleware/storageQuota');
+const { createFileFromUpload } = require('../../src/services/fileService');
+const { createUploadSession, cancelUploadSession, sweepExpiredUploads } = require('../../src/services/resumableUpload');
+const { MIGRATIONS } = require('../../src/services/migrations');
+const fileController = require('../../src/controllers/fileController');
+
+// Query stand-in resolving to `result` after .select()
+const query = (result) => ({ select: () => Promise.resolve(result) });
+
+// In-memory stand-in for the usage counter of one user, applying the
+// updates storageQuota sends to MongoDB
+const mockUsage = (userId, storageUsed = 0) => {
+  const user = { _id: userId, subscription: 'free', usage: { storageUsed } };
+  const copy = () => ({ ...user, usage: { ...user.usage } });
+
+  jest.spyOn(User, 'findById').mockImplementation(() => query(copy()));
+
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    if (user.usage.storageUsed > filter['usage.storageUsed'].$lte) return query(null);
+    user.usage.storageUsed += update.$inc['usage.storageUsed'];
+    return query(copy());
+  });
+
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    const [, bytes] = update[0].$set['usage.storageUsed'].$max[1].$subtract;
+    user.usage.storageUsed = Math.max(0, user.usage.storageUsed - bytes);
+    return { modifiedCount: 1 };
+  });
+
+  return user;
+};
+
+const writeUpload = (content) => {
+  const tempPath = path.join(uploadRoot, `upload-${Math.random().toString(36).slice(2)}`);
+  fs.writeFileSync(tempPath, content);
+  return { path: tempPath, originalname: 'notes.txt', mimetype: 'text/plain' };
+};
+
+// Run a catchAsync handler and resolve with the status it responded with
+const runController = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: () => resolve(res.statusCode)
+  };
+
+  handler(req, res, reject);
+});
+
+describe('storage quota accounting', () => {
+  const owner = new mongoose.Types.ObjectId();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => {
+    process.env = previousEnv;
+    fs.rmSync(uploadRoot, { recursive: true, force: true });
+  });
+
+  describe('uploads', () => {
+    let blob;
+
+    beforeEach(() => {
+      blob = null;
+      jest.spyOn(FileBlob, 'addReference').mockImplementation(async () => blob);
+      jest.spyOn(FileBlob, 'createOrReference').mockImplementation(async (fields) => {
+        blob = { ...fields, refCount: 1 };
+        return blob;
+      });
+      jest.spyOn(File.prototype, 'save').mockImplementation(async function() { return this; });
+    });
+
+    it('rejects an upload over quota before reading the body', () => {
+      const next = jest.fn();
+      const req = {
+        user: { subscription: 'free', usage: { storageUsed: 90 } },
+        get: () => '20'
+      };
+
+      checkStorageQuota(req, {}, next);
+
+      expect(next.mock.calls[0][0]).toMatchObject({ statusCode: 413 });
+    });
+
+    it('charges each copy of deduplicated content and refuses one that does not fit', async () => {
+      const user = mockUsage(owner);
+      const content = 'x'.repeat(40);
+
+      const first = await createFileFromUpload(writeUpload(content), { owner });
+      const second = await createFileFromUpload(writeUpload(content), { owner });
+
+      expect(first.deduplicated).toBe(false);
+      expect(second.deduplicated).toBe(true);
+      expect(user.usage.storageUsed).toBe(80);
+
+      const third = writeUpload(content);
+      await expect(createFileFromUpload(third, { owner })).rejects.toMatchObject({ statusCode: 413 });
+
+      expect(user.usage.storageUsed).toBe(80);
+      expect(fs.existsSync(third.path)).toBe(false);
+    });
+
+    it('gives back exactly the deleted copy and charges it again on restore', async () => {
+      const user = mockUsage(owner, 80);
+      const file = File.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        originalName: 'notes.txt',
+        filename: 'notes-1.txt',
+        mimetype: 'text/plain',
+        size: 40,
+        contentHash: 'ab'.repeat(32),
+        uploadedBy: owner,
+        isDeleted: false
+      });
+      jest.spyOn(File, 'findById').mockImplementation(async () => file);
+      const req = { params: { id: file._id }, query: {}, user: { _id: owner } };
+
+      expect(await runController(fileController.deleteFile, req)).toBe(200);
+      expect(file.isDeleted).toBe(true);
+      expect(user.usage.storageUsed).toBe(40);
+
+      expect(await runController(fileController.restoreFile, req)).toBe(200);
+      expect(file.isDeleted).toBe(false);
+      expect(user.usage.storageUsed).toBe(80);
+    });
+
+    it('does not restore a file that no longer fits', async () => {
+      const user = mockUsage(owner, 80);
+      const file = File.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        originalName: 'notes.txt',
+        filename: 'notes-2.txt',
+        mimetype: 'text/plain',
+        size: 40,
+        uploadedBy: owner,
+        isDeleted: true
+      });
+      jest.spyOn(File, 'findById').mockImplementation(async () => file);
+      const req = { params: { id: file._id }, query: {}, user: { _id: owner } };
+
+      expect(await runController(fileController.restoreFile, req)).toBe(413);
+      expect(file.isDeleted).toBe(true);
+      expect(user.usage.storageUsed).toBe(80);
+    });
+  });
+
+  describe('resumable uploads', () => {
+    const makeSession = (fields = {}) => new UploadSession({
+      owner,
+      length: 60,
+      originalName: 'video.mp4',
+      storage: 'local',
+      ...fields
+    });
+
+    beforeEach(() => {
+      jest.spyOn(UploadSession, 'create').mockImplementation(async (fields) => makeSession(fields));
+    });
+
+    it('reserves the full length and refuses a session that does not fit', async () => {
+      const user = mockUsage(owner, 30);
+
+      const { session } = await createUploadSession({ owner, length: 60, originalName: 'video.mp4' });
+      expect(session.reservedBytes).toBe(60);
+      expect(user.usage.storageUsed).toBe(90);
+
+      const refused = await createUploadSession({ owner, length: 20, originalName: 'video.mp4' });
+      expect(refused.statusCode).toBe(413);
+      expect(user.usage.storageUsed).toBe(90);
+    });
+
+    it('releases the reservation when the session is cancelled', async () => {
+      const user = mockUsage(owner, 90);
+      const session = makeSession({ reservedBytes: 60 });
+      jest.spyOn(UploadSession, 'findOneAndDelete').mockResolvedValue(session);
+
+      await cancelUploadSession(session);
+
+      expect(user.usage.storageUsed).toBe(30);
+    });
+
+    it('releases the reservation when the session expires', async () => {
+      const user = mockUsage(owner, 90);
+      const session = makeSession({ reservedBytes: 60, expiresAt: new Date(Date.now() - 1000) });
+      jest.spyOn(UploadSession, 'findExpired').mockResolvedValueOnce([session]).mockResolvedValue([]);
+      jest.spyOn(UploadSession, 'findOneAndDelete').mockResolvedValue(session);
+
+      await sweepExpiredUploads();
+
+      expect(user.usage.storageUsed).toBe(30);
+    });
+  });
+
+  describe('backfill migration', () => {
+    const backfill = MIGRATIONS.find(migration => migration.name === 'users-backfill-storage-used');
+
+    it('sets each user to the size of their files that are not deleted', async () => {
+      const otherOwner = new mongoose.Types.ObjectId();
+      const updateMany = jest.spyOn(User.collection, 'updateMany').mockResolvedValue({});
+      const bulkWrite = jest.spyOn(User.collection, 'bulkWrite').mockResolvedValue({ modifiedCount: 2 });
+      const aggregate = jest.spyOn(File, 'aggregate').mockReturnValue({
+        allowDiskUse: () => ({
+          cursor: () => [{ _id: owner, totalSize: 80 }, { _id: otherOwner, totalSize: 15 }]
+        })
+      });
+
+      expect(await backfill.up()).toEqual({ updated: 2 });
+
+      expect(updateMany.mock.calls[0][1]).toEqual({ $set: { 'usage.storageUsed': 0 } });
+      expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { isDeleted: false } });
+      expect(bulkWrite.mock.calls[0][0]).toEqual([
+        { updateOne: { filter: { _id: owner }, update: { $set: { 'usage.storageUsed': 80 } } } },
+        { updateOne: { filter: { _id: otherOwner }, update: { $set: { 'usage.storageUsed': 15 } } } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const { rateLimitOperations } = require('../../src/config/redis');
+const { isUnlockThrottled } = require('../../src/services/urlAccessService');
+
+// Failure counts for the visitor and for the link as a whole
+const failures = (visitor, code) => {
+  jest.spyOn(rateLimitOperations, 'getRateLimit')
+    .mockImplementation(async (key) => (key.split(':').length === 3 ? visitor : code));
+};
+
+describe('unlock throttling', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('blocks a visitor after too many wrong passwords', async () => {
+    failures(5, 5);
+
+    expect(await isUnlockThrottled('abc123', '203.0.113.7')).toEqual({ throttled: true, retryAfter: 900 });
+  });
+
+  it('only slows attempts down when the link itself has many failures', async () => {
+    failures(0, 49);
+    expect(await isUnlockThrottled('abc123', '203.0.113.7')).toEqual({ throttled: false, delayMs: 0 });
+
+    failures(0, 52);
+    expect(await isUnlockThrottled('abc123', '203.0.113.7')).toEqual({ throttled: false, delayMs: 600 });
+
+    failures(0, 10000);
+    expect(await isUnlockThrottled('abc123', '203.0.113.7')).toEqual({ throttled: false, delayMs: 3000 });
+  });
+});
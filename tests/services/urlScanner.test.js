@@ -0,0 +1,42 @@
+const Url = require('../../src/models/Url');
+const { queueRescan } = require('../../src/services/urlScanner');
+
+// Url.find stand-in whose cursors stay open until released
+const mockRescans = () => {
+  const releases = [];
+  const find = jest.spyOn(Url, 'find').mockImplementation(() => ({
+    select: () => ({
+      cursor: () => (async function* () {
+        await new Promise(resolve => releases.push(resolve));
+      })()
+    })
+  }));
+  return { find, releaseNext: () => releases.shift()() };
+};
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('blocklist rescans', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('folds rescans requested during a run into one follow-up', async () => {
+    const { find, releaseNext } = mockRescans();
+
+    queueRescan();
+    queueRescan();
+    queueRescan();
+    await settle();
+
+    expect(find).toHaveBeenCalledTimes(1);
+
+    releaseNext();
+    await settle();
+
+    expect(find).toHaveBeenCalledTimes(2);
+
+    releaseNext();
+    await settle();
+
+    expect(find).toHaveBeenCalledTimes(2);
+  });
+});
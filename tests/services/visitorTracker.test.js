@@ -0,0 +1,69 @@
+const { hyperLogLogOperations } = require('../../src/config/redis');
+const { getVisitorFingerprint, trackVisitor, getUniqueVisitorCounts } = require('../../src/services/visitorTracker');
+
+// HyperLogLogs as exact sets, with the TTL each key was given
+const mockHyperLogLogs = () => {
+  const sets = new Map();
+  const ttls = new Map();
+
+  jest.spyOn(hyperLogLogOperations, 'add').mockImplementation(async (key, element, ttl = null) => {
+    const set = sets.get(key) || new Set();
+    const added = !set.has(element);
+    set.add(element);
+    sets.set(key, set);
+    if (ttl) ttls.set(key, ttl);
+    return added;
+  });
+  jest.spyOn(hyperLogLogOperations, 'count').mockImplementation(async (key) => (sets.get(key) || new Set()).size);
+
+  return { sets, ttls };
+};
+
+const makeReq = (ip, userAgent, user = null) => ({ ip, user, get: () => userAgent });
+
+describe('visitor tracker', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('does not count a repeat visitor twice', async () => {
+    mockHyperLogLogs();
+    const clickedAt = new Date('2024-03-06T12:00:00Z');
+    const visitor = getVisitorFingerprint(makeReq('203.0.113.7', 'Firefox'));
+
+    expect(getVisitorFingerprint(makeReq('203.0.113.7', 'Firefox'))).toBe(visitor);
+    expect(getVisitorFingerprint(makeReq('203.0.113.7', 'Chrome'))).not.toBe(visitor);
+
+    expect(await trackVisitor('abc123', visitor, clickedAt)).toBe(true);
+    expect(await trackVisitor('abc123', visitor, clickedAt)).toBe(false);
+
+    expect(await getUniqueVisitorCounts('abc123', clickedAt)).toEqual({ today: 1, thisWeek: 1, thisMonth: 1, allTime: 1 });
+  });
+
+  it('derives the window keys and their TTLs from the click time', async () => {
+    const { sets, ttls } = mockHyperLogLogs();
+
+    // A Wednesday; weeks start on Sunday (UTC)
+    await trackVisitor('abc123', 'visitor-1', new Date('2024-03-06T23:30:00Z'));
+
+    expect([...sets.keys()].sort()).toEqual([
+      'uv:abc123:all',
+      'uv:abc123:day:2024-03-06',
+      'uv:abc123:month:2024-03',
+      'uv:abc123:week:2024-03-03'
+    ]);
+    expect(Object.fromEntries(ttls)).toEqual({
+      'uv:abc123:day:2024-03-06': 35 * 24 * 60 * 60,
+      'uv:abc123:week:2024-03-03': 15 * 7 * 24 * 60 * 60,
+      'uv:abc123:month:2024-03': 400 * 24 * 60 * 60
+    });
+  });
+
+  it('counts a visitor again in a new day but not in the same week', async () => {
+    mockHyperLogLogs();
+
+    await trackVisitor('abc123', 'visitor-1', new Date('2024-03-06T12:00:00Z'));
+    await trackVisitor('abc123', 'visitor-1', new Date('2024-03-07T12:00:00Z'));
+
+    expect(await getUniqueVisitorCounts('abc123', new Date('2024-03-07T12:00:00Z'))).toEqual({ today: 1, thisWeek: 1, thisMonth: 1, allTime: 1 });
+    expect(await getUniqueVisitorCounts('abc123', new Date('2024-03-10T12:00:00Z'))).toEqual({ today: 0, thisWeek: 0, thisMonth: 1, allTime: 1 });
+  });
+});